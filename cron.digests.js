@@ -0,0 +1,67 @@
+// cron.digests.js
+//
+// Small worker script to send the daily / weekly digest emails that are
+// due. Digest watches pick their own hour, so run it hourly.
+//
+// Usage in Render cron:
+//   Command: node cron.digests.js
+//   Schedule: 5 * * * *
+//
+// Config via environment variables:
+//   ADMIN_TOKEN        - same as used for /api/admin/run-digests
+//   CRON_BASE_URL      - your backend origin (e.g. https://dentistradar.onrender.com)
+//
+// IMPORTANT: Use the Render service URL here, NOT https://www.dentistradar.co.uk
+// to avoid Cloudflare 524 timeouts.
+
+import "dotenv/config";
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const BASE_URL =
+  process.env.CRON_BASE_URL ||
+  process.env.PUBLIC_ORIGIN || // fallback if you *really* want
+  "https://www.dentistradar.co.uk"; // last resort
+
+if (!ADMIN_TOKEN) {
+  console.error("❌ ADMIN_TOKEN is not set in environment.");
+  process.exit(1);
+}
+
+async function run() {
+  const url = `${BASE_URL}/api/admin/run-digests?token=${encodeURIComponent(ADMIN_TOKEN)}`;
+  console.log(`⏱  cron.digests.js calling ${BASE_URL}/api/admin/run-digests`);
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      signal: AbortSignal.timeout(120000),
+      headers: { "Content-Type": "application/json" },
+    });
+    const text = await res.text();
+
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // not JSON – reported below with the raw body
+    }
+
+    if (!res.ok || !data?.ok) {
+      console.error(`❌ Error calling admin run-digests: ${res.status} ${text.slice(0, 300)}`);
+      process.exit(1);
+    }
+
+    console.log("✅ Digests done:", JSON.stringify(data.summary));
+    process.exit(0);
+  } catch (err) {
+    if (err.name === "TimeoutError" || err.name === "AbortError") {
+      console.error("❌ Request timed out. The server may still be sending digests.");
+      process.exit(1);
+    }
+
+    console.error("❌ Unexpected error in cron.digests.js:", err);
+    process.exit(1);
+  }
+}
+
+run();
@@ -2,15 +2,23 @@
 //
 // Small worker script to trigger the grouped NHS scans on the backend.
 //
+// The backend answers straight away with a runId and scans in the
+// background (checkpointed ScanRun – it resumes by itself after a
+// restart). This script then polls the run's progress until it finishes
+// or CRON_WAIT_MINUTES runs out; running out is not an error, the scan
+// carries on server-side.
+//
 // Usage in Render cron:
 //   Command: node cron.scan-all.js
 //
 // Config via environment variables:
-//   ADMIN_TOKEN   - same as used for /api/admin/run-all-scans
-//   CRON_BASE_URL - your backend origin (e.g. https://dentistradar.onrender.com)
+//   ADMIN_TOKEN        - same as used for /api/admin/run-all-scans
+//   CRON_BASE_URL      - your backend origin (e.g. https://dentistradar.onrender.com)
+//   CRON_WAIT_MINUTES  - how long to follow progress (default 5)
+//   CRON_POLL_SECONDS  - progress poll interval (default 15)
 //
 // IMPORTANT: Use the Render service URL here, NOT https://www.dentistradar.co.uk
-// to avoid Cloudflare 524 timeouts on long-running jobs.
+// to avoid Cloudflare 524 timeouts.
 
 import "dotenv/config";
 
@@ -20,6 +28,9 @@ const BASE_URL =
   process.env.PUBLIC_ORIGIN || // fallback if you *really* want
   "https://www.dentistradar.co.uk"; // last resort
 
+const WAIT_MS = (Number(process.env.CRON_WAIT_MINUTES) || 5) * 60 * 1000;
+const POLL_MS = (Number(process.env.CRON_POLL_SECONDS) || 15) * 1000;
+
 if (!ADMIN_TOKEN) {
   console.error("❌ ADMIN_TOKEN is not set in environment.");
   process.exit(1);
@@ -29,82 +40,103 @@ console.log("==> Running 'node cron.scan-all.js'");
 console.log("   BASE_URL   :", BASE_URL);
 console.log("   ADMIN_TOKEN:", ADMIN_TOKEN ? "[set]" : "[missing]");
 
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// fetch with a timeout (avoid hanging forever)
+async function call(url, method = "GET") {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 60000);
+  try {
+    const res = await fetch(url, {
+      method,
+      signal: controller.signal,
+      headers: { "Content-Type": "application/json" },
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // not JSON – reported below with the raw body
+    }
+    return { status: res.status, text, data };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
 async function run() {
   const dryRun = false;
-  const url = `${BASE_URL}/api/admin/run-all-scans?token=${encodeURIComponent(
-    ADMIN_TOKEN
-  )}&dryRun=${dryRun ? "true" : "false"}`;
+  const token = encodeURIComponent(ADMIN_TOKEN);
+  const url = `${BASE_URL}/api/admin/run-all-scans?token=${token}&dryRun=${
+    dryRun ? "true" : "false"
+  }`;
 
-  console.log(
-    `⏱  cron.scan-all.js calling: ${url} (dryRun=${dryRun})`
-  );
+  console.log(`⏱  cron.scan-all.js calling: ${url} (dryRun=${dryRun})`);
 
   try {
-    // Optional: add a timeout via AbortController (avoid hanging forever)
-    const controller = new AbortController();
-    const timeoutMs = 300000; // 5 minutes
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const start = await call(url, "POST");
 
-    const res = await fetch(url, {
-      method: "POST",
-      signal: controller.signal,
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
+    if ((start.status !== 200 && start.status !== 202) || !start.data?.runId) {
+      console.error(
+        `❌ Error calling admin run-all-scans: ${start.status} ${start.text.slice(0, 300)}`
+      );
+      process.exit(1);
+    }
 
-    clearTimeout(timeout);
+    const { runId } = start.data;
+    console.log(
+      start.data.alreadyRunning
+        ? `ℹ️ A scan run is already in progress: ${runId} – following it.`
+        : `✅ Scan run ${runId} started – ${start.data.groups} group(s), ${start.data.totalWatches} watch(es).`
+    );
+    if (start.data.plan?.clustering) {
+      const { exactGroups, scans, scansSaved, unclustered = 0 } = start.data.plan;
+      console.log(
+        `   Clustering: ${exactGroups} postcode/radius group(s) → ${scans} scan(s), ${scansSaved} saved, ${unclustered} group(s) unclustered.`
+      );
+    }
 
-    const status = res.status;
-    const text = await res.text();
+    const deadline = Date.now() + WAIT_MS;
+    while (Date.now() < deadline) {
+      await sleep(POLL_MS);
 
-    if (status === 200) {
-      // Expect JSON summary
-      let data;
+      let progress;
       try {
-        data = JSON.parse(text);
-      } catch (e) {
-        console.warn(
-          "⚠ Received 200 but response was not valid JSON. Raw body:",
-          text.slice(0, 300)
-        );
-        process.exit(0);
+        progress = await call(`${BASE_URL}/api/admin/scan-runs/${runId}?token=${token}`);
+      } catch (err) {
+        // backend restarting – it resumes the run, keep polling
+        console.warn(`⚠ Progress poll failed (${err.message}) – retrying.`);
+        continue;
+      }
+
+      const r = progress.data?.run;
+      if (!r) {
+        console.warn(`⚠ Progress poll returned ${progress.status} – retrying.`);
+        continue;
       }
 
-      console.log("✅ Cron run-all-scans completed.");
       console.log(
-        "   Summary:",
-        JSON.stringify(data.summary || data, null, 2)
+        `   ${r.status}: ${r.done + r.failed}/${r.groups} group(s) (${r.percent}%)` +
+          (r.failed ? `, ${r.failed} failed` : "") +
+          (r.current.length ? ` – scanning ${r.current.join(", ")}` : "")
       );
-      process.exit(0);
-    }
 
-    // Cloudflare timeout / gateway-ish errors (if you ever point at CF)
-    if (status === 524 || status === 522 || status === 504) {
-      console.warn(
-        `⚠ Received status ${status} (likely timeout at proxy).`
-      );
-      console.warn(
-        "   The backend may still have continued processing and sending emails."
-      );
-      console.warn(
-        "   Check admin stats and Postmark to confirm actual email volume."
-      );
-      console.warn(
-        "   Raw body (first 300 chars):",
-        text.slice(0, 300)
-      );
-      // Treat this as a *soft* success for cron purposes
-      process.exit(0);
+      if (r.status === "done") {
+        console.log("✅ Cron run-all-scans completed.");
+        console.log("   Summary:", JSON.stringify(r.summary, null, 2));
+        process.exit(0);
+      }
+      if (r.status === "failed") {
+        console.error(`❌ Scan run ${runId} failed: ${r.error}`);
+        process.exit(1);
+      }
     }
 
-    console.error(
-      `❌ Error calling admin run-all-scans: ${status} ${text.slice(
-        0,
-        300
-      )}`
+    console.log(
+      `ℹ️ Stopped following scan run ${runId} after ${WAIT_MS / 60000} min – it carries on in the background.`
     );
-    process.exit(1);
+    process.exit(0);
   } catch (err) {
     if (err.name === "AbortError") {
       console.error(
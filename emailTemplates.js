@@ -1,5 +1,9 @@
 // emailTemplates.js — polished templates with professional look & feel
 
+import { describeAge } from "./lib/last-updated.js";
+import { radarFor } from "./lib/radars/index.js";
+import { detectUkRegion, coverageNote, regionLabel } from "./lib/uk-region.js";
+
 function esc(s) {
   return String(s || "").replace(/[&<>"]/g, (c) => ({
     "&": "&amp;",
@@ -9,6 +13,15 @@ function esc(s) {
   }[c]));
 }
 
+/* ───────── Service wording ───────── */
+
+// Branding + copy of the watch's radar (lib/radars), flattened so templates
+// can say ${copy.brand} / ${copy.plural}. Unknown ids get the default radar.
+function serviceCopy(serviceType) {
+  const radar = radarFor(serviceType) || radarFor();
+  return { ...radar.branding, ...radar.copy };
+}
+
 /* ───────── Shared bits ───────── */
 
 function headerSummary({ postcode, radius, count }) {
@@ -26,8 +39,35 @@ function headerSummary({ postcode, radius, count }) {
   `;
 }
 
-function rowPractice(p, idx) {
-  const name = p.name ? esc(p.name) : "Dental practice";
+// The NHS sentence that put the practice on the list, shortened.
+function evidenceLine(p) {
+  const text = String(p.statusEvidence || "").trim();
+  if (!text) return "";
+  const short = text.length > 180 ? `${text.slice(0, 180).replace(/\s+\S*$/, "")}…` : text;
+  const source = p.evidenceUrl
+    ? ` <a href="${esc(p.evidenceUrl)}" style="color:#0b57d0;text-decoration:none;font-style:normal">source</a>`
+    : "";
+  return `<div style="margin-top:3px;font-size:12px;font-weight:400;font-style:italic;color:#444">“${esc(short)}”${source}</div>`;
+}
+
+// When the practice last updated its NHS info; stale claims in amber.
+function ageLine(p) {
+  const age = describeAge(p.lastUpdated);
+  if (!age) return "";
+  return p.staleClaim
+    ? `<div style="margin-top:3px;font-size:11px;font-weight:400;color:#b45309">⚠ NHS info ${esc(age)} – call to confirm</div>`
+    : `<div style="margin-top:3px;font-size:11px;font-weight:400;color:#646A73">NHS info ${esc(age)}</div>`;
+}
+
+// "Accepting again" tag for practices that reopened after a long closure
+function againTag(p) {
+  return p.acceptingAgain
+    ? ` <span style="display:inline-block;margin-left:4px;padding:1px 6px;border-radius:999px;background:#dcfce7;color:#166534;font-size:11px;font-weight:600">Accepting again</span>`
+    : "";
+}
+
+function rowPractice(p, idx, copy = serviceCopy()) {
+  const name = p.name ? esc(p.name) : esc(copy.unnamed);
   const phone = p.phone
     ? `<a href="tel:${esc(p.phone)}" style="text-decoration:none;color:#0b57d0">${esc(p.phone)}</a>`
     : "—";
@@ -45,7 +85,7 @@ function rowPractice(p, idx) {
   return `
     <tr>
       <td style="padding:9px 10px;border-bottom:1px solid #edf0f5;white-space:nowrap;color:#111">${idx}</td>
-      <td style="padding:9px 10px;border-bottom:1px solid #edf0f5;color:#0b0c0c;font-weight:600">${name}</td>
+      <td style="padding:9px 10px;border-bottom:1px solid #edf0f5;color:#0b0c0c;font-weight:600">${name}${againTag(p)}${evidenceLine(p)}${ageLine(p)}</td>
       <td style="padding:9px 10px;border-bottom:1px solid #edf0f5;color:#111">${addr}</td>
       <td style="padding:9px 10px;border-bottom:1px solid #edf0f5;color:#111">${phone}</td>
       <td style="padding:9px 10px;border-bottom:1px solid #edf0f5;color:#111">${dist}</td>
@@ -54,9 +94,9 @@ function rowPractice(p, idx) {
   `;
 }
 
-/* Small shared helper for manage/unsubscribe + England note */
+/* Small shared helper for manage/unsubscribe + coverage note */
 
-function manageFooter({ manageUrl, unsubscribeUrl }) {
+function manageFooter({ manageUrl, unsubscribeUrl, copy = serviceCopy(), serviceType, postcode }) {
   const hasManage = !!manageUrl;
   const hasUnsub = !!unsubscribeUrl;
 
@@ -84,26 +124,26 @@ function manageFooter({ manageUrl, unsubscribeUrl }) {
       `
       : "";
 
-  const englandNote = `
+  const radar = radarFor(serviceType) || radarFor();
+  const regionNote = `
     <p style="margin:4px 0 0;color:#666;font-size:11px;">
-      DentistRadar currently supports NHS dentist searches in <b>England</b> only.
-      If your postcode is in Scotland, Wales or Northern Ireland, results may be incomplete
-      while we work on support for those regions.
+      ${esc(coverageNote(radar, detectUkRegion(postcode)))}
     </p>
   `;
 
-  return links + englandNote;
+  return links + regionNote;
 }
 
 /* ───────── Availability email ───────── */
 
-function availabilityEmail({ postcode, radius, practices, scannedAt, manageUrl, unsubscribeUrl }) {
+function availabilityEmail({ postcode, radius, practices, scannedAt, manageUrl, unsubscribeUrl, serviceType }) {
+  const copy = serviceCopy(serviceType);
   const count = practices.length;
   const when = new Date(scannedAt || Date.now()).toLocaleString("en-GB", { hour12: false });
 
-  const rows = practices.map((p, i) => rowPractice(p, i + 1)).join("");
+  const rows = practices.map((p, i) => rowPractice(p, i + 1, copy)).join("");
 
-  const footerExtras = manageFooter({ manageUrl, unsubscribeUrl });
+  const footerExtras = manageFooter({ manageUrl, unsubscribeUrl, copy, serviceType, postcode });
 
   const html = `
   <div style="background:#f3f5f9;padding:16px 0">
@@ -111,13 +151,13 @@ function availabilityEmail({ postcode, radius, practices, scannedAt, manageUrl,
       
       <!-- Top bar / brand -->
       <div style="background:#0b57d0;color:#ffffff;padding:12px 18px;border-bottom:1px solid #0a4cbc">
-        <div style="font-size:16px;font-weight:600;">DentistRadar</div>
-        <div style="font-size:12px;opacity:0.9;">NHS dentist availability alerts</div>
+        <div style="font-size:16px;font-weight:600;">${copy.brand}</div>
+        <div style="font-size:12px;opacity:0.9;">${copy.tagline}</div>
       </div>
 
       <div style="padding:16px 18px 18px">
         <div style="margin-bottom:10px;">
-          <h2 style="margin:0 0 4px;font-size:18px;">NHS dentists currently accepting patients</h2>
+          <h2 style="margin:0 0 4px;font-size:18px;">${copy.plural} currently ${copy.accepting}</h2>
           <div style="color:#646A73;font-size:13px;">
             Search area: <b>${esc(postcode)}</b> within <b>${radius} miles</b> • Checked on ${esc(when)}
           </div>
@@ -140,8 +180,8 @@ function availabilityEmail({ postcode, radius, practices, scannedAt, manageUrl,
         </table>
 
         <p style="margin:14px 0 4px;color:#444;font-size:13px;">
-          We scan the NHS practice pages (Appointments / Opening times) and include practices where the wording clearly states they are
-          <b>currently accepting NHS patients</b>.
+          We scan the NHS ${copy.practice} pages (${copy.pagesChecked}) and include those where the wording clearly states they are
+          <b>currently ${copy.accepting}</b>.
         </p>
         <p style="margin:4px 0 0;color:#666;font-size:12px;">
           Availability can change quickly. Please always call the practice before travelling, and confirm that NHS registrations are still open.
@@ -152,19 +192,20 @@ function availabilityEmail({ postcode, radius, practices, scannedAt, manageUrl,
         ${footerExtras}
 
         <p style="margin:6px 0 0;color:#858b93;font-size:11px;">
-          You’re receiving this alert because you set up an NHS dentist watch for <b>${esc(postcode)}</b> on DentistRadar.
+          You’re receiving this alert because you set up an ${copy.noun} watch for <b>${esc(postcode)}</b> on ${copy.brand}.
         </p>
       </div>
     </div>
   </div>`;
-  const subject = `DentistRadar — ${postcode} (${radius} mi): ${count} accepting`;
+  const subject = `${copy.brand} — ${postcode} (${radius} mi): ${count} ${copy.acceptingShort}`;
   return { subject, html };
 }
 
 /* ───────── Welcome email ───────── */
 
-function welcomeEmail({ postcode, radius, manageUrl, unsubscribeUrl }) {
-  const footerExtras = manageFooter({ manageUrl, unsubscribeUrl });
+function welcomeEmail({ postcode, radius, manageUrl, unsubscribeUrl, serviceType }) {
+  const copy = serviceCopy(serviceType);
+  const footerExtras = manageFooter({ manageUrl, unsubscribeUrl, copy, serviceType, postcode });
 
   const html = `
   <div style="background:#f3f5f9;padding:16px 0">
@@ -172,15 +213,15 @@ function welcomeEmail({ postcode, radius, manageUrl, unsubscribeUrl }) {
       
       <!-- Top bar / brand -->
       <div style="background:#0b57d0;color:#ffffff;padding:12px 18px;border-bottom:1px solid #0a4cbc">
-        <div style="font-size:16px;font-weight:600;">DentistRadar</div>
-        <div style="font-size:12px;opacity:0.9;">NHS dentist availability alerts</div>
+        <div style="font-size:16px;font-weight:600;">${copy.brand}</div>
+        <div style="font-size:12px;opacity:0.9;">${copy.tagline}</div>
       </div>
 
       <div style="padding:18px 18px 20px">
-        <h2 style="margin:0 0 6px;font-size:18px;">Your NHS dentist alert is now active</h2>
+        <h2 style="margin:0 0 6px;font-size:18px;">Your ${copy.noun} alert is now active</h2>
         <p style="margin:0 0 10px;color:#444;font-size:13px;">
-          Thanks for setting up an alert with DentistRadar. We’ll watch NHS practice pages for you and let you know when they are
-          clearly accepting new NHS patients near your area.
+          Thanks for setting up an alert with ${copy.brand}. We’ll watch NHS ${copy.practice} pages for you and let you know when they are
+          clearly ${copy.accepting} near your area.
         </p>
 
         <table role="presentation" style="border-collapse:collapse;margin:8px 0 14px;">
@@ -194,17 +235,17 @@ function welcomeEmail({ postcode, radius, manageUrl, unsubscribeUrl }) {
           </tr>
           <tr>
             <td style="padding:6px 10px 6px 0;font-size:13px;color:#555;">Alert type</td>
-            <td style="padding:6px 0;font-size:13px;color:#111;">NHS practices currently accepting new patients</td>
+            <td style="padding:6px 0;font-size:13px;color:#111;">${copy.plural} currently ${copy.accepting}</td>
           </tr>
         </table>
 
-        <h3 style="margin:4px 0 4px;font-size:14px;">How DentistRadar works</h3>
+        <h3 style="margin:4px 0 4px;font-size:14px;">How ${copy.brand} works</h3>
         <ol style="margin:4px 0 12px 20px;padding:0;font-size:13px;color:#444;">
           <li style="margin:2px 0;">
-            We scan NHS dentist pages for your postcode area (within ${radius} miles).
+            We scan ${copy.noun} pages for your postcode area (within ${radius} miles).
           </li>
           <li style="margin:2px 0;">
-            We focus on the <b>Appointments / Opening times</b> sections and look for clear wording that the practice is accepting NHS patients.
+            We focus on the <b>${copy.pagesChecked}</b> sections and look for clear wording that the ${copy.practice} is ${copy.accepting}.
           </li>
           <li style="margin:2px 0;">
             When we detect clear availability, you’ll receive an email with practice names, contact numbers, distances and quick links.
@@ -213,13 +254,13 @@ function welcomeEmail({ postcode, radius, manageUrl, unsubscribeUrl }) {
 
         <h3 style="margin:6px 0 4px;font-size:14px;">What to do when you receive an alert</h3>
         <ol style="margin:4px 0 10px 20px;padding:0;font-size:13px;color:#444;">
-          <li style="margin:2px 0;">Review the list of practices and choose a few that are convenient for you.</li>
-          <li style="margin:2px 0;">Call the practice directly to confirm they are still accepting NHS patients.</li>
+          <li style="margin:2px 0;">Review the list and choose a few that are convenient for you.</li>
+          <li style="margin:2px 0;">Call the ${copy.practice} directly to confirm they are still ${copy.accepting}.</li>
           <li style="margin:2px 0;">Arrange your registration or appointment according to their guidance.</li>
         </ol>
 
         <p style="margin:10px 0 0;color:#666;font-size:12px;">
-          Availability can change quickly and we rely on the wording shown on the NHS site. Always confirm directly with the practice
+          Availability can change quickly and we rely on the wording shown on the NHS site. Always confirm directly with the ${copy.practice}
           before travelling.
         </p>
 
@@ -228,12 +269,149 @@ function welcomeEmail({ postcode, radius, manageUrl, unsubscribeUrl }) {
         ${footerExtras}
 
         <p style="margin:6px 0 0;color:#858b93;font-size:11px;">
-          You’re receiving this email because you created an NHS dentist alert on DentistRadar for <b>${esc(postcode)}</b>.
+          You’re receiving this email because you created an ${copy.noun} alert on ${copy.brand} for <b>${esc(postcode)}</b>.
+        </p>
+      </div>
+    </div>
+  </div>`;
+  const subject = `${copy.brand} — alert active for ${postcode}`;
+  return { subject, html };
+}
+
+/* ───────── Coverage email (waitlist → active) ───────── */
+
+function coverageEmail({ postcode, radius, region, manageUrl, unsubscribeUrl, serviceType }) {
+  const copy = serviceCopy(serviceType);
+  const where = regionLabel(region || detectUkRegion(postcode));
+  const footerExtras = manageFooter({ manageUrl, unsubscribeUrl, copy, serviceType, postcode });
+
+  const html = `
+  <div style="background:#f3f5f9;padding:16px 0">
+    <div style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;border:1px solid #dde2ec;overflow:hidden;font:14px/1.5 -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#111;-webkit-font-smoothing:antialiased">
+      
+      <!-- Top bar / brand -->
+      <div style="background:#0b57d0;color:#ffffff;padding:12px 18px;border-bottom:1px solid #0a4cbc">
+        <div style="font-size:16px;font-weight:600;">${copy.brand}</div>
+        <div style="font-size:12px;opacity:0.9;">${copy.tagline}</div>
+      </div>
+
+      <div style="padding:18px 18px 20px">
+        <h2 style="margin:0 0 6px;font-size:18px;">We now cover your area</h2>
+        <p style="margin:0 0 10px;color:#444;font-size:13px;">
+          When you signed up, ${copy.brand} didn’t search ${copy.noun} listings in ${esc(where)} yet, so we put your alert
+          on our waitlist. That has changed: your alert is now active and we’ll email you when ${copy.plural} near you are
+          clearly ${copy.accepting}.
+        </p>
+
+        <table role="presentation" style="border-collapse:collapse;margin:8px 0 14px;">
+          <tr>
+            <td style="padding:6px 10px 6px 0;font-size:13px;color:#555;">Postcode</td>
+            <td style="padding:6px 0;font-size:13px;color:#111;"><b>${esc(postcode)}</b></td>
+          </tr>
+          <tr>
+            <td style="padding:6px 10px 6px 0;font-size:13px;color:#555;">Radius</td>
+            <td style="padding:6px 0;font-size:13px;color:#111;"><b>${radius} miles</b></td>
+          </tr>
+          <tr>
+            <td style="padding:6px 10px 6px 0;font-size:13px;color:#555;">Alert type</td>
+            <td style="padding:6px 0;font-size:13px;color:#111;">${copy.plural} currently ${copy.accepting}</td>
+          </tr>
+        </table>
+
+        <p style="margin:10px 0 0;color:#666;font-size:12px;">
+          You don’t need to do anything. If you no longer need this alert, you can stop it below.
+        </p>
+
+        <hr style="border:0;border-top:1px solid #edf0f5;margin:16px 0 8px">
+
+        ${footerExtras}
+
+        <p style="margin:6px 0 0;color:#858b93;font-size:11px;">
+          You’re receiving this email because you joined the ${copy.brand} waitlist for <b>${esc(postcode)}</b>.
+        </p>
+      </div>
+    </div>
+  </div>`;
+  const subject = `${copy.brand} — we now cover ${postcode}`;
+  return { subject, html };
+}
+
+/* ───────── Digest email (daily / weekly delivery) ───────── */
+
+const DIGEST_LABEL = { daily: "Daily", weekly: "Weekly" };
+
+function digestEmail({ postcode, radius, practices, mode, since, manageUrl, unsubscribeUrl, serviceType }) {
+  const copy = serviceCopy(serviceType);
+  // Items left over after switching back to instant alerts: "Latest"
+  const label = DIGEST_LABEL[mode] || "Latest";
+  const count = practices.length;
+  const from = since
+    ? new Date(since).toLocaleDateString("en-GB", { day: "numeric", month: "long" })
+    : "";
+
+  // Queued practices keep the scanner's field names
+  const rows = practices
+    .map((p, i) => rowPractice({ ...p, detailUrl: p.detailUrl || p.nhsUrl }, i + 1, copy))
+    .join("");
+
+  const footerExtras = manageFooter({ manageUrl, unsubscribeUrl, copy, serviceType, postcode });
+
+  const html = `
+  <div style="background:#f3f5f9;padding:16px 0">
+    <div style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;border:1px solid #dde2ec;overflow:hidden;font:14px/1.5 -apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#111;-webkit-font-smoothing:antialiased">
+      
+      <!-- Top bar / brand -->
+      <div style="background:#0b57d0;color:#ffffff;padding:12px 18px;border-bottom:1px solid #0a4cbc">
+        <div style="font-size:16px;font-weight:600;">${copy.brand}</div>
+        <div style="font-size:12px;opacity:0.9;">${copy.tagline}</div>
+      </div>
+
+      <div style="padding:16px 18px 18px">
+        <div style="margin-bottom:10px;">
+          <h2 style="margin:0 0 4px;font-size:18px;">${label} digest: ${copy.plural} ${copy.accepting}</h2>
+          <div style="color:#646A73;font-size:13px;">
+            Search area: <b>${esc(postcode)}</b> within <b>${radius} miles</b>${from ? ` • New since ${esc(from)}` : ""}
+          </div>
+        </div>
+
+        ${headerSummary({ postcode, radius, count })}
+
+        <table role="presentation" width="100%" style="border-collapse:collapse;border:1px solid #edf0f5;border-radius:6px;overflow:hidden">
+          <thead>
+            <tr style="background:#fafbff">
+              <th style="text-align:left;padding:9px 10px;border-bottom:1px solid #edf0f5;width:42px;font-size:12px;color:#555;">#</th>
+              <th style="text-align:left;padding:9px 10px;border-bottom:1px solid #edf0f5;font-size:12px;color:#555;">Practice</th>
+              <th style="text-align:left;padding:9px 10px;border-bottom:1px solid #edf0f5;font-size:12px;color:#555;">Address</th>
+              <th style="text-align:left;padding:9px 10px;border-bottom:1px solid #edf0f5;font-size:12px;color:#555;">Phone</th>
+              <th style="text-align:left;padding:9px 10px;border-bottom:1px solid #edf0f5;font-size:12px;color:#555;">Distance</th>
+              <th style="text-align:left;padding:9px 10px;border-bottom:1px solid #edf0f5;font-size:12px;color:#555;">Links</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+
+        <p style="margin:14px 0 4px;color:#444;font-size:13px;">
+          These are the ${copy.plural} we found <b>${copy.accepting}</b> since your last digest.${
+            DIGEST_LABEL[mode]
+              ? ` You chose a ${mode} summary instead of an email for each find – you can switch back to instant alerts from your alerts page.`
+              : ""
+          }
+        </p>
+        <p style="margin:4px 0 0;color:#666;font-size:12px;">
+          Availability can change quickly. Please always call the practice before travelling, and confirm that NHS registrations are still open.
+        </p>
+
+        <hr style="border:0;border-top:1px solid #edf0f5;margin:16px 0 8px">
+
+        ${footerExtras}
+
+        <p style="margin:6px 0 0;color:#858b93;font-size:11px;">
+          You’re receiving this digest because you set up an ${copy.noun} watch for <b>${esc(postcode)}</b> on ${copy.brand}.
         </p>
       </div>
     </div>
   </div>`;
-  const subject = `DentistRadar — alert active for ${postcode}`;
+  const subject = `${copy.brand} — ${label.toLowerCase()} digest for ${postcode}: ${count} ${copy.acceptingShort}`;
   return { subject, html };
 }
 
@@ -242,8 +420,10 @@ function welcomeEmail({ postcode, radius, manageUrl, unsubscribeUrl }) {
 function renderEmail(kind, data) {
   if (kind === "availability") return availabilityEmail(data);
   if (kind === "welcome") return welcomeEmail(data);
+  if (kind === "coverage") return coverageEmail(data);
+  if (kind === "digest") return digestEmail(data);
   return { subject: "DentistRadar", html: "<div>DentistRadar</div>" };
 }
 
-export { renderEmail };
+export { renderEmail, serviceCopy };
 export default { renderEmail };
@@ -27,6 +27,7 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { scanPostcode } from "./scanner.js"; // uses your production scanner
+import { RULESET_VERSION } from "./lib/acceptance-classifier.js";
 import "dotenv/config";
 
 // Optional Mongo persistence
@@ -209,6 +210,13 @@ async function runSnapshot() {
     const notAccepting = all.filter((p) => p.status === "notAccepting").length;
     const unknown = all.filter((p) => p.status === "unknown").length;
 
+    // Which classifier rules drove the numbers (useful after a rule change)
+    const ruleCounts = {};
+    for (const p of all) {
+      const rule = p.acceptance?.rule || "not_checked";
+      ruleCounts[rule] = (ruleCounts[rule] || 0) + 1;
+    }
+
     // Group by seedArea (proxy geography)
     const byArea = new Map();
     for (const p of all) {
@@ -239,6 +247,8 @@ async function runSnapshot() {
       notAccepting,
       unknown,
       acceptingRatePct: all.length ? Number((accepting / all.length) * 100).toFixed(2) : "0.00",
+      rulesetVersion: RULESET_VERSION,
+      ruleCounts,
       topAreas,
       bottomAreas,
       note:
@@ -293,6 +303,8 @@ async function runSnapshot() {
         vcode: p.vcode,
         name: p.name,
         status: p.status,
+        statusRule: p.acceptance?.rule ?? "",
+        rulesetVersion: p.acceptance?.rulesetVersion ?? RULESET_VERSION,
         distanceMiles: p.distanceMiles ?? null,
         distanceText: p.distanceText ?? "",
         address: p.address ?? "",
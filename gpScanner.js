@@ -0,0 +1,190 @@
+// gpScanner.js – GP Radar scanner (NHS find-a-GP)
+//
+// Same contract as scanPostcode() in scanner.js, for GP surgeries:
+// - Walks find-a-GP result pages (lib/gp-parser.js) until the radius is
+//   exhausted (SCAN_MAX_PAGES cap)
+// - Registration status from the result card when it states one, otherwise
+//   from the surgery's profile page (GP_PROFILE_CONCURRENCY, default 3)
+// - Accepting surgeries that only register people in their practice area
+//   carry p.acceptance.catchmentOnly
+// - Same fetch (retries, circuit breaker, shared crawl budget), distance
+//   and degraded rules as the dentist scanner
+//
+// Result: { serviceType: "gp", accepting, notAccepting, unknown, ...counts }
+// with practices keyed by p.odsCode.
+
+import "dotenv/config";
+import { hasNextPage, htmlToText } from "./lib/nhs-results-parser.js";
+import {
+  buildGpSearchUrl,
+  classifyRegistration,
+  describeRegistration,
+  parseGpResults,
+} from "./lib/gp-parser.js";
+import { lookupPostcode } from "./lib/postcode-geo.js";
+import { getDefaultTransport } from "./lib/transport.js";
+import {
+  fetchPage,
+  applyDistance,
+  byDistance,
+  withinRadius,
+  runPoolStream,
+  isCircuitOpen,
+} from "./scanner.js";
+
+const SCAN_STATUS = {
+  accepting: "accepting",
+  not_accepting: "notAccepting",
+  unknown: "unknown",
+};
+
+async function fetchGpResultPages(postcode, radius, maxPages, transport) {
+  const seen = new Set();
+  const practices = [];
+  let pagesRead = 0;
+  let truncated = false;
+  let degradedReason = null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    let html;
+    try {
+      ({ body: html } = await fetchPage(
+        buildGpSearchUrl(postcode, radius, page),
+        page > 1 ? `gp search p${page}` : "gp search",
+        transport
+      ));
+    } catch (err) {
+      if (!(page === 1 && err.kind === "client" && err.status === 404)) {
+        degradedReason = `search_${err.kind}`;
+        if (page > 1) truncated = true;
+      }
+      break;
+    }
+    pagesRead++;
+
+    const fresh = parseGpResults(html, postcode).filter((p) => {
+      if (seen.has(p.odsCode)) return false;
+      seen.add(p.odsCode);
+      return true;
+    });
+    practices.push(...fresh);
+
+    if (fresh.length === 0) break;
+
+    const farthest = Math.max(
+      ...fresh.map((p) => (typeof p.distanceMiles === "number" ? p.distanceMiles : 0))
+    );
+    if (farthest > radius + 0.2) break;
+
+    if (!hasNextPage(html, page)) break;
+
+    if (page === maxPages) {
+      truncated = true;
+      console.warn(`[GP] ${postcode} (${radius}mi) hit page cap ${maxPages} – results cut short`);
+    }
+  }
+
+  return { practices, pagesRead, truncated, degradedReason };
+}
+
+function applyRegistration(p, registration, sourceUrl) {
+  p.status = SCAN_STATUS[registration.status] || "unknown";
+  p.acceptance = {
+    status: p.status,
+    catchmentOnly: registration.catchmentOnly,
+    rule: registration.rule,
+    rulesetVersion: registration.rulesetVersion,
+  };
+  p.statusEvidence = registration.evidence || "";
+  p.evidenceUrl = registration.evidence ? sourceUrl : "";
+  if (p.status === "accepting") p.patientType = describeRegistration(registration);
+  delete p.registration;
+  return p;
+}
+
+export async function scanGpPostcode(postcode, radiusMiles, opts = {}) {
+  const started = Date.now();
+  const radius = Number(radiusMiles) || 5;
+  const maxPages = Number(opts.maxPages) || Number(process.env.SCAN_MAX_PAGES) || 5;
+  const transport = opts.transport || getDefaultTransport();
+
+  console.log(`[GP] Searching NHS GPs for ${postcode} (${radius}mi)`);
+
+  const {
+    practices: parsed,
+    pagesRead,
+    truncated,
+    degradedReason: searchFailure,
+  } = await fetchGpResultPages(postcode, radius, maxPages, transport);
+
+  const origin = lookupPostcode(postcode);
+  for (const p of parsed) applyDistance(p, origin);
+
+  const filtered = parsed.filter((p) => withinRadius(p, radius)).sort(byDistance);
+
+  let profilesRead = 0;
+  let fetchErrors = 0;
+
+  const classifyOne = async (p) => {
+    // the card already said
+    if (p.registration.lock || !p.nhsUrl) {
+      return applyRegistration(p, p.registration, p.nhsUrl);
+    }
+
+    try {
+      const page = await fetchPage(p.nhsUrl, "gp profile", transport);
+      profilesRead++;
+      return applyRegistration(p, classifyRegistration(htmlToText(page.body), page.body), page.url);
+    } catch (err) {
+      fetchErrors++;
+      p.fetchError = err?.kind || "network";
+      return applyRegistration(p, p.registration, p.nhsUrl);
+    }
+  };
+
+  const concurrency = Number(process.env.GP_PROFILE_CONCURRENCY) || 3;
+  const enriched = new Array(filtered.length);
+  for await (const { index, value } of runPoolStream(filtered, concurrency, classifyOne)) {
+    enriched[index] = value;
+  }
+
+  const accepting = enriched.filter((p) => p.status === "accepting");
+  const notAccepting = enriched.filter((p) => p.status === "notAccepting");
+  const unknown = enriched.filter((p) => p.status === "unknown");
+
+  const failShare = Number(process.env.SCAN_DEGRADED_FAIL_SHARE) || 0.5;
+  let degradedReason = searchFailure;
+  if (!degradedReason && isCircuitOpen(buildGpSearchUrl(postcode, radius))) {
+    degradedReason = "circuit_open";
+  }
+  if (!degradedReason && profilesRead + fetchErrors > 0 && fetchErrors / (profilesRead + fetchErrors) >= failShare) {
+    degradedReason = "profile_failures";
+  }
+  if (degradedReason) {
+    console.warn(`[GP] ${postcode} (${radius}mi) DEGRADED: ${degradedReason}`);
+  }
+
+  console.log(
+    `[GP] ${postcode} (${radius}mi): ${accepting.length} accepting / ${enriched.length} surgeries (${profilesRead} profile page(s) read)`
+  );
+
+  return {
+    serviceType: "gp",
+    postcode,
+    radiusMiles: radius,
+    acceptingCount: accepting.length,
+    notAcceptingCount: notAccepting.length,
+    unknownCount: unknown.length,
+    scanned: enriched.length,
+    accepting,
+    notAccepting,
+    unknown,
+    pagesRead,
+    truncated,
+    profilesRead,
+    fetchErrors,
+    degraded: !!degradedReason,
+    degradedReason,
+    tookMs: Date.now() - started,
+  };
+}
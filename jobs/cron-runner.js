@@ -2,6 +2,30 @@ require("dotenv").config();
 const mongoose = require("mongoose");
 const { runOdsSync } = require("./ods-sync");
 const { runNhsSnapshotBatch } = require("./nhs-snapshot");
+const { runPracticeProfileBatch } = require("./practice-profiles");
+
+// ALERT_MODE=snapshot: the server alerts watches from the transitions this
+// batch recorded (POST /api/admin/run-transition-alerts)
+async function triggerTransitionAlerts() {
+  const base = process.env.CRON_BASE_URL || process.env.PUBLIC_ORIGIN;
+  const token = process.env.ADMIN_TOKEN;
+  if (!base || !token) {
+    console.log("ℹ️ Skipping transition alerts (set CRON_BASE_URL and ADMIN_TOKEN)");
+    return null;
+  }
+
+  const res = await fetch(
+    `${base}/api/admin/run-transition-alerts?token=${encodeURIComponent(token)}`,
+    { method: "POST", signal: AbortSignal.timeout(120000) }
+  );
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data?.ok) {
+    throw new Error(
+      `run-transition-alerts returned ${res.status}${data?.error ? ` (${data.error})` : ""}`
+    );
+  }
+  return data.summary;
+}
 
 async function main() {
   const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI;
@@ -24,6 +48,28 @@ async function main() {
   const snap = await runNhsSnapshotBatch();
   console.log("✅ Snapshot done:", snap);
 
+  if ((process.env.ALERT_MODE || "scan").toLowerCase() === "snapshot") {
+    try {
+      const alerts = await triggerTransitionAlerts();
+      if (alerts) {
+        const { results, ...counts } = alerts;
+        console.log("✅ Transition alerts done:", counts);
+      }
+    } catch (err) {
+      // the events stay un-notified – the next batch picks them up
+      console.error("❌ Transition alerts failed:", err?.message || err);
+    }
+  }
+
+  // Optional facilities / services profiles (watch filters)
+  if ((process.env.DO_PRACTICE_PROFILES || "0") === "1") {
+    console.log("🏷️ Running practice profile batch...");
+    const prof = await runPracticeProfileBatch();
+    console.log("✅ Profiles done:", prof);
+  } else {
+    console.log("ℹ️ Skipping practice profiles (set DO_PRACTICE_PROFILES=1 to enable)");
+  }
+
   await mongoose.disconnect();
   console.log("✅ Mongo disconnected");
 }
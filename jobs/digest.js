@@ -0,0 +1,205 @@
+// jobs/digest.js – daily / weekly digest emails
+//
+// A watch with deliveryMode "daily" or "weekly" doesn't get an email per
+// find: alertWatch (server.js) queues each new or accepting-again practice
+// as a DigestItem. This job runs hourly (POST /api/admin/run-digests,
+// cron.digests.js) and, for each watch with queued items:
+//  - waits for the watch's slot – digestHour UK time, every day or on
+//    digestDay – unless it has already had that slot's digest
+//  - drops items for practices seen not accepting since they were queued
+//    (lib/alert-state.js notAcceptingSince)
+//  - renders the rest with renderEmail("digest"), sends them as type
+//    "digest", deletes the items and moves lastDigestAt on
+//
+// A failed send leaves the items for the next run. Items left over when a
+// watch goes back to "instant" go out with the next run; an unsubscribed
+// watch's items are dropped.
+
+import { Watch, DigestItem } from "../models.js";
+import { renderEmail } from "../emailTemplates.js";
+import { DEFAULT_RADAR_ID } from "../lib/radars/index.js";
+
+const SITE = process.env.PUBLIC_ORIGIN || "https://www.dentistradar.co.uk";
+
+const TZ = "Europe/London";
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Watch defaults (models.js): 08:00, Monday
+const DEFAULT_HOUR = 8;
+const DEFAULT_DAY = 1;
+
+// UK calendar day (YYYY-MM-DD), hour and weekday of a moment
+function ukParts(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: TZ,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+      weekday: "short",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// UK day of the watch's latest digest slot at or before `now`
+function lastSlotDay(w, now) {
+  const hour = w.digestHour ?? DEFAULT_HOUR;
+  const weekday = w.digestDay ?? DEFAULT_DAY;
+
+  for (let back = 0; back <= 7; back++) {
+    const uk = ukParts(new Date(now.getTime() - back * DAY_MS));
+    if (back === 0 && uk.hour < hour) continue;
+    if (w.deliveryMode === "weekly" && uk.weekday !== weekday) continue;
+    return uk.day;
+  }
+  return null;
+}
+
+/**
+ * Whether a watch's queued items should go out now: its latest slot has
+ * passed and lastDigestAt is from before that slot's day. Watches no
+ * longer on a digest mode are always due (leftover items).
+ */
+export function isDigestDue(w, now = new Date()) {
+  if (w.deliveryMode !== "daily" && w.deliveryMode !== "weekly") return true;
+
+  const slot = lastSlotDay(w, now);
+  if (!slot) return false;
+  return !w.lastDigestAt || ukParts(new Date(w.lastDigestAt)).day < slot;
+}
+
+const byDistance = (a, b) =>
+  (typeof a.distanceMiles === "number" ? a.distanceMiles : Infinity) -
+  (typeof b.distanceMiles === "number" ? b.distanceMiles : Infinity);
+
+/**
+ * @param {object} opts
+ * @param {Function} opts.sendEmail  (to, subject, html, type, meta) – server.js sendEmailHTML
+ * @param {boolean} [opts.dryRun]    report which digests are due, send nothing
+ * @param {Date}    [opts.now]
+ * @returns {{ dryRun, watches, due, sent, failed, practices, droppedClosed, droppedInactive }}
+ */
+export async function runDigests({ sendEmail, dryRun = false, now = new Date() } = {}) {
+  const summary = {
+    dryRun,
+    watches: 0,
+    due: 0,
+    sent: 0,
+    failed: 0,
+    practices: 0,
+    droppedClosed: 0,
+    droppedInactive: 0,
+  };
+
+  const watchIds = await DigestItem.distinct("watchId");
+  if (!watchIds.length) return summary;
+
+  const watches = await Watch.find({ _id: { $in: watchIds } }).lean();
+  summary.watches = watches.length;
+
+  // Items whose watch was deleted outright
+  const known = new Set(watches.map((w) => String(w._id)));
+  const orphans = watchIds.filter((id) => !known.has(String(id)));
+  if (orphans.length && !dryRun) {
+    const r = await DigestItem.deleteMany({ watchId: { $in: orphans } });
+    summary.droppedInactive += r.deletedCount || 0;
+  }
+
+  for (const w of watches) {
+    if (w.active === false) {
+      if (!dryRun) {
+        const r = await DigestItem.deleteMany({ watchId: w._id });
+        summary.droppedInactive += r.deletedCount || 0;
+      }
+      continue;
+    }
+    if (!isDigestDue(w, now)) continue;
+    summary.due++;
+
+    const items = await DigestItem.find({ watchId: w._id }).lean();
+
+    // Closed again since it was queued – no longer news
+    const closedSince = new Map(
+      (w.practiceAlerts || [])
+        .filter((s) => s.notAcceptingSince)
+        .map((s) => [s.key, new Date(s.notAcceptingSince).getTime()])
+    );
+    const live = items.filter(
+      (i) => !(closedSince.get(i.practiceKey) > new Date(i.queuedAt).getTime())
+    );
+    summary.droppedClosed += items.length - live.length;
+
+    if (dryRun) {
+      summary.practices += live.length;
+      continue;
+    }
+
+    if (!live.length) {
+      await DigestItem.deleteMany({ _id: { $in: items.map((i) => i._id) } });
+      continue;
+    }
+
+    const serviceType = w.serviceType || DEFAULT_RADAR_ID;
+    const radius = w.radius || w.radiusMiles || 5;
+    const practices = live
+      .map((i) => ({ ...i.practice, acceptingAgain: i.acceptingAgain }))
+      .sort(byDistance);
+
+    let sent = null;
+    try {
+      const { subject, html } = renderEmail("digest", {
+        postcode: w.postcode,
+        radius,
+        practices,
+        mode: w.deliveryMode,
+        since: w.lastDigestAt,
+        manageUrl: `${SITE}/my-alerts.html?email=${encodeURIComponent(w.email)}`,
+        unsubscribeUrl: `${SITE}/unsubscribe/${w._id}`,
+        serviceType,
+      });
+      sent = await sendEmail(w.email, subject, html, "digest", {
+        postcode: w.postcode,
+        radius,
+        serviceType,
+        deliveryMode: w.deliveryMode,
+        acceptingCount: practices.length,
+        acceptingAgainCount: practices.filter((p) => p.acceptingAgain).length,
+        watchId: w._id,
+      });
+    } catch (e) {
+      console.error(`[DIGEST] email error for ${w._id}:`, e?.message || e);
+    }
+
+    if (!sent?.ok) {
+      summary.failed++;
+      continue;
+    }
+
+    await DigestItem.deleteMany({ _id: { $in: items.map((i) => i._id) } });
+    await Watch.updateOne({ _id: w._id }, { $set: { lastDigestAt: now } });
+    summary.sent++;
+    summary.practices += practices.length;
+
+    console.log(
+      `[DIGEST] Sent ${w.deliveryMode} digest to ${w.email} for ${w.postcode} (${radius}mi) – ${practices.length} practice(s)`
+    );
+  }
+
+  if (summary.due) {
+    console.log(
+      `[DIGEST] ${summary.due} digest(s) due, ${summary.sent} sent, ${summary.failed} failed. dryRun=${dryRun}`
+    );
+  }
+
+  return summary;
+}
@@ -1,18 +1,36 @@
 // nhs-snapshot.js (CANONICAL URL + practicevcodes source + appointments authoritative)
-
-const axios = require("axios");
+//
+// Acceptance comes from the configured PracticeSource (PRACTICE_SOURCE=html
+// scrapes /appointments with the overview page as fallback; =api reads the
+// NHS directory API) – see lib/practice-source.js.
+//
+// Snapshots cover the dentist radar's V-code universe; rows carry the
+// radar id so other radars can snapshot into the same collections.
+//
+// Each check goes through lib/practice-status.js, whose events record
+// previousStatus – the practice's last successful status – so
+// not_accepting → accepting transitions can be read straight off
+// PracticeStatusEvent (transition alerts, ALERT_MODE=snapshot).
+
+const { getDefaultTransport } = require("../lib/transport");
+const {
+  transportFetcher,
+  createPracticeSource,
+} = require("../lib/practice-source");
 
 // IMPORTANT: swap source from ODS -> VCODE master
 const PracticeVcode = require("../models/PracticeVcode");
 
 const PracticeStatusLatest = require("../models/PracticeStatusLatest");
-const PracticeStatusEvent = require("../models/PracticeStatusEvent");
-
-const UA =
-  process.env.CRAWLER_USER_AGENT ||
-  "DentistRadar snapshot bot (contact: admin@yourdomain)";
+const { recordPracticeStatus } = require("../lib/practice-status");
+const {
+  classifyAcceptance,
+  extractEvidenceSnippet,
+} = require("../lib/acceptance-classifier");
+const { getRadar, radarQuery } = require("../lib/radars");
 
-const VCODE_REGEX = /^V\d{6}$/i;
+const RADAR = getRadar("dentist");
+const VCODE_REGEX = RADAR.codePattern;
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
@@ -22,95 +40,6 @@ function randBetween(min, max) {
   return Math.floor(min + Math.random() * (max - min + 1));
 }
 
-function stripHtml(html) {
-  return String(html || "")
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-// Returns { status, lock, reason }
-// lock=true means "do NOT override this based on other pages"
-function parseNhsAcceptance(allText) {
-  const t = String(allText || "").toLowerCase().replace(/\s+/g, " ");
-
-  // NOT ACCEPTING (strongest)
-  if (/not\s+accepting\s+new\s+nhs\s+patients/.test(t))
-    return { status: "not_accepting", lock: true, reason: "explicit_not_accepting" };
-
-  if (/not\s+taking\s+on\s+new\s+nhs\s+patients/.test(t))
-    return { status: "not_accepting", lock: true, reason: "explicit_not_taking_on" };
-
-  if (/currently\s+not\s+accepting\s+nhs\s+patients/.test(t))
-    return { status: "not_accepting", lock: true, reason: "explicit_currently_not" };
-
-  // NOT CONFIRMED => UNKNOWN (absolute override)
-  if (
-    /(has\s+not\s+confirmed|hasn't\s+confirmed|not\s+confirmed)\b/.test(t) &&
-    /new\s+nhs\s+patients/.test(t)
-  ) {
-    return { status: "unknown", lock: true, reason: "not_confirmed" };
-  }
-
-  // ACCEPTING (explicit only)
-  if (/when\s+availability\s+allows.{0,80}accepts\s+new\s+nhs\s+patients/.test(t))
-    return { status: "accepting", lock: true, reason: "availability_allows_accepts" };
-
-  if (/accepting\s+new\s+nhs\s+patients/.test(t))
-    return { status: "accepting", lock: true, reason: "explicit_accepting" };
-
-  if (/accepts\s+new\s+nhs\s+patients/.test(t))
-    return { status: "accepting", lock: true, reason: "explicit_accepts" };
-
-  if (/taking\s+on\s+new\s+nhs\s+patients/.test(t))
-    return { status: "accepting", lock: true, reason: "explicit_taking_on" };
-
-  return { status: "unknown", lock: false, reason: "no_signal" };
-}
-
-function extractEvidenceSnippet(htmlOrText) {
-  const plain = stripHtml(htmlOrText);
-  const lower = plain.toLowerCase();
-
-  const needles = [
-    "has not confirmed",
-    "hasn't confirmed",
-    "not confirmed",
-    "not accepting new nhs patients",
-    "not taking on new nhs patients",
-    "currently not accepting nhs patients",
-    "accepting new nhs patients",
-    "accepts new nhs patients",
-    "when availability allows",
-  ];
-
-  let idx = -1;
-  for (const n of needles) {
-    idx = lower.indexOf(n);
-    if (idx !== -1) break;
-  }
-  if (idx === -1) return "";
-  return plain.slice(Math.max(0, idx - 160), Math.min(plain.length, idx + 320));
-}
-
-async function fetchWithAxios(url) {
-  const res = await axios.get(url, {
-    timeout: Number(process.env.HTTP_TIMEOUT_MS || 25000),
-    maxRedirects: 5,
-    headers: {
-      "User-Agent": UA,
-      "Accept-Language": "en-GB,en;q=0.9",
-    },
-    validateStatus: (s) => s >= 200 && s < 400,
-  });
-
-  const html = res.data || "";
-  const finalUrl = res.request?.res?.responseUrl || url;
-  return { html, finalUrl, statusCode: res.status };
-}
-
 function canonicalBaseUrl(url) {
   return String(url || "").replace(/\/appointments\/?$/, "");
 }
@@ -124,6 +53,7 @@ function safeBaseUrl(nhsUrl) {
 async function selectBatch(batchSize) {
   // Only consider checked V-codes
   const checkedCodes = await PracticeStatusLatest.find({
+    radar: radarQuery(RADAR.id),
     code: { $regex: VCODE_REGEX },
   })
     .select({ code: 1 })
@@ -142,6 +72,7 @@ async function selectBatch(batchSize) {
 
   // If we need more, re-check oldest
   const oldest = await PracticeStatusLatest.find({
+    radar: radarQuery(RADAR.id),
     code: { $regex: VCODE_REGEX },
   })
     .sort({ checkedAt: 1 })
@@ -157,7 +88,10 @@ async function selectBatch(batchSize) {
   return [...neverChecked, ...oldestPractices];
 }
 
-async function runNhsSnapshotBatch() {
+async function runNhsSnapshotBatch({
+  transport = getDefaultTransport(),
+  source = createPracticeSource(transportFetcher(transport)),
+} = {}) {
 
   const batchSizeEnv = parseInt(process.env.BATCH_SIZE || "", 10);
   const batchSize = Number.isFinite(batchSizeEnv) && batchSizeEnv > 0 ? batchSizeEnv : 200;
@@ -177,6 +111,7 @@ async function runNhsSnapshotBatch() {
   let okCount = 0;
   let errCount = 0;
   let skippedNonV = 0;
+  let transitions = 0; // not_accepting → accepting
 
   for (const p of batch) {
     const code = p.vcode || p.code; // safety
@@ -189,6 +124,9 @@ async function runNhsSnapshotBatch() {
 
     let status = "unknown";
     let evidence = "";
+    let acceptance = classifyAcceptance("").cohorts;
+    let rulesetVersion = null;
+    let nhsLastUpdated = null;
     let ok = true;
     let error = "";
 
@@ -211,34 +149,21 @@ async function runNhsSnapshotBatch() {
       statusReason = "missing_base_url";
     } else {
       try {
-        // 1) Appointments authoritative
-        const apptUrl = `${baseUrl}/appointments`;
-        const { html: apptHtml, finalUrl: apptFinalUrl, statusCode } =
-          await fetchWithAxios(apptUrl);
-
-        appointmentsUrlUsed = apptFinalUrl;
-        httpStatus = statusCode;
-
-        const apptParsed = parseNhsAcceptance(stripHtml(apptHtml));
-        status = apptParsed.status;
-        evidence = extractEvidenceSnippet(apptHtml);
-        statusSource = "appointments";
-        statusReason = apptParsed.reason;
-
-        // 2) Fallback only if "no signal"
-        if (apptParsed.lock === false && status === "unknown") {
-          const { html: mainHtml, finalUrl, statusCode: mainStatus } =
-            await fetchWithAxios(baseUrl);
-          httpStatus = mainStatus;
-
-          const mainParsed = parseNhsAcceptance(stripHtml(mainHtml));
-          if (mainParsed.lock === true && mainParsed.status !== "unknown") {
-            status = mainParsed.status;
-            evidence = extractEvidenceSnippet(mainHtml);
-            statusSource = "main";
-            statusReason = mainParsed.reason;
-          }
-        }
+        // Appointments authoritative; overview page only on "no signal"
+        const res = await source.getAcceptance(
+          { vcode: code, nhsUrl: baseUrl },
+          { fallbackToMain: true }
+        );
+
+        appointmentsUrlUsed = res.appointmentsUrl || res.sourceUrl;
+        httpStatus = res.httpStatus;
+        status = res.verdict.status;
+        nhsLastUpdated = res.lastUpdated;
+        evidence = extractEvidenceSnippet(res.html || res.text);
+        acceptance = res.verdict.cohorts;
+        rulesetVersion = res.verdict.rulesetVersion;
+        statusSource = res.statusSource;
+        statusReason = res.verdict.rule;
       } catch (e) {
         ok = false;
         const sc = e?.response?.status;
@@ -250,51 +175,52 @@ async function runNhsSnapshotBatch() {
       }
     }
 
-    const latestDoc = {
-      code, // store as code for snapshot collections
-      // carry through metadata from practicevcodes
-      name: p.name || "",
-      postcode: p.postcode || p.postcodeGuess || "",
-      region: p.region || "Unknown",
-      nhsUrl: baseUrl || canonicalBaseUrl(appointmentsUrlUsed) || "",
-      status,
-      statusEvidence: evidence,
-      checkedAt,
-      statusSource,
-      statusReason,
-      appointmentsUrlUsed,
-      baseUrlUsed,
-      httpStatus,
-      ok,
-      error,
-    };
-
-    await PracticeStatusLatest.updateOne(
-      { code },
-      { $set: latestDoc },
-      { upsert: true }
-    );
+    const nhsUrl = baseUrl || canonicalBaseUrl(appointmentsUrlUsed) || "";
+    const region = p.region || "Unknown";
 
-    await PracticeStatusEvent.create({
+    const { opened } = await recordPracticeStatus({
       code,
-      region: p.region || "Unknown",
+      radar: RADAR.id,
       status,
-      checkedAt,
-      nhsUrl: latestDoc.nhsUrl,
       ok,
-      error,
-      statusSource,
-      statusReason,
-      appointmentsUrlUsed,
-      baseUrlUsed,
-      httpStatus,
+      at: checkedAt,
+      latest: {
+        // carry through metadata from practicevcodes
+        name: p.name || "",
+        postcode: p.postcode || p.postcodeGuess || "",
+        region,
+        nhsUrl,
+        statusEvidence: evidence,
+        acceptance,
+        checkedAt,
+        statusSource,
+        statusReason,
+        rulesetVersion,
+        nhsLastUpdated,
+        appointmentsUrlUsed,
+        baseUrlUsed,
+        httpStatus,
+        error,
+      },
+      event: {
+        region,
+        nhsUrl,
+        error,
+        statusSource,
+        statusReason,
+        rulesetVersion,
+        appointmentsUrlUsed,
+        baseUrlUsed,
+        httpStatus,
+      },
     });
 
     if (ok) okCount++;
     else errCount++;
+    if (opened) transitions++;
   }
 
-  return { batchSize: batch.length, okCount, errCount, skippedNonV, checkedAt };
+  return { batchSize: batch.length, okCount, errCount, skippedNonV, transitions, checkedAt };
 }
 
 module.exports = { runNhsSnapshotBatch };
@@ -0,0 +1,143 @@
+// practice-profiles.js – facilities / services profiles for known V-codes
+//
+// - runPracticeProfileBatch(): cron batch over PracticeVcode, never-profiled
+//   practices first, then the oldest profiles
+// - loadProfiles(practices): profiles for a scan's practices, fetching any
+//   that are missing or older than PROFILE_MAX_AGE_DAYS (used by runAllScans
+//   for watches with filters)
+
+const { getDefaultTransport } = require("../lib/transport");
+const { CRAWLER_USER_AGENT } = require("../lib/crawl-budget");
+const { extractFacilities } = require("../lib/practice-facilities");
+
+const PracticeVcode = require("../models/PracticeVcode");
+const PracticeProfile = require("../models/PracticeProfile");
+
+const VCODE_REGEX = /^V\d{6}$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROFILE_MAX_AGE_DAYS = Number(process.env.PROFILE_MAX_AGE_DAYS) || 30;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function baseUrlOf(nhsUrl) {
+  return String(nhsUrl || "")
+    .trim()
+    .replace(/\/appointments\/?$/, "")
+    .replace(/\/+$/, "");
+}
+
+async function getHtml(url, transport) {
+  const res = await transport.get(url, {
+    timeoutMs: Number(process.env.HTTP_TIMEOUT_MS || 25000),
+    headers: {
+      "User-Agent": CRAWLER_USER_AGENT,
+      "Accept-Language": "en-GB,en;q=0.9",
+    },
+  });
+  return { status: res.status, html: res.body || "", finalUrl: res.url || url };
+}
+
+/**
+ * Fetch + store one practice's profile. The facilities tab is preferred;
+ * practices without one fall back to the overview page.
+ */
+async function refreshProfile(vcode, nhsUrl, transport = getDefaultTransport()) {
+  const base = baseUrlOf(nhsUrl);
+  const doc = { vcode, nhsUrl: base, fetchedAt: new Date(), ok: true, error: "" };
+
+  try {
+    if (!base) throw new Error("missing_nhsUrl");
+
+    let page = await getHtml(`${base}/facilities`, transport);
+    if (page.status === 404) page = await getHtml(base, transport);
+    if (page.status < 200 || page.status >= 400) {
+      throw new Error(`HTTP_${page.status}`);
+    }
+
+    Object.assign(doc, extractFacilities(page.html), { sourceUrl: page.finalUrl });
+  } catch (e) {
+    doc.ok = false;
+    doc.error = e?.message || String(e);
+  }
+
+  // a failed fetch keeps whatever facilities we already had
+  await PracticeProfile.updateOne({ vcode }, { $set: doc }, { upsert: true });
+  return doc;
+}
+
+/**
+ * Map vcode -> profile for the given scan practices. Missing / stale
+ * profiles are fetched (at most PROFILE_FETCH_LIMIT per call).
+ */
+async function loadProfiles(practices, { transport = getDefaultTransport() } = {}) {
+  const vcodes = Array.from(
+    new Set(practices.map((p) => p.vcode).filter((v) => v && VCODE_REGEX.test(v)))
+  );
+  const out = new Map();
+  if (!vcodes.length) return out;
+
+  const rows = await PracticeProfile.find({ vcode: { $in: vcodes } }).lean();
+  for (const r of rows) out.set(r.vcode, r);
+
+  const cutoff = Date.now() - PROFILE_MAX_AGE_DAYS * DAY_MS;
+  const limit = Number(process.env.PROFILE_FETCH_LIMIT) || 20;
+
+  const toFetch = practices
+    .filter((p) => vcodes.includes(p.vcode))
+    .filter((p) => {
+      const r = out.get(p.vcode);
+      return !r || !r.fetchedAt || new Date(r.fetchedAt).getTime() < cutoff;
+    })
+    .slice(0, limit);
+
+  for (const p of toFetch) {
+    const doc = await refreshProfile(p.vcode, p.nhsUrl, transport);
+    if (doc.ok) out.set(p.vcode, doc);
+  }
+
+  return out;
+}
+
+async function runPracticeProfileBatch({ transport = getDefaultTransport() } = {}) {
+  const batchSize = Number(process.env.PROFILE_BATCH_SIZE) || 100;
+  const rateMs = Number(process.env.PROFILE_RATE_MS) || 1200;
+
+  const profiled = await PracticeProfile.find({}).select({ vcode: 1 }).lean();
+  const profiledSet = new Set(profiled.map((x) => x.vcode));
+
+  const never = await PracticeVcode.find({
+    vcode: { $regex: VCODE_REGEX, $nin: Array.from(profiledSet) },
+  })
+    .limit(batchSize)
+    .lean();
+
+  let batch = never;
+  if (batch.length < batchSize) {
+    const oldest = await PracticeProfile.find({})
+      .sort({ fetchedAt: 1 })
+      .limit(batchSize - batch.length)
+      .lean();
+    const more = await PracticeVcode.find({
+      vcode: { $in: oldest.map((x) => x.vcode) },
+    }).lean();
+    batch = [...batch, ...more];
+  }
+
+  console.log(`[PROFILE] Refreshing ${batch.length} practice profile(s)`);
+
+  let okCount = 0;
+  let errCount = 0;
+  for (const p of batch) {
+    await sleep(rateMs);
+    const doc = await refreshProfile(p.vcode, p.nhsUrl, transport);
+    if (doc.ok) okCount++;
+    else errCount++;
+  }
+
+  return { batchSize: batch.length, okCount, errCount };
+}
+
+module.exports = { refreshProfile, loadProfiles, runPracticeProfileBatch };
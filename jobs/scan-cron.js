@@ -120,7 +120,8 @@ async function main() {
   console.log("✅ Worker connected to Mongo:", FIXED_URI.replace(/:[^@]+@/, ":***@"));
 
   // 1) Load active watches
-  const watches = await Watch.find({}).lean(); // if you store active flag, filter: { active: true }
+  // waitlisted watches (uncovered regions) are not scanned
+  const watches = await Watch.find({ status: { $ne: "waitlisted" } }).lean(); // if you store active flag, filter: { active: true }
   if (!watches.length) {
     console.log("No watches found; exiting.");
     process.exit(0);
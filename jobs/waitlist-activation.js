@@ -0,0 +1,90 @@
+// jobs/waitlist-activation.js – switch waitlisted watches on once their
+// region is covered
+//
+// A watch whose postcode is in a UK region its radar doesn't cover yet is
+// stored with status "waitlisted" (server.js handleCreateWatch) and left
+// out of scans. Once the region is switched on – radar.regions in
+// lib/radars, or RADAR_REGIONS_<ID> in the environment – this job:
+//  - flips those watches to status "active" (activatedAt set)
+//  - sends each owner a "we now cover your area" email (renderEmail
+//    "coverage", logged as type "coverage")
+//
+// runAllScans calls it before grouping watches, so newly covered watches
+// are scanned in the same run. POST /api/admin/waitlist/activate runs it
+// on demand (dryRun=true only counts).
+
+import { Watch } from "../models.js";
+import { renderEmail } from "../emailTemplates.js";
+import { getRadar, radarIds, radarQuery, radarRegions } from "../lib/radars/index.js";
+
+const SITE = process.env.PUBLIC_ORIGIN || "https://www.dentistradar.co.uk";
+
+/**
+ * @param {object} opts
+ * @param {Function} opts.sendEmail  (to, subject, html, type, meta) – server.js sendEmailHTML
+ * @param {boolean} [opts.dryRun]    count what would be activated, change nothing
+ * @returns {{ dryRun, activated, emailed, byRegion: { [radar:region]: n } }}
+ */
+export async function runWaitlistActivation({ sendEmail, dryRun = false } = {}) {
+  const summary = { dryRun, activated: 0, emailed: 0, byRegion: {} };
+
+  for (const serviceType of radarIds()) {
+    const regions = radarRegions(getRadar(serviceType));
+    const watches = await Watch.find({
+      status: "waitlisted",
+      active: { $ne: false },
+      serviceType: radarQuery(serviceType),
+      region: { $in: regions },
+    }).lean();
+
+    for (const w of watches) {
+      const key = `${serviceType}:${w.region}`;
+
+      if (!dryRun) {
+        // conditional, so overlapping runs can't email the same watch twice
+        const r = await Watch.updateOne(
+          { _id: w._id, status: "waitlisted" },
+          { $set: { status: "active", activatedAt: new Date() } }
+        );
+        if (!r.modifiedCount) continue;
+      }
+
+      summary.byRegion[key] = (summary.byRegion[key] || 0) + 1;
+      summary.activated++;
+      if (dryRun) continue;
+
+      console.log(
+        `[WATCH] Activated waitlisted ${serviceType} watch ${w._id} for ${w.email} – ${w.postcode} (${w.region})`
+      );
+
+      if (typeof sendEmail !== "function") continue;
+      try {
+        const { subject, html } = renderEmail("coverage", {
+          postcode: w.postcode,
+          radius: w.radius || w.radiusMiles || 5,
+          region: w.region,
+          serviceType,
+          manageUrl: `${SITE}/my-alerts.html?email=${encodeURIComponent(w.email)}`,
+          unsubscribeUrl: `${SITE}/unsubscribe/${w._id}`,
+        });
+        const sent = await sendEmail(w.email, subject, html, "coverage", {
+          postcode: w.postcode,
+          region: w.region,
+          serviceType,
+          watchId: w._id,
+        });
+        if (sent?.ok) summary.emailed++;
+      } catch (e) {
+        console.error(`[WATCH] coverage email error for ${w._id}:`, e?.message || e);
+      }
+    }
+  }
+
+  if (summary.activated) {
+    console.log(
+      `[WATCH] Waitlist: ${summary.activated} watch(es) ${dryRun ? "ready to activate" : "activated"}, ${summary.emailed} emailed`
+    );
+  }
+
+  return summary;
+}
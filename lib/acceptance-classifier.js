@@ -0,0 +1,196 @@
+// lib/acceptance-classifier.js – the one NHS acceptance classifier
+//
+// Shared by the live scanner (scanner.js), the snapshot job
+// (jobs/nhs-snapshot.js) and england_snapshot.js, so a wording change on the
+// NHS site only needs fixing here.
+//
+// Rules are checked in order; the first match wins. Bump RULESET_VERSION
+// whenever RULES change so stored results can be re-classified
+// (POST /api/admin/reclassify).
+
+const cheerio = require("cheerio");
+const { detectCohorts } = require("./acceptance-cohorts");
+
+const RULESET_VERSION = 1;
+
+// status: accepting | not_accepting | unknown
+// lock=true means "do NOT override this based on other pages"
+// `re` is the phrase the rule keys on; its sentence is the rule's evidence.
+const RULES = [
+  // NOT ACCEPTING (strongest)
+  {
+    id: "explicit_not_accepting",
+    status: "not_accepting",
+    re: /not\s+accepting\s+new\s+nhs\s+patients/,
+  },
+  {
+    id: "explicit_not_taking_on",
+    status: "not_accepting",
+    re: /not\s+taking\s+on\s+new\s+nhs\s+patients/,
+  },
+  {
+    id: "explicit_currently_not",
+    status: "not_accepting",
+    re: /currently\s+not\s+accepting\s+nhs\s+patients/,
+  },
+
+  // NOT CONFIRMED => UNKNOWN (absolute override)
+  {
+    id: "not_confirmed",
+    status: "unknown",
+    re: /(has\s+not\s+confirmed|hasn't\s+confirmed|not\s+confirmed)\b/,
+    test: (t) =>
+      /(has\s+not\s+confirmed|hasn't\s+confirmed|not\s+confirmed)\b/.test(t) &&
+      /new\s+nhs\s+patients/.test(t),
+  },
+
+  // ACCEPTING (explicit only)
+  {
+    id: "availability_allows_accepts",
+    status: "accepting",
+    re: /when\s+availability\s+allows.{0,80}accepts\s+new\s+nhs\s+patients/,
+  },
+  {
+    id: "explicit_accepting",
+    status: "accepting",
+    re: /accepting\s+new\s+nhs\s+patients/,
+  },
+  {
+    id: "explicit_accepts",
+    status: "accepting",
+    re: /accepts\s+new\s+nhs\s+patients/,
+  },
+  {
+    id: "explicit_taking_on",
+    status: "accepting",
+    re: /taking\s+on\s+new\s+nhs\s+patients/,
+  },
+];
+
+const ruleMatches = (rule, t) => (rule.test ? rule.test(t) : rule.re.test(t));
+
+// Longest evidence quote we keep (a sentence can run into a flattened list)
+const EVIDENCE_MAX_CHARS = 300;
+
+// Elements that hold one statement each on NHS pages
+const EVIDENCE_BLOCKS = "p, li, dt, dd, td, th, caption, h1, h2, h3, h4, h5, h6, blockquote, div";
+
+const EVIDENCE_NEEDLES = [
+  "has not confirmed",
+  "hasn't confirmed",
+  "not confirmed",
+  "not accepting new nhs patients",
+  "not taking on new nhs patients",
+  "currently not accepting nhs patients",
+  "accepting new nhs patients",
+  "accepts new nhs patients",
+  "when availability allows",
+];
+
+function stripHtml(html) {
+  return String(html || "")
+    .replace(/<script[\s\S]*?<\/script>/gi, " ")
+    .replace(/<style[\s\S]*?<\/style>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// The sentence of `plain` around match m, trimmed to EVIDENCE_MAX_CHARS.
+// maxBack caps how far back the sentence may start.
+function sentenceAt(plain, lower, m, maxBack = Infinity) {
+  const before = lower.slice(0, m.index);
+  const prevStop = Math.max(
+    before.lastIndexOf(". "),
+    before.lastIndexOf("! "),
+    before.lastIndexOf("? ")
+  );
+  const start = Math.max(prevStop === -1 ? 0 : prevStop + 2, m.index - maxBack);
+
+  const after = m.index + m[0].length;
+  const stopMatch = /[.!?](\s|$)/.exec(lower.slice(after));
+  const end = Math.min(
+    stopMatch ? after + stopMatch.index + 1 : lower.length,
+    start + EVIDENCE_MAX_CHARS
+  );
+
+  return plain.slice(start, end).trim();
+}
+
+// The sentence around a rule's match in flattened page text. Headings and
+// list items run together once the tags are gone, so the start is capped
+// at 120 chars before the match.
+function evidenceSentence(plain, lower, rule) {
+  const m = rule.re.exec(lower);
+  return m ? sentenceAt(plain, lower, m, 120) : "";
+}
+
+/**
+ * The sentence a rule matched, read from the page markup: the smallest
+ * block (paragraph, list item, cell, …) whose text holds the match, cut at
+ * that block's own sentence stops. "" when no single block holds it (the
+ * phrase runs across elements) – callers fall back to evidenceSentence.
+ */
+function evidenceFromHtml(html, rule) {
+  const $ = cheerio.load(String(html || ""));
+  $("script, style, noscript").remove();
+  $("br").replaceWith(" ");
+
+  let best = null;
+  $(EVIDENCE_BLOCKS).each((_, el) => {
+    const plain = $(el).text().replace(/\s+/g, " ").trim();
+    if (best && plain.length >= best.plain.length) return;
+
+    const lower = plain.toLowerCase();
+    const m = rule.re.exec(lower);
+    if (m) best = { plain, lower, m };
+  });
+
+  return best ? sentenceAt(best.plain, best.lower, best.m) : "";
+}
+
+/**
+ * Classify plain page text (or a stored evidence snippet).
+ * Returns { status, lock, rule, rulesetVersion, cohorts, evidence }, where
+ * evidence is the sentence that decided the status ("" for no_signal).
+ * Pass the page's html as well to quote the sentence from its markup.
+ */
+function classifyAcceptance(text, html = "") {
+  const plain = String(text || "").replace(/\s+/g, " ");
+  const t = plain.toLowerCase();
+
+  const hit = RULES.find((r) => ruleMatches(r, t));
+  const status = hit ? hit.status : "unknown";
+
+  return {
+    status,
+    lock: !!hit,
+    rule: hit ? hit.id : "no_signal",
+    rulesetVersion: RULESET_VERSION,
+    cohorts: detectCohorts(plain, status),
+    evidence: hit ? (html && evidenceFromHtml(html, hit)) || evidenceSentence(plain, t, hit) : "",
+  };
+}
+
+function extractEvidenceSnippet(htmlOrText) {
+  const plain = stripHtml(htmlOrText);
+  const lower = plain.toLowerCase();
+
+  let idx = -1;
+  for (const n of EVIDENCE_NEEDLES) {
+    idx = lower.indexOf(n);
+    if (idx !== -1) break;
+  }
+  if (idx === -1) return "";
+  return plain.slice(Math.max(0, idx - 160), Math.min(plain.length, idx + 320));
+}
+
+module.exports = {
+  RULESET_VERSION,
+  RULES,
+  classifyAcceptance,
+  evidenceSentence,
+  evidenceFromHtml,
+  extractEvidenceSnippet,
+  stripHtml,
+};
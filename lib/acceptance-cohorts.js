@@ -0,0 +1,107 @@
+// lib/acceptance-cohorts.js – who a practice accepts, not just whether
+//
+// NHS appointments pages qualify "accepts new NHS patients" with a list of
+// cohorts (adults 18+, children 17 and under, adults entitled to free care)
+// and sometimes restrict intake to referrals or urgent care only. This turns
+// that wording into per-cohort booleans plus the phrase that matched.
+
+const STATEMENT_RE =
+  /(?:not\s+)?(?:accepts?|accepting|taking\s+on)\s+new\s+nhs\s+patients/i;
+
+// How far past the statement the cohort list can run (it is a <ul>, so
+// after flattening there is no full stop to stop at).
+const LIST_WINDOW_CHARS = 260;
+
+const COHORT_RULES = {
+  freeTreatment:
+    /entitled\s+to\s+free\s+(?:nhs\s+)?dental\s+(?:care|treatment)|free\s+nhs\s+dental\s+(?:care|treatment)/i,
+  adults: /\badults?\b(?!\s+(?:who\s+are\s+)?entitled)|aged\s+18\s+or\s+over/i,
+  children: /\bchild(?:ren)?\b|aged\s+17\s+or\s+under|under\s+18/i,
+  referralOnly:
+    /\bby\s+referral\b|\breferral\s+only\b|only\s+.{0,40}\breferr(?:al|ed)\b/i,
+  urgentOnly:
+    /urgent\s+(?:dental\s+)?(?:care|treatment|appointments?)\s+only|only\s+.{0,40}\burgent\b/i,
+};
+
+const EMPTY = {
+  adults: false,
+  children: false,
+  freeTreatment: false,
+  referralOnly: false,
+  urgentOnly: false,
+  phrase: "",
+};
+
+function cleanText(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+// The acceptance sentence plus the cohort list that follows it.
+function statementPhrase(text) {
+  const m = STATEMENT_RE.exec(text);
+  if (!m) return "";
+
+  const prevStop = text.lastIndexOf(". ", m.index);
+  const sentenceStart = Math.max(
+    prevStop === -1 ? 0 : prevStop + 2,
+    m.index - 160
+  );
+  const after = m.index + m[0].length;
+  const stop = text.indexOf(". ", after);
+  const end = Math.min(
+    stop === -1 ? text.length : stop + 1,
+    after + LIST_WINDOW_CHARS
+  );
+
+  return text.slice(sentenceStart, end).trim();
+}
+
+/**
+ * Detect per-cohort acceptance from page text.
+ * `status` is the already-classified bucket; cohorts are only reported as
+ * accepted when the practice is accepting at all.
+ *
+ * A bare "accepts new NHS patients" with no cohort list means everyone, so
+ * adults and children both come back true.
+ */
+function detectCohorts(text, status) {
+  const plain = cleanText(text);
+  const phrase = statementPhrase(plain);
+  if (!phrase) return { ...EMPTY };
+
+  const accepting = status === "accepting";
+  const has = (key) => COHORT_RULES[key].test(phrase);
+
+  const out = {
+    adults: accepting && has("adults"),
+    children: accepting && has("children"),
+    freeTreatment: accepting && has("freeTreatment"),
+    referralOnly: has("referralOnly"),
+    urgentOnly: has("urgentOnly"),
+    phrase,
+  };
+
+  if (accepting && !out.adults && !out.children && !out.freeTreatment) {
+    out.adults = true;
+    out.children = true;
+  }
+
+  return out;
+}
+
+/**
+ * Short human label for emails / admin, e.g. "Children only".
+ */
+function describeCohorts(c) {
+  if (!c) return "";
+  if (c.referralOnly) return "By referral only";
+  if (c.urgentOnly) return "Urgent care only";
+  if (c.adults && c.children) return "Adults & children";
+  if (c.children && c.freeTreatment) return "Children & adults entitled to free care";
+  if (c.children) return "Children only";
+  if (c.adults) return "Adults only";
+  if (c.freeTreatment) return "Adults entitled to free care only";
+  return "";
+}
+
+module.exports = { detectCohorts, describeCohorts };
@@ -0,0 +1,122 @@
+// lib/alert-state.js – per-watch, per-practice alert memory
+//
+// Watch.alertedVcodes only ever grows, so a practice that closed its list
+// and reopened months later was never announced to that watch again.
+// Watch.practiceAlerts keeps one entry per practice key (radar
+// practiceKeyFor):
+//   { key, firstAlertedAt, lastAlertedAt, alerts, notAcceptingSince }
+//  - an alert naming the practice sets lastAlertedAt and clears
+//    notAcceptingSince
+//  - a scan or snapshot seeing it not accepting sets notAcceptingSince
+//    (first sighting only); seeing it accepting again before the period
+//    is up clears it – the list has to stay closed for the whole period.
+//    A snapshot that finds it opened and closed again since then restarts
+//    the period at the latest closure (closureChange)
+//  - closed for REALERT_AFTER_DAYS (default 30) and seen accepting:
+//    eligible again, and the email labels it "accepting again"
+//
+// alertedVcodes is still written, and a key found only there (alerted
+// before this existed) counts as alerted.
+
+const DEFAULT_REALERT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function realertAfterDays() {
+  return Number(process.env.REALERT_AFTER_DAYS) || DEFAULT_REALERT_DAYS;
+}
+
+function stateFor(watch, key) {
+  return (watch.practiceAlerts || []).find((s) => s.key === key) || null;
+}
+
+/**
+ * Whether the watch should be told about an accepting practice:
+ * "new" (never alerted), "again" (alerted, then closed for the re-alert
+ * period) or null (already told).
+ */
+function alertEligibility(watch, key, now = new Date()) {
+  const s = stateFor(watch, key);
+  const legacy = Array.isArray(watch.alertedVcodes) && watch.alertedVcodes.includes(key);
+  if (!s?.lastAlertedAt && !legacy) return "new";
+
+  if (
+    s?.notAcceptingSince &&
+    now.getTime() - new Date(s.notAcceptingSince).getTime() >= realertAfterDays() * DAY_MS
+  ) {
+    return "again";
+  }
+  return null;
+}
+
+/**
+ * How a closure at `at` applies to the watch, given when the practice was
+ * last seen accepting (lastOpenAt): "closedAgain" if it reopened after the
+ * watch's current closure started (the period starts over at `at`),
+ * otherwise "closed".
+ */
+function closureChange(watch, key, lastOpenAt) {
+  const since = stateFor(watch, key)?.notAcceptingSince;
+  return since && lastOpenAt && new Date(lastOpenAt) > new Date(since) ? "closedAgain" : "closed";
+}
+
+/**
+ * The watch's practiceAlerts after:
+ *  - alerted: keys just emailed
+ *  - closed: keys seen not accepting (only tracked once alerted)
+ *  - closedAgain: as closed, but the period restarts at `at` even if one
+ *    was running (it reopened in between)
+ *  - reopened: keys seen accepting but not alerted (resets the period)
+ * Returns null when nothing changes, so callers can skip the write.
+ */
+function nextPracticeAlerts(
+  watch,
+  { alerted = [], closed = [], closedAgain = [], reopened = [] },
+  at = new Date()
+) {
+  const legacy = new Set(Array.isArray(watch.alertedVcodes) ? watch.alertedVcodes : []);
+  const byKey = new Map((watch.practiceAlerts || []).map((s) => [s.key, { ...s }]));
+  let changed = false;
+
+  for (const key of closed) {
+    const s = byKey.get(key);
+    if (s ? s.notAcceptingSince : !legacy.has(key)) continue;
+    byKey.set(key, { ...(s || { key, alerts: 0 }), notAcceptingSince: at });
+    changed = true;
+  }
+
+  for (const key of closedAgain) {
+    const s = byKey.get(key);
+    if (!s && !legacy.has(key)) continue;
+    if (s?.notAcceptingSince && new Date(s.notAcceptingSince).getTime() === at.getTime()) continue;
+    byKey.set(key, { ...(s || { key, alerts: 0 }), notAcceptingSince: at });
+    changed = true;
+  }
+
+  for (const key of reopened) {
+    const s = byKey.get(key);
+    if (!s?.notAcceptingSince) continue;
+    s.notAcceptingSince = null;
+    changed = true;
+  }
+
+  for (const key of alerted) {
+    const s = byKey.get(key) || { key, alerts: 0 };
+    byKey.set(key, {
+      ...s,
+      firstAlertedAt: s.firstAlertedAt || at,
+      lastAlertedAt: at,
+      alerts: (s.alerts || 0) + 1,
+      notAcceptingSince: null,
+    });
+    changed = true;
+  }
+
+  return changed ? [...byKey.values()] : null;
+}
+
+module.exports = {
+  realertAfterDays,
+  alertEligibility,
+  closureChange,
+  nextPracticeAlerts,
+};
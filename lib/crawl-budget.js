@@ -0,0 +1,470 @@
+// lib/crawl-budget.js – one politeness budget for every crawler
+//
+// The scanner, the snapshot job, the profile job and discover-vcodes each
+// used to throttle on their own, so running them together put an
+// uncontrolled load on nhs.uk. createPoliteTransport() wraps a transport
+// (lib/transport.js wraps the live one by default) so that every request:
+//
+//  - identifies us with the same CRAWLER_USER_AGENT
+//  - is checked against the host's robots.txt (cached in Mongo + memory for
+//    ROBOTS_CACHE_HOURS, default 24); a disallowed URL fails with
+//    TransportError code "robots_disallowed"
+//  - takes a token from the host's bucket: CRAWL_BUDGET_RPM requests per
+//    minute (default 60; robots.txt Crawl-delay can only lower it), bursts
+//    of up to CRAWL_BURST (default 10). The bucket lives in Mongo
+//    (CrawlBudget) so every process shares it; without a connection each
+//    process falls back to its own in-memory bucket.
+//  - waits for a token at most CRAWL_MAX_WAIT_MS (default 120s), then fails
+//    with TransportError code "throttled"
+//
+// CRAWL_BUDGET_RPM=0 turns the budget off, CRAWL_RESPECT_ROBOTS=0 the
+// robots.txt check. getBudgetReport() backs GET /api/admin/crawl-budget.
+
+const mongoose = require("mongoose");
+const { TransportError } = require("./transport");
+const CrawlBudget = require("../models/CrawlBudget");
+
+const CRAWLER_USER_AGENT =
+  process.env.CRAWLER_USER_AGENT ||
+  `DentistRadar/1.0 (+${process.env.PUBLIC_ORIGIN || "https://dentistradar.co.uk"})`;
+
+// robots.txt group name we answer to ("DentistRadar")
+const AGENT_TOKEN = CRAWLER_USER_AGENT.split(/[\s/]/)[0].toLowerCase();
+
+const BUDGET_RPM = Number(process.env.CRAWL_BUDGET_RPM ?? 60);
+const BURST = Number(process.env.CRAWL_BURST) || 10;
+const MAX_WAIT_MS = Number(process.env.CRAWL_MAX_WAIT_MS) || 120 * 1000;
+const RESPECT_ROBOTS = (process.env.CRAWL_RESPECT_ROBOTS || "1") !== "0";
+
+const ROBOTS_CACHE_MS = (Number(process.env.ROBOTS_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+// an unreachable robots.txt is retried sooner
+const ROBOTS_RETRY_MS = 10 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function sharedStore() {
+  return mongoose.connection.readyState === 1;
+}
+
+let warnedFallback = false;
+function warnFallback(err) {
+  if (warnedFallback) return;
+  warnedFallback = true;
+  console.warn(
+    `[CRAWL] Shared budget unavailable (${err?.message || err}) – using in-process bucket`
+  );
+}
+
+/* ---------------- TOKEN BUCKET ---------------- */
+
+// host -> same fields as a CrawlBudget document
+const localBuckets = new Map();
+
+function localBucket(host) {
+  if (!localBuckets.has(host)) {
+    localBuckets.set(host, {
+      key: host,
+      tokens: null,
+      refilledAt: null,
+      granted: 0,
+      waits: 0,
+      disallowed: 0,
+      windowStart: null,
+      windowGranted: 0,
+      lastGrantedAt: null,
+      robots: null,
+    });
+  }
+  return localBuckets.get(host);
+}
+
+function refilledTokens(b, now, rpm, capacity) {
+  if (b.tokens === null || b.tokens === undefined || !b.refilledAt) return capacity;
+  const elapsed = Math.max(0, now - new Date(b.refilledAt).getTime());
+  return Math.min(capacity, b.tokens + (elapsed / MINUTE_MS) * rpm);
+}
+
+function minuteOf(now) {
+  return new Date(Math.floor(now / MINUTE_MS) * MINUTE_MS);
+}
+
+function takeLocal(host, rpm, capacity) {
+  const b = localBucket(host);
+  const now = Date.now();
+  const tokens = refilledTokens(b, now, rpm, capacity);
+  const granted = tokens >= 1;
+  const minute = minuteOf(now);
+
+  b.tokens = granted ? tokens - 1 : tokens;
+  b.refilledAt = new Date(now);
+  b.rpm = rpm;
+  b.capacity = capacity;
+  if (granted) {
+    const sameWindow = b.windowStart && b.windowStart.getTime() === minute.getTime();
+    b.windowGranted = sameWindow ? b.windowGranted + 1 : 1;
+    b.windowStart = minute;
+    b.granted++;
+    b.lastGrantedAt = new Date(now);
+  } else {
+    b.waits++;
+  }
+  return { granted, tokens: b.tokens };
+}
+
+// Refill + take in one atomic update, so concurrent crawlers in other
+// processes can never both spend the last token.
+async function takeShared(host, rpm, capacity) {
+  const now = new Date();
+  const minute = minuteOf(now.getTime());
+  const hasToken = { $gte: ["$tokens", 1] };
+
+  const doc = await CrawlBudget.findOneAndUpdate(
+    { key: host },
+    [
+      {
+        $set: {
+          tokens: {
+            $min: [
+              capacity,
+              {
+                $add: [
+                  { $ifNull: ["$tokens", capacity] },
+                  {
+                    $multiply: [
+                      {
+                        $divide: [
+                          { $subtract: [now, { $ifNull: ["$refilledAt", now] }] },
+                          MINUTE_MS,
+                        ],
+                      },
+                      rpm,
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          lastTakeGranted: hasToken,
+          tokens: { $cond: [hasToken, { $subtract: ["$tokens", 1] }, "$tokens"] },
+          refilledAt: now,
+          rpm,
+          capacity,
+          granted: { $add: [{ $ifNull: ["$granted", 0] }, { $cond: [hasToken, 1, 0] }] },
+          waits: { $add: [{ $ifNull: ["$waits", 0] }, { $cond: [hasToken, 0, 1] }] },
+          windowGranted: {
+            $cond: [
+              hasToken,
+              {
+                $cond: [
+                  { $eq: ["$windowStart", minute] },
+                  { $add: ["$windowGranted", 1] },
+                  1,
+                ],
+              },
+              "$windowGranted",
+            ],
+          },
+          windowStart: { $cond: [hasToken, minute, "$windowStart"] },
+          lastGrantedAt: { $cond: [hasToken, now, "$lastGrantedAt"] },
+        },
+      },
+    ],
+    { upsert: true, new: true, lean: true }
+  );
+
+  return { granted: !!doc.lastTakeGranted, tokens: doc.tokens };
+}
+
+async function take(host, rpm, capacity) {
+  if (sharedStore()) {
+    try {
+      return await takeShared(host, rpm, capacity);
+    } catch (err) {
+      warnFallback(err);
+    }
+  }
+  return takeLocal(host, rpm, capacity);
+}
+
+/**
+ * Wait for a token for `host`. Throws TransportError("throttled") if the
+ * budget is still exhausted after CRAWL_MAX_WAIT_MS.
+ */
+async function acquireToken(host, rpm, url = "") {
+  if (!(rpm > 0)) return;
+  const capacity = Math.max(1, Math.min(BURST, Math.ceil(rpm)));
+  const deadline = Date.now() + MAX_WAIT_MS;
+
+  for (;;) {
+    const { granted, tokens } = await take(host, rpm, capacity);
+    if (granted) return;
+
+    const wait = Math.ceil(((1 - tokens) / rpm) * MINUTE_MS) + Math.floor(Math.random() * 100);
+    if (Date.now() + wait > deadline) {
+      throw new TransportError(
+        "throttled",
+        `crawl budget for ${host} exhausted (waited ${MAX_WAIT_MS}ms)`,
+        url
+      );
+    }
+    await sleep(wait);
+  }
+}
+
+/* ---------------- ROBOTS.TXT ---------------- */
+
+/**
+ * The rules of the group that applies to us: a group naming our agent
+ * token, else "*". Returns { rules: [{ allow, path }], crawlDelay }.
+ */
+function parseRobots(txt, agent = AGENT_TOKEN) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(txt || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (field === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // an empty Disallow allows everything – nothing to record
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const d = Number(value);
+      if (Number.isFinite(d) && d > 0) current.crawlDelay = d;
+    }
+  }
+
+  const group =
+    groups.find((g) => g.agents.some((a) => a !== "*" && agent.includes(a))) ||
+    groups.find((g) => g.agents.includes("*"));
+
+  return group
+    ? { rules: group.rules, crawlDelay: group.crawlDelay }
+    : { rules: [], crawlDelay: null };
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+// Longest matching rule wins; Allow wins a tie.
+function isAllowedByRobots(rules, pathAndQuery) {
+  let best = null;
+  for (const r of rules || []) {
+    if (!patternToRegex(r.path).test(pathAndQuery)) continue;
+    if (
+      !best ||
+      r.path.length > best.path.length ||
+      (r.path.length === best.path.length && r.allow)
+    ) {
+      best = r;
+    }
+  }
+  return !best || best.allow;
+}
+
+// host -> robots entry; host -> in-flight fetch
+const robotsCache = new Map();
+const robotsInFlight = new Map();
+
+function robotsFresh(r) {
+  if (!r?.fetchedAt) return false;
+  const ttl = r.status ? ROBOTS_CACHE_MS : ROBOTS_RETRY_MS;
+  return Date.now() - new Date(r.fetchedAt).getTime() < ttl;
+}
+
+async function fetchRobots(u, inner) {
+  if (sharedStore()) {
+    try {
+      const doc = await CrawlBudget.findOne({ key: u.host }).select({ robots: 1 }).lean();
+      if (robotsFresh(doc?.robots)) return doc.robots;
+    } catch (err) {
+      warnFallback(err);
+    }
+  }
+
+  await acquireToken(u.host, BUDGET_RPM, `${u.origin}/robots.txt`);
+
+  let robots;
+  try {
+    const res = await inner.get(`${u.origin}/robots.txt`, {
+      timeoutMs: 10000,
+      headers: { "User-Agent": CRAWLER_USER_AGENT },
+    });
+    // a missing robots.txt means no restrictions
+    robots =
+      res.status >= 200 && res.status < 300
+        ? { status: res.status, ...parseRobots(res.body) }
+        : { status: res.status, rules: [], crawlDelay: null };
+  } catch (err) {
+    console.warn(`[CRAWL] robots.txt for ${u.host} unreachable: ${err?.message || err}`);
+    robots = { status: null, rules: [], crawlDelay: null };
+  }
+  robots.fetchedAt = new Date();
+
+  if (sharedStore()) {
+    CrawlBudget.updateOne({ key: u.host }, { $set: { robots } }, { upsert: true }).catch(
+      warnFallback
+    );
+  } else {
+    localBucket(u.host).robots = robots;
+  }
+  return robots;
+}
+
+async function robotsFor(u, inner) {
+  const cached = robotsCache.get(u.host);
+  if (robotsFresh(cached)) return cached;
+
+  if (!robotsInFlight.has(u.host)) {
+    robotsInFlight.set(
+      u.host,
+      fetchRobots(u, inner)
+        .then((r) => {
+          robotsCache.set(u.host, r);
+          return r;
+        })
+        .finally(() => robotsInFlight.delete(u.host))
+    );
+  }
+  return robotsInFlight.get(u.host);
+}
+
+async function countDisallowed(host) {
+  if (sharedStore()) {
+    try {
+      await CrawlBudget.updateOne({ key: host }, { $inc: { disallowed: 1 } }, { upsert: true });
+      return;
+    } catch (err) {
+      warnFallback(err);
+    }
+  }
+  localBucket(host).disallowed++;
+}
+
+/* ---------------- TRANSPORT ---------------- */
+
+function effectiveRpm(rpm, crawlDelay) {
+  if (!(rpm > 0)) return 0;
+  return crawlDelay > 0 ? Math.min(rpm, 60 / crawlDelay) : rpm;
+}
+
+/**
+ * Wrap a transport so every request goes through the shared budget and
+ * robots.txt, with our user agent.
+ */
+function createPoliteTransport(inner, { rpm = BUDGET_RPM, respectRobots = RESPECT_ROBOTS } = {}) {
+  return {
+    mode: inner.mode,
+    polite: true,
+
+    async get(url, opts = {}) {
+      let u;
+      try {
+        u = new URL(url);
+      } catch {
+        return inner.get(url, opts);
+      }
+
+      let crawlDelay = null;
+      if (respectRobots) {
+        const robots = await robotsFor(u, inner);
+        crawlDelay = robots.crawlDelay;
+        if (!isAllowedByRobots(robots.rules, u.pathname + u.search)) {
+          await countDisallowed(u.host);
+          throw new TransportError("robots_disallowed", `robots.txt disallows ${u.pathname}`, url);
+        }
+      }
+
+      await acquireToken(u.host, effectiveRpm(rpm, crawlDelay), url);
+
+      return inner.get(url, {
+        ...opts,
+        headers: { ...(opts.headers || {}), "User-Agent": CRAWLER_USER_AGENT },
+      });
+    },
+  };
+}
+
+/* ---------------- REPORT ---------------- */
+
+async function getBudgetReport() {
+  const shared = sharedStore();
+  const rows = shared
+    ? await CrawlBudget.find({}).sort({ key: 1 }).lean()
+    : Array.from(localBuckets.values());
+
+  const now = Date.now();
+  const minute = minuteOf(now).getTime();
+
+  return {
+    shared,
+    userAgent: CRAWLER_USER_AGENT,
+    budgetRpm: BUDGET_RPM,
+    burst: BURST,
+    maxWaitMs: MAX_WAIT_MS,
+    respectRobots: RESPECT_ROBOTS,
+    hosts: rows.map((b) => {
+      const rpm = b.rpm || BUDGET_RPM;
+      const capacity = b.capacity || BURST;
+      return {
+        host: b.key,
+        rpm: Number(rpm.toFixed(2)),
+        tokensAvailable: Number(refilledTokens(b, now, rpm, capacity).toFixed(2)),
+        capacity,
+        usedThisMinute:
+          b.windowStart && new Date(b.windowStart).getTime() === minute ? b.windowGranted : 0,
+        granted: b.granted || 0,
+        waits: b.waits || 0,
+        disallowed: b.disallowed || 0,
+        lastGrantedAt: b.lastGrantedAt || null,
+        robots: b.robots
+          ? {
+              fetchedAt: b.robots.fetchedAt || null,
+              status: b.robots.status ?? null,
+              crawlDelay: b.robots.crawlDelay ?? null,
+              rules: (b.robots.rules || []).length,
+            }
+          : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  CRAWLER_USER_AGENT,
+  createPoliteTransport,
+  acquireToken,
+  parseRobots,
+  isAllowedByRobots,
+  getBudgetReport,
+};
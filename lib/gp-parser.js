@@ -0,0 +1,194 @@
+// lib/gp-parser.js – NHS find-a-GP results + GP registration status
+//
+// GP surgeries have no /appointments page. Whether a surgery is
+// registering new patients is stated on its profile page and, on most
+// results pages, on the result card itself ("Accepting new patients",
+// "Not accepting new patients", "only accepting patients who live in the
+// practice area"). Cards are read first; gpScanner.js only fetches the
+// profile page for surgeries whose card says nothing.
+//
+// Practices come back in the scanner's shape, keyed by ODS code
+// (e.g. K81001) instead of a dentist V-code.
+
+const cheerio = require("cheerio");
+const {
+  NHS_ORIGIN,
+  cleanText,
+  absoluteNhsUrl,
+  extractPhone,
+  parseDistance,
+} = require("./nhs-results-parser");
+const { evidenceSentence, evidenceFromHtml } = require("./acceptance-classifier");
+
+const RULESET_VERSION = 1;
+
+const GP_HREF_RE = /\/services\/gp-surgery\/[^?#]*?\/([A-Z]\d{5})(?:[/?#]|$)/i;
+
+/* ---------------- REGISTRATION STATUS ---------------- */
+
+// First match wins, as in lib/acceptance-classifier.js.
+// catchment=true: accepting, but only people living in the practice area.
+const RULES = [
+  {
+    id: "gp_not_accepting",
+    status: "not_accepting",
+    re: /not\s+(?:currently\s+)?(?:accepting|registering|taking\s+on)\s+new\s+patients/,
+  },
+  {
+    id: "gp_list_closed",
+    status: "not_accepting",
+    re: /(?:patient\s+)?list\s+(?:is\s+)?(?:currently\s+)?closed|closed\s+to\s+new\s+patients/,
+  },
+  {
+    id: "gp_not_confirmed",
+    status: "unknown",
+    re: /(?:has\s+not|hasn't)\s+confirmed\s+if\s+(?:it|they)\s+(?:is|are)\s+(?:currently\s+)?(?:accepting|registering)/,
+  },
+  {
+    id: "gp_accepting_catchment",
+    status: "accepting",
+    catchment: true,
+    re: /(?:accepting|registering)\s+new\s+patients\s+(?:who|that)\s+live\s+in\s+(?:its|the|their)\s+(?:practice\s+|catchment\s+)?area/,
+  },
+  {
+    id: "gp_accepting",
+    status: "accepting",
+    re: /(?:accepting|registering|taking\s+on)\s+new\s+patients/,
+  },
+  {
+    id: "gp_open_to_new",
+    status: "accepting",
+    re: /open\s+to\s+new\s+patients/,
+  },
+];
+
+/**
+ * Classify GP page / card text, quoting from the page's html when given.
+ * Returns { status, lock, rule, rulesetVersion, catchmentOnly, evidence }.
+ */
+function classifyRegistration(text, html = "") {
+  const plain = cleanText(text);
+  const t = plain.toLowerCase();
+
+  const hit = RULES.find((r) => r.re.test(t));
+  const status = hit ? hit.status : "unknown";
+
+  return {
+    status,
+    lock: !!hit,
+    rule: hit ? hit.id : "no_signal",
+    rulesetVersion: RULESET_VERSION,
+    catchmentOnly: !!hit?.catchment,
+    evidence: hit ? (html && evidenceFromHtml(html, hit)) || evidenceSentence(plain, t, hit) : "",
+  };
+}
+
+// Email / admin label, like describeCohorts() for dentists
+function describeRegistration(r) {
+  if (!r || r.status !== "accepting") return "";
+  return r.catchmentOnly ? "Patients in the practice area" : "New patients";
+}
+
+/* ---------------- RESULTS PAGE ---------------- */
+
+function buildGpSearchUrl(postcode, radiusMiles, page = 1, origin = NHS_ORIGIN) {
+  const raw = String(postcode || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const formatted = raw.length >= 5 ? `${raw.slice(0, -3)} ${raw.slice(-3)}` : raw;
+  const radius = Number(radiusMiles) || 5;
+
+  return `${origin}/service-search/find-a-gp/results/${encodeURIComponent(
+    formatted.replace(/\s+/, "-")
+  )}?distance=${radius}${page > 1 ? `&page=${page}` : ""}`;
+}
+
+function cardFor($, anchor) {
+  const card = $(anchor).closest("li, article, .nhsuk-card, [class*='result']").first();
+  return card.length ? card : $(anchor).parent();
+}
+
+// Card text with block boundaries kept as sentence stops, so the evidence
+// quote is the status line rather than the whole card.
+function cardText($, card) {
+  const copy = card.clone();
+  copy.find("br").replaceWith(", ");
+  copy.find("p, h2, h3, h4, li, dd, div").each((_, el) => {
+    $(el).append(". ");
+  });
+  return cleanText(copy.text()).replace(/([.!?])(\s*\.)+/g, "$1");
+}
+
+function firstText($, card, selectors) {
+  for (const sel of selectors) {
+    const el = card.find(sel).first();
+    if (!el.length) continue;
+    el.find("br").replaceWith(", ");
+    const t = cleanText(el.text()).replace(/\s*,\s*(,\s*)+/g, ", ");
+    if (t) return t;
+  }
+  return "";
+}
+
+/**
+ * Parse a find-a-GP results page. Each practice carries `registration`
+ * (classifyRegistration of its card) – status "unknown" with lock=false
+ * means the card didn't say and the profile page needs reading.
+ */
+function parseGpResults(html, postcode) {
+  if (!html) return [];
+
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const practices = [];
+
+  $("a[href]").each((_, anchor) => {
+    const href = $(anchor).attr("href") || "";
+    const m = href.match(GP_HREF_RE);
+    if (!m) return;
+
+    const odsCode = m[1].toUpperCase();
+    if (seen.has(odsCode)) return;
+    seen.add(odsCode);
+
+    const card = cardFor($, anchor);
+    const text = cardText($, card);
+
+    const name =
+      firstText($, card, ["h2", "h3", "[id^='orgname']"]) || cleanText($(anchor).text());
+    const address = firstText($, card, ["[id^='address']", "address", "[class*='address']"])
+      .replace(/^Address:?\s*/i, "");
+
+    const tel = card.find("a[href^='tel:']").first();
+    const phoneText =
+      (tel.length ? cleanText(tel.text()) : "") ||
+      firstText($, card, ["[id^='phone']", "[class*='phone']"]) ||
+      text;
+    const dist = parseDistance(
+      firstText($, card, ["[id^='distance']", "[class*='distance']"]) || text
+    );
+
+    const nhsUrl = absoluteNhsUrl(href);
+    practices.push({
+      name: name || "Unknown surgery",
+      address,
+      phone: extractPhone(phoneText),
+      distanceText: dist.text,
+      distanceMiles: dist.miles,
+      status: "unknown",
+      postcode,
+      odsCode,
+      nhsUrl,
+      registration: classifyRegistration(text),
+    });
+  });
+
+  return practices;
+}
+
+module.exports = {
+  RULESET_VERSION,
+  RULES,
+  classifyRegistration,
+  describeRegistration,
+  buildGpSearchUrl,
+  parseGpResults,
+};
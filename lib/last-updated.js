@@ -0,0 +1,83 @@
+// lib/last-updated.js – "information last updated" dates on NHS pages
+//
+// Appointments pages usually say when the practice last updated its NHS
+// availability ("Last updated: 12 March 2024", "This information was
+// updated on 3 Feb 2025", "Updated 12/03/2024"). An "accepting" claim that
+// nobody has touched for a year is a much weaker signal than last week's.
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Older than this, an acceptance claim is treated as stale
+const STALE_CLAIM_DAYS = Number(process.env.STALE_CLAIM_DAYS) || 365;
+
+// "updated" wording only – "page last reviewed" is about the NHS article,
+// not the practice's availability
+const UPDATED_RE =
+  /(?:last\s+updated|information\s+(?:was\s+)?updated|updated)(?:\s+on)?\s*:?\s*(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?\s+(\d{4})/i;
+const UPDATED_NUMERIC_RE =
+  /(?:last\s+updated|information\s+(?:was\s+)?updated|updated)(?:\s+on)?\s*:?\s*(\d{1,2})\/(\d{1,2})\/(\d{4})/i;
+
+function validDate(y, m, d) {
+  const date = new Date(Date.UTC(y, m, d));
+  if (date.getUTCMonth() !== m || date.getUTCDate() !== d) return null;
+  // a date in the future is a parse slip, not information
+  if (date.getTime() > Date.now() + DAY_MS) return null;
+  return date;
+}
+
+/**
+ * First "updated" date in page text, or null.
+ */
+function extractLastUpdated(text) {
+  const plain = String(text || "").replace(/\s+/g, " ");
+
+  const m = UPDATED_RE.exec(plain);
+  if (m) {
+    const month = MONTHS[m[2].slice(0, 3).toLowerCase()];
+    if (month !== undefined) {
+      const date = validDate(Number(m[3]), month, Number(m[1]));
+      if (date) return date;
+    }
+  }
+
+  const n = UPDATED_NUMERIC_RE.exec(plain);
+  if (n) return validDate(Number(n[3]), Number(n[2]) - 1, Number(n[1]));
+
+  return null;
+}
+
+function ageInDays(date, now = Date.now()) {
+  if (!date) return null;
+  const t = new Date(date).getTime();
+  if (!Number.isFinite(t)) return null;
+  return Math.max(0, Math.floor((now - t) / DAY_MS));
+}
+
+// "updated today" / "updated 3 weeks ago" / "updated 14 months ago"
+function describeAge(date, now = Date.now()) {
+  const days = ageInDays(date, now);
+  if (days === null) return "";
+  if (days === 0) return "updated today";
+  if (days < 14) return `updated ${days} day${days === 1 ? "" : "s"} ago`;
+  if (days < 60) return `updated ${Math.floor(days / 7)} weeks ago`;
+  if (days < 730) return `updated ${Math.floor(days / 30.44)} months ago`;
+  return `updated ${Math.floor(days / 365.25)} years ago`;
+}
+
+function isStaleClaim(date, now = Date.now()) {
+  const days = ageInDays(date, now);
+  return days !== null && days > STALE_CLAIM_DAYS;
+}
+
+module.exports = {
+  STALE_CLAIM_DAYS,
+  extractLastUpdated,
+  ageInDays,
+  describeAge,
+  isStaleClaim,
+};
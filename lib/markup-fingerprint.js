@@ -0,0 +1,49 @@
+// lib/markup-fingerprint.js – structural fingerprint of an NHS page
+//
+// Reduces a page to the set of "tag", "tag.class" and "tag#id" tokens found
+// in its main content (numeric suffixes stripped from ids, so result_0 and
+// result_7 are the same token). Two fingerprints are compared by Jaccard
+// similarity: wording changes leave it near 1.0, a redesign drops it sharply.
+
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+
+const SKIP_TAGS = new Set(["script", "style", "noscript", "svg", "path", "link", "meta"]);
+
+function structureTokens(html) {
+  if (!html) return [];
+
+  const $ = cheerio.load(html);
+  const root = $("main").length ? $("main").first() : $("body");
+  const tokens = new Set();
+
+  root.find("*").each((_, el) => {
+    const tag = el.tagName;
+    if (!tag || SKIP_TAGS.has(tag)) return;
+
+    tokens.add(tag);
+
+    const classes = String($(el).attr("class") || "").split(/\s+/).filter(Boolean);
+    for (const c of classes) tokens.add(`${tag}.${c}`);
+
+    const id = String($(el).attr("id") || "").replace(/[_-]?\d+$/, "");
+    if (id) tokens.add(`${tag}#${id}`);
+  });
+
+  return Array.from(tokens).sort();
+}
+
+function similarity(a = [], b = []) {
+  if (!a.length && !b.length) return 1;
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let shared = 0;
+  for (const t of setA) if (setB.has(t)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+function fingerprintHash(tokens = []) {
+  return crypto.createHash("sha1").update(tokens.join("|")).digest("hex").slice(0, 12);
+}
+
+module.exports = { structureTokens, similarity, fingerprintHash };
@@ -0,0 +1,330 @@
+// lib/nhs-results-parser.js – NHS find-a-dentist results page parser
+//
+// Two paths, same practice shape:
+//  - DOM: reads result cards straight from the markup (heading link,
+//    address, phone, distance). Survives wording/layout tweaks.
+//  - Regex: the original "flatten to text, split on Vxxxxxx DEN" parser.
+//    Kept as the fallback when the DOM path finds nothing usable.
+
+const cheerio = require("cheerio");
+
+// Overridable so the scraper can run against a local stub server
+const NHS_ORIGIN = (process.env.NHS_WEB_BASE_URL || "https://www.nhs.uk").replace(/\/+$/, "");
+const PRACTICE_HREF_RE = /\/services\/dentists?\/[^?#]*?(V\d{6})/i;
+
+function cleanText(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+const ENTITIES = { amp: "&", nbsp: " ", quot: '"', apos: "'", lt: "<", gt: ">", ndash: "–", rsquo: "’" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] !== "#") return ENTITIES[e.toLowerCase()] ?? m;
+    const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+  });
+}
+
+function htmlToText(html = "") {
+  if (!html) return "";
+  let text = html.replace(/<script[\s\S]*?<\/script>/gi, " ");
+  text = text.replace(/<style[\s\S]*?<\/style>/gi, " ");
+  text = text.replace(/<[^>]+>/g, " ");
+  return decodeEntities(text).replace(/\s+/g, " ").trim();
+}
+
+/* ---------------- SHARED HELPERS ---------------- */
+
+function extractVCode(text) {
+  const m = String(text || "").match(/V\d{6}/i);
+  return m ? m[0].toUpperCase() : null;
+}
+
+function extractPhone(text) {
+  const m = String(text || "").match(/0\d{2,4}\s?\d{3,4}\s?\d{3,4}/);
+  return m ? m[0].trim() : "Not available";
+}
+
+function parseDistance(text) {
+  const m =
+    text.match(/Within\s+([\d.,]+)\s*miles?/i) ||
+    text.match(/([\d.,]+)\s*miles?/i);
+
+  if (!m) return { text: "", miles: null };
+
+  const miles = parseFloat(m[1].replace(",", "."));
+  return {
+    text: m[0],
+    miles: Number.isFinite(miles) ? miles : null,
+  };
+}
+
+function slugify(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/\s+/g, "-");
+}
+
+function absoluteNhsUrl(href) {
+  const h = String(href || "").trim();
+  if (!h) return "";
+  try {
+    return new URL(h, NHS_ORIGIN).toString().replace(/[?#].*$/, "").replace(/\/+$/, "");
+  } catch {
+    return "";
+  }
+}
+
+function buildPractice(fields, postcode) {
+  const nhsUrl = fields.nhsUrl || "";
+  return {
+    name: fields.name || "Unknown practice",
+    address: fields.address || "",
+    phone: fields.phone || "Not available",
+    distanceText: fields.distanceText || "",
+    distanceMiles: fields.distanceMiles ?? null,
+    status: "unknown",
+    postcode,
+    nhsUrl,
+    appointmentsUrl: nhsUrl ? `${nhsUrl}/appointments` : "",
+    vcode: fields.vcode || null,
+  };
+}
+
+/* ---------------- DOM PATH ---------------- */
+
+// Nearest ancestor that looks like a single result card.
+function cardFor($, anchor) {
+  const card = $(anchor)
+    .closest("li, article, .nhsuk-card, [class*='result']")
+    .first();
+  return card.length ? card : $(anchor).parent();
+}
+
+function firstText($, card, selectors) {
+  for (const sel of selectors) {
+    const el = card.find(sel).first();
+    if (!el.length) continue;
+
+    // keep line breaks in addresses as separators
+    el.find("br").replaceWith(", ");
+    const t = cleanText(el.text()).replace(/\s*,\s*(,\s*)+/g, ", ");
+    if (t) return t;
+  }
+  return "";
+}
+
+function parseCard($, card, anchor, postcode) {
+  const href = $(anchor).attr("href") || "";
+  const cardText = cleanText(card.text());
+
+  const vcode =
+    extractVCode((href.match(PRACTICE_HREF_RE) || [])[1]) ||
+    extractVCode(cardText);
+
+  const name =
+    firstText($, card, ["h2", "h3", "[id^='orgname']"]) ||
+    cleanText($(anchor).text());
+
+  const address = firstText($, card, [
+    "[id^='address']",
+    "address",
+    "[class*='address']",
+  ]).replace(/^Address:?\s*/i, "");
+
+  let phone = "Not available";
+  const tel = card.find("a[href^='tel:']").first();
+  const phoneText =
+    (tel.length ? cleanText(tel.text()) : "") ||
+    firstText($, card, ["[id^='phone']", "[class*='phone']"]) ||
+    (cardText.match(/Phone:?\s*(0[\d\s]{9,14})/i) || [])[1];
+  if (phoneText) phone = extractPhone(phoneText);
+
+  const distanceSource =
+    firstText($, card, ["[id^='distance']", "[class*='distance']"]) ||
+    (cardText.match(/Within\s+[\d.,]+\s*miles?/i) || [""])[0];
+  const dist = parseDistance(distanceSource);
+
+  return buildPractice(
+    {
+      name,
+      address,
+      phone,
+      distanceText: dist.text,
+      distanceMiles: dist.miles,
+      vcode,
+      nhsUrl: absoluteNhsUrl(href),
+    },
+    postcode
+  );
+}
+
+function parseResultsDom(html, postcode) {
+  if (!html) return [];
+
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const practices = [];
+
+  $("a[href]").each((_, anchor) => {
+    const href = $(anchor).attr("href") || "";
+    if (!PRACTICE_HREF_RE.test(href)) return;
+
+    const card = cardFor($, anchor);
+    const p = parseCard($, card, anchor, postcode);
+    if (!p.vcode || seen.has(p.vcode)) return;
+
+    seen.add(p.vcode);
+    practices.push(p);
+  });
+
+  return practices;
+}
+
+/**
+ * Does this results page link to page `page + 1`?
+ * Looks for the NHS pagination "Next" link, rel=next, or any link that
+ * carries the next page number in its query string.
+ */
+function hasNextPage(html, page = 1) {
+  if (!html) return false;
+
+  const $ = cheerio.load(html);
+  if ($("a[rel='next'], .nhsuk-pagination__link--next, .nhsuk-pagination-item--next a").length) {
+    return true;
+  }
+
+  const nextRe = new RegExp(`[?&]page=${page + 1}(?:&|$)`);
+  let found = false;
+  $("a[href]").each((_, a) => {
+    if (nextRe.test($(a).attr("href") || "")) found = true;
+  });
+  return found;
+}
+
+/* ---------------- REGEX PATH (fallback) ---------------- */
+
+function extractResultBlocks(text) {
+  if (!text) return [];
+
+  const anchorRegex = /V\d{6}\s+DEN/gi;
+  const anchors = [];
+  let m;
+
+  while ((m = anchorRegex.exec(text)) !== null) {
+    anchors.push(m.index);
+  }
+
+  if (anchors.length === 0) return [];
+
+  const blocks = [];
+
+  for (let i = 0; i < anchors.length; i++) {
+    const start = anchors[i];
+    const end = i + 1 < anchors.length ? anchors[i + 1] : text.length;
+
+    let snippet = text.slice(start, end).trim();
+
+    // attach nearest "Within X mile(s)" before anchor (the last one – the
+    // first card's window also holds the "… within 10 miles" results count)
+    const prefixStart = Math.max(0, start - 120);
+    const prefix = text.slice(prefixStart, start);
+    const within = prefix.match(/Within\s+[\d.,]+\s+miles?/gi);
+    if (within) {
+      snippet = `${within[within.length - 1]} ${snippet}`;
+    }
+
+    blocks.push(snippet);
+  }
+
+  return blocks;
+}
+
+function parsePractice(block, postcode) {
+  const vcode = extractVCode(block);
+
+  // NAME
+  let name = "Unknown practice";
+  const nameMatch = block.match(
+    /V\d{6}\s+DEN\s+(.+?)(?=\s+\d|,\s*\d|\s+Phone:|\s+View dentist details|\s+When availability allows|\s+Not accepting new NHS patients|$)/i
+  );
+  if (nameMatch) name = nameMatch[1].trim();
+
+  // DISTANCE
+  const dist = parseDistance(block);
+
+  // ADDRESS
+  let address = "";
+  const addrMatch = block.match(
+    /V\d{6}\s+DEN\s+.+?\s+(.+?)(?=\s+Phone:|\s+View dentist details|\s+When availability allows|\s+Not accepting new NHS patients|\s+Within\s|$)/i
+  );
+  if (addrMatch) address = addrMatch[1].trim();
+
+  const phone = extractPhone(block);
+
+  const nhsUrl = vcode
+    ? `${NHS_ORIGIN}/services/dentist/${slugify(name)}/${vcode}`
+    : "";
+
+  return buildPractice(
+    {
+      name,
+      address,
+      phone,
+      distanceText: dist.text,
+      distanceMiles: dist.miles,
+      vcode,
+      nhsUrl,
+    },
+    postcode
+  );
+}
+
+function parseResultsRegex(html, postcode) {
+  const blocks = extractResultBlocks(htmlToText(html));
+  return blocks.map((b) => parsePractice(b, postcode));
+}
+
+/* ---------------- ENTRY POINT ---------------- */
+
+/**
+ * Parse an NHS results page into practices.
+ * Uses the DOM path unless it comes back empty or finds fewer practices
+ * than the regex path (i.e. the card markup has moved under us).
+ * Returns { practices, parser: "dom" | "regex" }.
+ */
+function parseSearchResults(html, postcode) {
+  const dom = parseResultsDom(html, postcode);
+  const regex = parseResultsRegex(html, postcode);
+
+  if (dom.length > 0 && dom.length >= regex.length) {
+    return { practices: dom, parser: "dom" };
+  }
+
+  if (dom.length > 0) {
+    console.warn(
+      `[PARSE] DOM parser found ${dom.length} practice(s), regex found ${regex.length} – using regex fallback`
+    );
+  }
+
+  return { practices: regex, parser: "regex" };
+}
+
+module.exports = {
+  NHS_ORIGIN,
+  buildPractice,
+  slugify,
+  cleanText,
+  absoluteNhsUrl,
+  parseSearchResults,
+  parseResultsDom,
+  parseResultsRegex,
+  hasNextPage,
+  htmlToText,
+  extractVCode,
+  extractPhone,
+  parseDistance,
+};
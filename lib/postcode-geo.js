@@ -0,0 +1,116 @@
+// lib/postcode-geo.js – offline postcode → coordinates, haversine distances
+//
+// Reads a CSV of `postcode,lat,lon` (POSTCODE_COORDS_FILE, default
+// ./data/postcode-coords.csv). Rows can be full units ("RG41 4UW"),
+// sectors ("RG41 4") or outward codes ("RG41"); a lookup tries the unit,
+// then its sector, then its outward code, and reports which one it used.
+//
+// Build the table from the ONS Postcode Directory with
+// scripts/build-postcode-coords.js. With no table, lookups return null and
+// the scanner falls back to the NHS "Within X miles" text.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FILE = "./data/postcode-coords.csv";
+const EARTH_RADIUS_MILES = 3958.8;
+
+const UK_POSTCODE_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/gi;
+
+// formatted key -> [lat, lon]
+let table = null;
+
+function formatPostcode(pc) {
+  const raw = String(pc || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (raw.length < 5) return raw;
+  return `${raw.slice(0, -3)} ${raw.slice(-3)}`;
+}
+
+function loadPostcodeTable(file = process.env.POSTCODE_COORDS_FILE || DEFAULT_FILE) {
+  table = new Map();
+
+  const full = path.resolve(file);
+  if (!fs.existsSync(full)) {
+    console.warn(
+      `[GEO] ⚠️ No postcode table at ${full} – using NHS distance text, scans are not clustered. ` +
+        "Build it with: npm run build:postcodes -- <ONSPD.csv> (see README)"
+    );
+    return table;
+  }
+
+  const lines = fs.readFileSync(full, "utf-8").split(/\r?\n/);
+  for (const line of lines) {
+    if (!line || line.startsWith("postcode")) continue;
+    const [pc, lat, lon] = line.split(",");
+    const la = Number(lat);
+    const lo = Number(lon);
+    if (!pc || !Number.isFinite(la) || !Number.isFinite(lo)) continue;
+    table.set(pc.trim().toUpperCase(), [la, lo]);
+  }
+
+  console.log(`[GEO] Loaded ${table.size} postcode coordinates from ${full}`);
+  return table;
+}
+
+// Whether the table loaded with any postcodes
+function hasPostcodeTable() {
+  if (!table) loadPostcodeTable();
+  return table.size > 0;
+}
+
+/**
+ * Coordinates for a postcode (or a sector / outward code).
+ * Returns { lat, lon, precision: "unit" | "sector" | "outward" } or null.
+ */
+function lookupPostcode(pc) {
+  if (!table) loadPostcodeTable();
+  if (!table.size) return null;
+
+  const unit = formatPostcode(pc);
+  if (!unit) return null;
+
+  const [outward, inward = ""] = unit.split(" ");
+  const candidates = [
+    [unit, "unit"],
+    [inward ? `${outward} ${inward[0]}` : "", "sector"],
+    [outward, "outward"],
+  ];
+
+  for (const [key, precision] of candidates) {
+    if (key && table.has(key)) {
+      const [lat, lon] = table.get(key);
+      return { lat, lon, precision };
+    }
+  }
+  return null;
+}
+
+// Last postcode in a block of text – NHS addresses end with it.
+function extractPostcode(text) {
+  let last = null;
+  let m;
+  UK_POSTCODE_RE.lastIndex = 0;
+  while ((m = UK_POSTCODE_RE.exec(String(text || ""))) !== null) {
+    last = `${m[1]} ${m[2]}`.toUpperCase();
+  }
+  return last;
+}
+
+function haversineMiles(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  formatPostcode,
+  loadPostcodeTable,
+  hasPostcodeTable,
+  lookupPostcode,
+  extractPostcode,
+  haversineMiles,
+};
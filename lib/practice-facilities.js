@@ -0,0 +1,160 @@
+// lib/practice-facilities.js – facilities / services from NHS practice pages
+//
+// NHS practice profiles list accessibility (wheelchair access, step-free
+// entrance, accessible toilet, parking), languages spoken and specialist
+// services. Each facility comes back true / false, or null when the page
+// does not mention it – "not stated" must not be read as "no".
+//
+// matchesWatchFilters() applies a Watch's optional `filters` to a profile.
+
+const { stripHtml } = require("./acceptance-classifier");
+
+// How far past a facility label we look for its Available / Yes marker
+const STATE_WINDOW_CHARS = 40;
+
+const FACILITY_LABELS = {
+  wheelchairAccess: /wheelchair\s+(?:access(?:ible)?|entrance)/i,
+  stepFreeEntrance: /step[\s-]+free\s+(?:access|entrance)|level\s+access/i,
+  accessibleToilet: /(?:accessible|disabled|wheelchair\s+accessible)\s+toilets?/i,
+  parking: /(?<!(?:disabled|badge)\s)(?:car\s+)?parking(?!\s+for\s+disabled)/i,
+  disabledParking: /disabled\s+parking|blue\s+badge\s+parking|parking\s+for\s+disabled/i,
+  hearingLoop: /(?:hearing|induction)\s+loop/i,
+};
+
+const SERVICE_KEYWORDS = {
+  orthodontics: /orthodontic/i,
+  sedation: /sedation/i,
+  oral_surgery: /oral\s+surgery/i,
+  endodontics: /endodontic/i,
+  periodontics: /periodontic/i,
+  special_care: /special\s+care\s+dentistry/i,
+  domiciliary: /domiciliary|home\s+visits/i,
+  urgent_care: /urgent\s+(?:dental\s+)?(?:care|treatment)/i,
+};
+
+// \p{L}: language names can be written in their own script (Français, Cymraeg, Polski, اردو)
+const LANGUAGES_RE =
+  /(?:other\s+)?languages?\s+spoken\s*:?\s*([\p{L}\p{M} ,()/-]{2,200}?)(?:\.|\s{2}|$|\b(?:facilities|services|parking|accessib))/iu;
+
+function facilityState(text, labelRe) {
+  const m = labelRe.exec(text);
+  if (!m) return null;
+
+  const after = text
+    .slice(m.index + m[0].length, m.index + m[0].length + STATE_WINDOW_CHARS)
+    .toLowerCase();
+
+  // first marker wins – the window can run into the next facility's
+  const marker = /\b(not\s+available|unavailable|no|available|yes)\b/.exec(after);
+  if (marker) return /^(available|yes)$/.test(marker[1]);
+
+  // label listed with no marker – NHS only lists what the practice has
+  return true;
+}
+
+/**
+ * Extract a facilities profile from page HTML (or plain text).
+ * Returns { facilities: {...}, languages: [...], services: [...] }.
+ */
+function extractFacilities(htmlOrText) {
+  const text = stripHtml(htmlOrText);
+
+  const facilities = {};
+  for (const [key, re] of Object.entries(FACILITY_LABELS)) {
+    facilities[key] = facilityState(text, re);
+  }
+
+  const services = Object.entries(SERVICE_KEYWORDS)
+    .filter(([, re]) => re.test(text))
+    .map(([key]) => key);
+
+  let languages = [];
+  const lang = LANGUAGES_RE.exec(text);
+  if (lang) {
+    languages = lang[1]
+      .split(/,|\band\b/i)
+      .map((s) => s.replace(/\(.*?\)/g, "").trim())
+      .filter((s) => /^\p{L}[\p{L}\p{M} -]{1,30}$/u.test(s))
+      .map((s) => s.normalize("NFC").toLowerCase());
+  }
+
+  return { facilities, languages, services };
+}
+
+/* ---------------- WATCH FILTERS ---------------- */
+
+const BOOLEAN_FILTERS = [
+  "wheelchairAccess",
+  "stepFreeEntrance",
+  "accessibleToilet",
+  "parking",
+  "disabledParking",
+];
+
+function hasWatchFilters(filters) {
+  if (!filters) return false;
+  return (
+    BOOLEAN_FILTERS.some((k) => filters[k] === true) ||
+    !!filters.language ||
+    (Array.isArray(filters.services) && filters.services.length > 0)
+  );
+}
+
+/**
+ * Does a practice profile satisfy a watch's filters? A practice with no
+ * profile, or one that doesn't state a required facility, does not.
+ */
+function matchesWatchFilters(profile, filters) {
+  if (!hasWatchFilters(filters)) return true;
+  if (!profile) return false;
+
+  const f = profile.facilities || {};
+  for (const key of BOOLEAN_FILTERS) {
+    if (filters[key] === true && f[key] !== true) return false;
+  }
+
+  if (filters.language) {
+    const want = String(filters.language).toLowerCase().trim();
+    if (!(profile.languages || []).includes(want)) return false;
+  }
+
+  for (const s of filters.services || []) {
+    if (!(profile.services || []).includes(s)) return false;
+  }
+
+  return true;
+}
+
+const truthy = (v) => v === true || String(v || "").toLowerCase() === "true";
+
+/**
+ * Normalise filters from a signup / edit request body. Accepts either a
+ * `filters` object or flat fields (wheelchairAccess=true, language=Polish,
+ * services=orthodontics,sedation).
+ */
+function parseWatchFilters(body = {}) {
+  const src = body.filters && typeof body.filters === "object" ? body.filters : body;
+  const out = {};
+
+  for (const key of BOOLEAN_FILTERS) out[key] = truthy(src[key]);
+
+  out.language = String(src.language || "").normalize("NFC").toLowerCase().trim().slice(0, 40);
+
+  const services = Array.isArray(src.services)
+    ? src.services
+    : String(src.services || "").split(",");
+  out.services = services
+    .map((s) => String(s).trim().toLowerCase())
+    .filter((s) => Object.prototype.hasOwnProperty.call(SERVICE_KEYWORDS, s));
+
+  return out;
+}
+
+module.exports = {
+  FACILITY_LABELS,
+  SERVICE_KEYWORDS,
+  extractFacilities,
+  hasWatchFilters,
+  matchesWatchFilters,
+  parseWatchFilters,
+};
@@ -0,0 +1,206 @@
+// lib/practice-source-api.js – practice source backed by the NHS
+// service-directory API
+//
+// Structured data instead of scraped HTML: search by postcode returns
+// organisations with their address, phone, ODS code (the V-code) and the
+// "accepting patients" flags, so one request covers a whole results page.
+//
+// Env:
+//  - NHS_API_KEY        subscription key (sent as the `subscription-key` header)
+//  - NHS_API_BASE_URL   default https://api.nhs.uk/service-search
+//  - NHS_API_VERSION    default 2
+//  - SCAN_RESULTS_PER_PAGE  page size ($top), default 25
+//
+// The acceptance flags are turned back into the sentence the NHS website
+// shows ("This dentist accepts new NHS patients if they are: …") and run
+// through the shared classifier, so rule ids, cohorts, evidence and
+// re-classification behave exactly as they do for scraped pages.
+//
+// All knowledge of the API's field names lives in toPractice() /
+// acceptanceText() below.
+
+const {
+  NHS_ORIGIN,
+  buildPractice,
+  slugify,
+} = require("./nhs-results-parser");
+const { classifyAcceptance } = require("./acceptance-classifier");
+
+const DEFAULT_API_BASE_URL = "https://api.nhs.uk/service-search";
+const DEFAULT_PAGE_SIZE = 25;
+
+// Organisations kept from search results so getAcceptance() doesn't have to
+// fetch them again; oldest dropped beyond this.
+const MAX_REMEMBERED = 2000;
+
+/* ---------------- FIELD MAPPING ---------------- */
+
+function contactPhone(org) {
+  const contacts = Array.isArray(org.Contacts) ? org.Contacts : [];
+  const tel = contacts.find((c) =>
+    /telephone/i.test(`${c.ContactMethodType || ""} ${c.ContactType || ""}`)
+  );
+  return tel?.ContactValue || "";
+}
+
+function toPractice(org, postcode) {
+  const vcode = String(org.ODSCode || "").toUpperCase() || null;
+  const name = org.OrganisationName || "";
+  const address = [org.Address1, org.Address2, org.Address3, org.City, org.County, org.Postcode]
+    .map((s) => String(s || "").trim())
+    .filter(Boolean)
+    .join(", ");
+
+  const miles = Number(org.Distance);
+  const hasDistance = org.Distance !== undefined && org.Distance !== null && Number.isFinite(miles);
+
+  return buildPractice(
+    {
+      name,
+      address,
+      phone: contactPhone(org),
+      distanceText: hasDistance ? `Within ${miles.toFixed(1)} miles` : "",
+      distanceMiles: hasDistance ? miles : null,
+      vcode,
+      nhsUrl: vcode ? `${NHS_ORIGIN}/services/dentist/${slugify(name)}/${vcode}` : "",
+    },
+    postcode
+  );
+}
+
+// AcceptingPatients.Dentist: [{ Name: "Adults aged 18 or over", Accepted: true }, …]
+function acceptanceEntries(org) {
+  const list = org?.AcceptingPatients?.Dentist;
+  return Array.isArray(list) ? list : null;
+}
+
+/**
+ * The website wording for an organisation's acceptance flags. No flags at
+ * all means the practice has not told the NHS – same as the website's
+ * "has not confirmed" text.
+ */
+function acceptanceText(org) {
+  const entries = acceptanceEntries(org);
+  if (!entries || !entries.length) {
+    return "This dentist has not confirmed if they currently accept new NHS patients.";
+  }
+
+  const accepted = entries
+    .filter((e) => e.Accepted === true)
+    .map((e) => String(e.Name || "").trim())
+    .filter(Boolean);
+
+  if (!accepted.length) return "This dentist is not accepting new NHS patients.";
+  return `This dentist accepts new NHS patients if they are: ${accepted.join(", ")}.`;
+}
+
+function lastUpdatedOf(org) {
+  const raw = org?.LastUpdatedDates?.DentistsAcceptingPatients;
+  const d = raw ? new Date(raw) : null;
+  return d && Number.isFinite(d.getTime()) && d.getTime() <= Date.now() ? d : null;
+}
+
+/* ---------------- SOURCE ---------------- */
+
+function createApiSource({
+  fetch,
+  apiKey = process.env.NHS_API_KEY || "",
+  baseUrl = process.env.NHS_API_BASE_URL || DEFAULT_API_BASE_URL,
+  apiVersion = process.env.NHS_API_VERSION || "2",
+  pageSize = Number(process.env.SCAN_RESULTS_PER_PAGE) || DEFAULT_PAGE_SIZE,
+} = {}) {
+  if (typeof fetch !== "function") throw new Error("api source needs a fetch function");
+  if (!apiKey) throw new Error("PRACTICE_SOURCE=api needs NHS_API_KEY");
+
+  const root = String(baseUrl).replace(/\/+$/, "");
+  const headers = { Accept: "application/json", "subscription-key": apiKey };
+  const remembered = new Map(); // vcode -> organisation
+
+  function remember(org) {
+    const code = String(org.ODSCode || "").toUpperCase();
+    if (!code) return;
+    remembered.delete(code);
+    remembered.set(code, org);
+    if (remembered.size > MAX_REMEMBERED) {
+      remembered.delete(remembered.keys().next().value);
+    }
+  }
+
+  async function getJson(url, label) {
+    const res = await fetch(url, { label, headers });
+    try {
+      return { data: JSON.parse(res.body || "{}"), url: res.url || url, status: res.status };
+    } catch {
+      const err = new Error(`${label}: response is not JSON`);
+      err.status = res.status;
+      throw err;
+    }
+  }
+
+  return {
+    kind: "api",
+
+    // results come nearest first; the scanner stops paging past the radius
+    searchUrl(postcode, radius, page = 1) {
+      const params = new URLSearchParams({
+        "api-version": apiVersion,
+        search: String(postcode || "").toUpperCase().trim(),
+        $filter: "OrganisationTypeId eq 'DEN'",
+        $orderby: "Distance",
+        $top: String(pageSize),
+        $skip: String((page - 1) * pageSize),
+        $count: "true",
+      });
+      return `${root}/search-postcode-or-place?${params}`;
+    },
+
+    async searchPage(postcode, radius, page = 1) {
+      const { data } = await getJson(
+        this.searchUrl(postcode, radius, page),
+        page > 1 ? `api search p${page}` : "api search"
+      );
+      const orgs = Array.isArray(data.value) ? data.value : [];
+      orgs.forEach(remember);
+
+      const total = Number(data["@odata.count"]);
+      const seenSoFar = (page - 1) * pageSize + orgs.length;
+
+      return {
+        practices: orgs.map((o) => toPractice(o, postcode)),
+        parser: "api",
+        hasNext: Number.isFinite(total) ? seenSoFar < total : orgs.length === pageSize,
+        html: "",
+      };
+    },
+
+    async getAcceptance(practice) {
+      const code = String(practice.vcode || "").toUpperCase();
+      if (!code) throw new Error("missing_vcode");
+
+      let org = remembered.get(code);
+      let httpStatus = null;
+      if (org && acceptanceEntries(org)) {
+        remembered.delete(code);
+      } else {
+        const url = `${root}/organisations/${encodeURIComponent(code)}?api-version=${apiVersion}`;
+        const res = await getJson(url, "api organisation");
+        org = res.data;
+        httpStatus = res.status;
+      }
+
+      const text = acceptanceText(org);
+      return {
+        verdict: classifyAcceptance(text),
+        text,
+        html: "",
+        statusSource: "api",
+        // evidence links go to the public page, not the API
+        sourceUrl: practice.appointmentsUrl || practice.nhsUrl || "",
+        httpStatus,
+        lastUpdated: lastUpdatedOf(org),
+      };
+    },
+  };
+}
+
+module.exports = { createApiSource, toPractice, acceptanceText };
@@ -0,0 +1,111 @@
+// lib/practice-source-html.js – practice source that scrapes nhs.uk
+//
+// Search results come from the find-a-dentist results pages (parsed by
+// lib/nhs-results-parser.js); acceptance from each practice's
+// /appointments page, optionally falling back to the practice overview page
+// when the appointments page says nothing either way.
+//
+// NHS_WEB_BASE_URL replaces https://www.nhs.uk (see scripts/stub-nhs-server.js).
+
+const {
+  NHS_ORIGIN,
+  parseSearchResults,
+  hasNextPage,
+  htmlToText,
+} = require("./nhs-results-parser");
+const { classifyAcceptance } = require("./acceptance-classifier");
+const { extractLastUpdated } = require("./last-updated");
+
+const HTML_ACCEPT = "text/html,application/xhtml+xml";
+
+function buildNhsSearchUrl(postcode, radiusMiles, page = 1, origin = NHS_ORIGIN) {
+  const raw = String(postcode || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  let formatted = raw;
+
+  if (raw.length >= 5) {
+    formatted = `${raw.slice(0, raw.length - 3)} ${raw.slice(-3)}`;
+  }
+
+  const pathPostcode = formatted.replace(/\s+/, "-");
+  const radius = Number(radiusMiles) || 5;
+
+  const perPage = Number(process.env.SCAN_RESULTS_PER_PAGE) || 0;
+
+  return `${origin}/service-search/find-a-dentist/results/${encodeURIComponent(
+    pathPostcode
+  )}?distance=${radius}${page > 1 ? `&page=${page}` : ""}${
+    perPage ? `&results=${perPage}` : ""
+  }`;
+}
+
+function baseUrlOf(nhsUrl) {
+  return String(nhsUrl || "")
+    .trim()
+    .replace(/\/appointments\/?$/, "")
+    .replace(/\/+$/, "");
+}
+
+function createHtmlSource({ fetch, origin = NHS_ORIGIN } = {}) {
+  if (typeof fetch !== "function") throw new Error("html source needs a fetch function");
+
+  async function readPage(url, label) {
+    const res = await fetch(url, { label, headers: { Accept: HTML_ACCEPT } });
+    const text = htmlToText(res.body);
+    return {
+      verdict: classifyAcceptance(text, res.body),
+      text,
+      html: res.body,
+      sourceUrl: res.url || url,
+      httpStatus: res.status,
+      lastUpdated: extractLastUpdated(text),
+    };
+  }
+
+  return {
+    kind: "html",
+
+    searchUrl(postcode, radius, page = 1) {
+      return buildNhsSearchUrl(postcode, radius, page, origin);
+    },
+
+    async searchPage(postcode, radius, page = 1) {
+      const res = await fetch(this.searchUrl(postcode, radius, page), {
+        label: page > 1 ? `search p${page}` : "search",
+        headers: { Accept: HTML_ACCEPT },
+      });
+      const parsed = parseSearchResults(res.body, postcode);
+      return {
+        practices: parsed.practices,
+        parser: parsed.parser,
+        hasNext: hasNextPage(res.body, page),
+        html: res.body,
+      };
+    },
+
+    async getAcceptance(practice, { fallbackToMain = false } = {}) {
+      const base = baseUrlOf(practice.nhsUrl);
+      const apptUrl = practice.appointmentsUrl || (base ? `${base}/appointments` : "");
+      if (!apptUrl) throw new Error("missing_nhsUrl");
+
+      // 1) Appointments page is authoritative
+      const appt = await readPage(apptUrl, "appointments");
+      if (!fallbackToMain || appt.verdict.lock || !base) {
+        return { ...appt, statusSource: "appointments" };
+      }
+
+      // 2) Overview page only when the appointments page gave no signal
+      const main = await readPage(base, "practice");
+      if (main.verdict.lock && main.verdict.status !== "unknown") {
+        return {
+          ...main,
+          lastUpdated: main.lastUpdated || appt.lastUpdated,
+          appointmentsUrl: appt.sourceUrl,
+          statusSource: "main",
+        };
+      }
+      return { ...appt, httpStatus: main.httpStatus, statusSource: "appointments" };
+    },
+  };
+}
+
+module.exports = { buildNhsSearchUrl, createHtmlSource };
@@ -0,0 +1,115 @@
+// lib/practice-source-ni.js – nidirect "Find a health service dentist"
+//
+// Northern Ireland's dentists are Health Service (HS) rather than NHS:
+//   /services/find-health-service-dentist?postcode=BT1%201AA&distance=5[&page=N]
+// Each result links to /dentists/<slug>. The listing page has a details
+// list with "Accepting new health service patients" → "Yes", "Yes – children
+// only", "Yes – adults only", "No" or "Not known", and "Information updated
+// dd/mm/yyyy".
+//
+// NI_DIRECTORY_BASE_URL replaces https://www.nidirect.gov.uk.
+// Fixtures: data/fixtures/ni-dental (scripts/check-parser-fixtures.js).
+
+const cheerio = require("cheerio");
+const { cleanText, extractPhone, parseDistance } = require("./nhs-results-parser");
+const { extractLastUpdated } = require("./last-updated");
+const {
+  formatPostcode,
+  absoluteUrl,
+  cardFor,
+  firstText,
+  yesNo,
+  regionalPractice,
+  createRegionalSource,
+} = require("./practice-source-regional");
+
+const NI_ORIGIN = (process.env.NI_DIRECTORY_BASE_URL || "https://www.nidirect.gov.uk").replace(/\/+$/, "");
+const LISTING_HREF_RE = /\/dentists\/([a-z0-9-]+)\/?(?:[?#]|$)/i;
+
+function buildNiSearchUrl(postcode, radiusMiles, page = 1, origin = NI_ORIGIN) {
+  return `${origin}/services/find-health-service-dentist?postcode=${encodeURIComponent(
+    formatPostcode(postcode)
+  )}&distance=${Number(radiusMiles) || 5}${page > 1 ? `&page=${page}` : ""}`;
+}
+
+function parseNiResults(html, postcode, origin = NI_ORIGIN) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const practices = [];
+
+  $("a[href]").each((_, anchor) => {
+    const href = $(anchor).attr("href") || "";
+    const m = href.match(LISTING_HREF_RE);
+    if (!m || seen.has(m[1])) return;
+    seen.add(m[1]);
+
+    const card = cardFor($, anchor);
+    const dist = parseDistance(firstText($, card, ["[class*='distance']"]) || cleanText(card.text()));
+
+    practices.push(
+      regionalPractice(
+        {
+          name: cleanText($(anchor).text()) || firstText($, card, ["h3", "h2"]),
+          address: firstText($, card, ["[class*='address']", "address"]),
+          phone: extractPhone(firstText($, card, ["[class*='phone']", "[class*='tel']"]) || card.text()),
+          distanceText: dist.text,
+          distanceMiles: dist.miles,
+          nhsUrl: absoluteUrl(`/dentists/${m[1]}`, origin),
+        },
+        postcode,
+        "NI"
+      )
+    );
+  });
+
+  return practices;
+}
+
+function parseNiAcceptance(html) {
+  const $ = cheerio.load(html || "");
+  const text = cleanText($("body").text() || $.root().text());
+  const answer = {
+    confirmed: false,
+    adults: false,
+    children: false,
+    statement: "",
+    lastUpdated: extractLastUpdated(text),
+  };
+
+  const dt = $("dt")
+    .filter((_, el) => /accepting\s+new\s+(?:health\s+service|hs)\s+patients/i.test($(el).text()))
+    .first();
+  if (!dt.length) return answer;
+
+  const value = cleanText(dt.next("dd").text());
+  const yes = yesNo(value);
+  if (yes === null) return answer; // "Not known"
+
+  answer.confirmed = true;
+  answer.adults = yes && !/child(?:ren)?\s+only/i.test(value);
+  answer.children = yes && !/adults?\s+only/i.test(value);
+  answer.statement = `${cleanText(dt.text())}: ${value}`;
+  return answer;
+}
+
+const NI_ADAPTER = {
+  region: "NI",
+  kind: "ni",
+  origin: NI_ORIGIN,
+  searchUrl: buildNiSearchUrl,
+  parseResults: parseNiResults,
+  parseAcceptance: parseNiAcceptance,
+};
+
+function createNiSource(opts = {}) {
+  return createRegionalSource(NI_ADAPTER, opts);
+}
+
+module.exports = {
+  NI_ORIGIN,
+  buildNiSearchUrl,
+  parseNiResults,
+  parseNiAcceptance,
+  createNiSource,
+};
@@ -0,0 +1,190 @@
+// lib/practice-source-regional.js – shared plumbing for the Welsh, Scottish
+// and Northern Irish dental directories
+//
+// Each nation lists its NHS dentists in its own directory, with its own
+// markup and wording. An adapter (lib/practice-source-<region>.js) supplies
+// only what is specific to its directory:
+//
+//   region, kind                      "WALES", "wales", …
+//   origin                            directory origin (env-overridable)
+//   searchUrl(postcode, radius, page, origin)
+//   parseResults(html, postcode, origin) → practices
+//   parseAcceptance(html)             → { confirmed, adults, children,
+//                                         statement, lastUpdated }
+//
+// and createRegionalSource() wraps them in the PracticeSource interface
+// (lib/practice-source.js). Practices keep the lib/nhs-results-parser.js
+// shape; `appointmentsUrl` is the directory's listing page, which is where
+// acceptance is read. The yes/no answers are turned into the nhs.uk
+// sentence and run through the shared classifier (as
+// lib/practice-source-api.js does), so rules, cohorts and statuses match
+// England's; the evidence quote is the directory's own wording.
+
+const cheerio = require("cheerio");
+const { buildPractice, cleanText } = require("./nhs-results-parser");
+const { classifyAcceptance } = require("./acceptance-classifier");
+
+const HTML_ACCEPT = "text/html,application/xhtml+xml";
+
+/* ---------------- PARSING HELPERS ---------------- */
+
+// "CF10 1AA" – the directories all want the spaced form
+function formatPostcode(postcode) {
+  const raw = String(postcode || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return raw.length >= 5 ? `${raw.slice(0, -3)} ${raw.slice(-3)}` : raw;
+}
+
+function absoluteUrl(href, origin) {
+  const h = String(href || "").trim();
+  if (!h) return "";
+  try {
+    return new URL(h, origin).toString().replace(/#.*$/, "");
+  } catch {
+    return "";
+  }
+}
+
+// Nearest ancestor that looks like a single result card. List items and
+// articles first: a heading can carry a "result…" class of its own.
+function cardFor($, anchor) {
+  for (const sel of ["li, article", "[class*='result']"]) {
+    const card = $(anchor).closest(sel).first();
+    if (card.length) return card;
+  }
+  return $(anchor).parent();
+}
+
+// Page text with block boundaries kept as sentence stops, so a statement
+// can be quoted without the heading above it.
+function blockText($, root) {
+  const copy = root.clone();
+  copy.find("script, style").remove();
+  copy.find("br").replaceWith(", ");
+  copy.find("p, h1, h2, h3, h4, li, dt, dd, div, td, th").each((_, el) => {
+    $(el).append(". ");
+  });
+  return cleanText(copy.text()).replace(/([.!?])(\s*\.)+/g, "$1");
+}
+
+function firstText($, card, selectors) {
+  for (const sel of selectors) {
+    const el = card.find(sel).first();
+    if (!el.length) continue;
+    const copy = el.clone();
+    copy.find("br").replaceWith(", ");
+    const t = cleanText(copy.text()).replace(/\s*,\s*(,\s*)+/g, ", ");
+    if (t) return t;
+  }
+  return "";
+}
+
+// "Yes", "Yes – children only" → true; "No", "Closed" → false; else null
+function yesNo(text) {
+  const t = cleanText(text).toLowerCase();
+  if (/^(yes|accepting|open)\b/.test(t)) return true;
+  if (/^(no|not|closed)\b/.test(t)) return false;
+  return null;
+}
+
+// a rel=next link, or any link to the following page number
+function hasNextLink($, page) {
+  if ($("a[rel='next']").length) return true;
+  const next = new RegExp(`[?&]page=${page + 1}(?:&|$)`);
+  return $("a[href]")
+    .toArray()
+    .some((a) => next.test($(a).attr("href") || ""));
+}
+
+function regionalPractice(fields, postcode, region) {
+  return {
+    ...buildPractice(fields, postcode),
+    appointmentsUrl: fields.nhsUrl || "",
+    region,
+  };
+}
+
+/* ---------------- ACCEPTANCE ---------------- */
+
+const COHORT_NAMES = {
+  adults: "Adults aged 18 or over",
+  children: "Children aged 17 or under",
+};
+
+/**
+ * The nhs.uk wording for a directory's answer – what the shared classifier
+ * (and detectCohorts) understand.
+ */
+function acceptanceSentence({ confirmed, adults, children }) {
+  if (!confirmed) {
+    return "This dentist has not confirmed if they currently accept new NHS patients.";
+  }
+  const accepted = [adults && COHORT_NAMES.adults, children && COHORT_NAMES.children].filter(Boolean);
+  if (!accepted.length) return "This dentist is not accepting new NHS patients.";
+  return `This dentist accepts new NHS patients if they are: ${accepted.join(", ")}.`;
+}
+
+/* ---------------- SOURCE ---------------- */
+
+function createRegionalSource(adapter, { fetch, origin = adapter.origin } = {}) {
+  if (typeof fetch !== "function") {
+    throw new Error(`${adapter.kind} source needs a fetch function`);
+  }
+
+  return {
+    kind: adapter.kind,
+    region: adapter.region,
+
+    searchUrl(postcode, radius, page = 1) {
+      return adapter.searchUrl(postcode, radius, page, origin);
+    },
+
+    async searchPage(postcode, radius, page = 1) {
+      const res = await fetch(this.searchUrl(postcode, radius, page), {
+        label: page > 1 ? `${adapter.kind} search p${page}` : `${adapter.kind} search`,
+        headers: { Accept: HTML_ACCEPT },
+      });
+      return {
+        practices: adapter.parseResults(res.body, postcode, origin),
+        parser: adapter.kind,
+        hasNext: hasNextLink(cheerio.load(res.body || ""), page),
+        html: res.body,
+      };
+    },
+
+    async getAcceptance(practice) {
+      const url = practice.appointmentsUrl || practice.nhsUrl;
+      if (!url) throw new Error("missing_nhsUrl");
+
+      const res = await fetch(url, {
+        label: `${adapter.kind} practice`,
+        headers: { Accept: HTML_ACCEPT },
+      });
+      const answer = adapter.parseAcceptance(res.body);
+      const text = acceptanceSentence(answer);
+      const verdict = classifyAcceptance(text);
+
+      return {
+        // only ever quote the directory – the sentence above is ours
+        verdict: { ...verdict, evidence: answer.statement || "" },
+        text,
+        html: res.body,
+        statusSource: adapter.kind,
+        sourceUrl: res.url || url,
+        httpStatus: res.status,
+        lastUpdated: answer.lastUpdated || null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  formatPostcode,
+  absoluteUrl,
+  cardFor,
+  firstText,
+  blockText,
+  yesNo,
+  regionalPractice,
+  acceptanceSentence,
+  createRegionalSource,
+};
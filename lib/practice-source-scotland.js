@@ -0,0 +1,130 @@
+// lib/practice-source-scotland.js – NHS inform, Scotland's Service Directory
+//
+// Dental practices near a postcode:
+//   /scotlands-service-directory/dental-services?postcode=EH1%201AA&distance=5[&page=N]
+// Each result links to /scotlands-service-directory/dental-services/<slug>.
+// In Scotland patients "register" with a dentist, so the listing page says
+// "This practice is currently registering new NHS patients", optionally
+// narrowed ("(children only)", "(adults only)"), or "is not currently
+// registering new NHS patients"; plus "Last updated: 2 September 2026".
+//
+// NHS_SCOTLAND_BASE_URL replaces https://www.nhsinform.scot.
+// Fixtures: data/fixtures/scotland-dental (scripts/check-parser-fixtures.js).
+
+const cheerio = require("cheerio");
+const { cleanText, extractPhone, parseDistance } = require("./nhs-results-parser");
+const { extractLastUpdated } = require("./last-updated");
+const {
+  formatPostcode,
+  absoluteUrl,
+  cardFor,
+  firstText,
+  blockText,
+  regionalPractice,
+  createRegionalSource,
+} = require("./practice-source-regional");
+
+const SCOTLAND_ORIGIN = (process.env.NHS_SCOTLAND_BASE_URL || "https://www.nhsinform.scot").replace(/\/+$/, "");
+const DIRECTORY_PATH = "/scotlands-service-directory/dental-services";
+const LISTING_HREF_RE = /\/scotlands-service-directory\/dental-services\/([a-z0-9-]+)\/?(?:[?#]|$)/i;
+
+const NOT_REGISTERING_RE = /not\s+(?:currently\s+)?registering\s+new\s+nhs\s+patients/i;
+const REGISTERING_RE = /registering\s+new\s+nhs\s+(?:adult\s+and\s+child\s+)?patients(?:\s*\(([^)]*)\))?/i;
+
+function buildScotlandSearchUrl(postcode, radiusMiles, page = 1, origin = SCOTLAND_ORIGIN) {
+  return `${origin}${DIRECTORY_PATH}?postcode=${encodeURIComponent(
+    formatPostcode(postcode)
+  )}&distance=${Number(radiusMiles) || 5}${page > 1 ? `&page=${page}` : ""}`;
+}
+
+function parseScotlandResults(html, postcode, origin = SCOTLAND_ORIGIN) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const practices = [];
+
+  $("a[href]").each((_, anchor) => {
+    const href = $(anchor).attr("href") || "";
+    const m = href.match(LISTING_HREF_RE);
+    if (!m || seen.has(m[1])) return;
+    seen.add(m[1]);
+
+    const card = cardFor($, anchor);
+    const tel = card.find("a[href^='tel:']").first();
+    const dist = parseDistance(firstText($, card, ["[class*='distance']"]) || cleanText(card.text()));
+
+    practices.push(
+      regionalPractice(
+        {
+          name: cleanText($(anchor).text()) || firstText($, card, ["h2", "h3"]),
+          address: firstText($, card, ["[class*='address']", "address"]),
+          phone: extractPhone(tel.length ? tel.text() : card.text()),
+          distanceText: dist.text,
+          distanceMiles: dist.miles,
+          nhsUrl: absoluteUrl(`${DIRECTORY_PATH}/${m[1]}`, origin),
+        },
+        postcode,
+        "SCOTLAND"
+      )
+    );
+  });
+
+  return practices;
+}
+
+// The sentence around a registration statement
+function sentenceAround(text, index) {
+  const start = text.lastIndexOf(". ", index) + 1;
+  const stop = text.indexOf(". ", index);
+  return text.slice(start, stop === -1 ? text.length : stop + 1).trim();
+}
+
+function parseScotlandAcceptance(html) {
+  const $ = cheerio.load(html || "");
+  const text = blockText($, $("body").length ? $("body") : $.root());
+  const answer = {
+    confirmed: false,
+    adults: false,
+    children: false,
+    statement: "",
+    lastUpdated: extractLastUpdated(text),
+  };
+
+  const not = NOT_REGISTERING_RE.exec(text);
+  if (not) {
+    answer.confirmed = true;
+    answer.statement = sentenceAround(text, not.index);
+    return answer;
+  }
+
+  const yes = REGISTERING_RE.exec(text);
+  if (!yes) return answer;
+
+  const only = String(yes[1] || "").toLowerCase();
+  answer.confirmed = true;
+  answer.adults = !/child(?:ren)?\s+only/.test(only);
+  answer.children = !/adults?\s+only/.test(only);
+  answer.statement = sentenceAround(text, yes.index);
+  return answer;
+}
+
+const SCOTLAND_ADAPTER = {
+  region: "SCOTLAND",
+  kind: "scotland",
+  origin: SCOTLAND_ORIGIN,
+  searchUrl: buildScotlandSearchUrl,
+  parseResults: parseScotlandResults,
+  parseAcceptance: parseScotlandAcceptance,
+};
+
+function createScotlandSource(opts = {}) {
+  return createRegionalSource(SCOTLAND_ADAPTER, opts);
+}
+
+module.exports = {
+  SCOTLAND_ORIGIN,
+  buildScotlandSearchUrl,
+  parseScotlandResults,
+  parseScotlandAcceptance,
+  createScotlandSource,
+};
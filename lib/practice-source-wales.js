@@ -0,0 +1,121 @@
+// lib/practice-source-wales.js – NHS 111 Wales "Find local services"
+//
+// Dentists near a postcode, nearest first:
+//   /localservices/?s=Dentist&pc=CF10%201AA&sort=distance[&page=N]
+// Each result links to /localservices/details/?id=<id>; the listing page
+// has an "Accepting new NHS patients" table with a Yes/No row per cohort
+// (Adults, Children) and an "Information updated dd/mm/yyyy" line.
+//
+// NHS_WALES_BASE_URL replaces https://111.wales.nhs.uk.
+// Fixtures: data/fixtures/wales-dental (scripts/check-parser-fixtures.js).
+
+const cheerio = require("cheerio");
+const { cleanText, extractPhone, parseDistance } = require("./nhs-results-parser");
+const { extractLastUpdated } = require("./last-updated");
+const {
+  formatPostcode,
+  absoluteUrl,
+  cardFor,
+  firstText,
+  yesNo,
+  regionalPractice,
+  createRegionalSource,
+} = require("./practice-source-regional");
+
+const WALES_ORIGIN = (process.env.NHS_WALES_BASE_URL || "https://111.wales.nhs.uk").replace(/\/+$/, "");
+const LISTING_HREF_RE = /\/localservices\/details\/?\?(?:[^#]*&)?id=(\d+)/i;
+
+function buildWalesSearchUrl(postcode, radiusMiles, page = 1, origin = WALES_ORIGIN) {
+  return `${origin}/localservices/?s=Dentist&pc=${encodeURIComponent(
+    formatPostcode(postcode)
+  )}&sort=distance${page > 1 ? `&page=${page}` : ""}`;
+}
+
+function parseWalesResults(html, postcode, origin = WALES_ORIGIN) {
+  if (!html) return [];
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const practices = [];
+
+  $("a[href]").each((_, anchor) => {
+    const href = $(anchor).attr("href") || "";
+    const m = href.match(LISTING_HREF_RE);
+    if (!m || seen.has(m[1])) return;
+    seen.add(m[1]);
+
+    const card = cardFor($, anchor);
+    const dist = parseDistance(firstText($, card, ["[class*='distance']"]) || cleanText(card.text()));
+
+    practices.push(
+      regionalPractice(
+        {
+          name: cleanText($(anchor).text()) || firstText($, card, ["h3", "h2"]),
+          address: firstText($, card, ["[class*='address']", "address"]),
+          phone: extractPhone(firstText($, card, ["[class*='tel']", "[class*='phone']"]) || card.text()),
+          distanceText: dist.text,
+          distanceMiles: dist.miles,
+          nhsUrl: absoluteUrl(`/localservices/details/?id=${m[1]}`, origin),
+        },
+        postcode,
+        "WALES"
+      )
+    );
+  });
+
+  return practices;
+}
+
+function parseWalesAcceptance(html) {
+  const $ = cheerio.load(html || "");
+  const text = cleanText($("body").text() || $.root().text());
+  const answer = {
+    confirmed: false,
+    adults: false,
+    children: false,
+    statement: "",
+    lastUpdated: extractLastUpdated(text),
+  };
+
+  const table = $("table")
+    .filter((_, t) => /accepting\s+new\s+nhs\s+patients/i.test($(t).find("caption, th").first().text() + $(t).prev().text()))
+    .first();
+  if (!table.length) return answer;
+
+  const rows = [];
+  table.find("tr").each((_, tr) => {
+    const label = cleanText($(tr).find("th").first().text());
+    const value = cleanText($(tr).find("td").first().text());
+    if (!label || !value) return;
+    rows.push(`${label}: ${value}`);
+
+    const yes = yesNo(value);
+    if (yes === null) return;
+    answer.confirmed = true;
+    if (/adult/i.test(label)) answer.adults = yes;
+    if (/child/i.test(label)) answer.children = yes;
+  });
+
+  if (answer.confirmed) answer.statement = `Accepting new NHS patients – ${rows.join(", ")}`;
+  return answer;
+}
+
+const WALES_ADAPTER = {
+  region: "WALES",
+  kind: "wales",
+  origin: WALES_ORIGIN,
+  searchUrl: buildWalesSearchUrl,
+  parseResults: parseWalesResults,
+  parseAcceptance: parseWalesAcceptance,
+};
+
+function createWalesSource(opts = {}) {
+  return createRegionalSource(WALES_ADAPTER, opts);
+}
+
+module.exports = {
+  WALES_ORIGIN,
+  buildWalesSearchUrl,
+  parseWalesResults,
+  parseWalesAcceptance,
+  createWalesSource,
+};
@@ -0,0 +1,133 @@
+// lib/practice-source.js – where practice lists and acceptance come from
+//
+// A practice source is any object with:
+//
+//   kind                                   "html" | "api" | "wales" |
+//                                          "scotland" | "ni"
+//   region                                 (regional sources) "WALES", …
+//   searchUrl(postcode, radius, page)      → string (logging / breaker host)
+//   searchPage(postcode, radius, page)     → Promise<{ practices, parser,
+//                                              hasNext, html }>
+//   getAcceptance(practice, { fallbackToMain })
+//                                          → Promise<{ verdict, text, html,
+//                                              statusSource, sourceUrl,
+//                                              httpStatus, lastUpdated }>
+//
+// `practices` have the lib/nhs-results-parser.js shape (name, address,
+// phone, distance, vcode, nhsUrl, appointmentsUrl), and `verdict` is
+// classifyAcceptance() output, so everything downstream of a scan or a
+// snapshot is the same whichever source produced it. `html` is the raw page
+// for the markup fingerprint ("" when the source is not HTML). When the
+// HTML source falls back to the overview page, `appointmentsUrl` still says
+// which appointments page was tried first.
+//
+// Sources never talk HTTP themselves. They take a fetcher:
+//
+//   fetch(url, { label, headers }) → Promise<{ body, url, status }>
+//
+// which throws on anything that is not a 2xx. scanner.js passes its
+// retrying / circuit-breaking fetcher; jobs and scripts use
+// transportFetcher() below. Either way the bytes go through
+// lib/transport.js, so record / replay keeps working.
+//
+// Sources (PRACTICE_SOURCE env, or build one explicitly):
+//  - html – scrape the nhs.uk website (lib/practice-source-html.js)
+//  - api  – NHS service-directory API, needs NHS_API_KEY
+//           (lib/practice-source-api.js)
+//
+// NHS_WEB_BASE_URL / NHS_API_BASE_URL point either source at
+// scripts/stub-nhs-server.js for local testing.
+//
+// nhs.uk only lists English practices. Welsh, Scottish and Northern Irish
+// postcodes are routed (createPracticeSourceForPostcode, by
+// lib/uk-region.js) to that nation's directory adapter:
+//  - WALES    – NHS 111 Wales (lib/practice-source-wales.js)
+//  - SCOTLAND – NHS inform (lib/practice-source-scotland.js)
+//  - NI       – nidirect (lib/practice-source-ni.js)
+// PRACTICE_SOURCE only picks the English source.
+
+const { getDefaultTransport } = require("./transport");
+const { CRAWLER_USER_AGENT } = require("./crawl-budget");
+const { createHtmlSource } = require("./practice-source-html");
+const { createApiSource } = require("./practice-source-api");
+const { createWalesSource } = require("./practice-source-wales");
+const { createScotlandSource } = require("./practice-source-scotland");
+const { createNiSource } = require("./practice-source-ni");
+const { detectUkRegion } = require("./uk-region");
+
+const SOURCE_KINDS = ["html", "api"];
+
+// region (lib/uk-region.js) -> adapter factory; everything else is England
+const REGION_SOURCES = {
+  WALES: createWalesSource,
+  SCOTLAND: createScotlandSource,
+  NI: createNiSource,
+};
+const SOURCE_REGIONS = ["ENGLAND", ...Object.keys(REGION_SOURCES)];
+
+/**
+ * Plain fetcher over a transport: one attempt, non-2xx throws an Error with
+ * `status` (and `response.status`, which the snapshot job reports).
+ */
+function transportFetcher(transport = getDefaultTransport(), opts = {}) {
+  const userAgent = opts.userAgent || CRAWLER_USER_AGENT;
+  const timeoutMs = opts.timeoutMs || Number(process.env.HTTP_TIMEOUT_MS) || 25000;
+
+  return async function fetchPage(url, { headers = {} } = {}) {
+    const res = await transport.get(url, {
+      timeoutMs,
+      headers: {
+        "User-Agent": userAgent,
+        "Accept-Language": "en-GB,en;q=0.9",
+        ...headers,
+      },
+    });
+
+    if (res.status < 200 || res.status >= 300) {
+      const err = new Error(`Request failed with status code ${res.status}`);
+      err.status = res.status;
+      err.response = { status: res.status };
+      throw err;
+    }
+    return { body: res.body || "", url: res.url || url, status: res.status };
+  };
+}
+
+function sourceKindFromEnv() {
+  const kind = String(process.env.PRACTICE_SOURCE || "html").toLowerCase();
+  if (!SOURCE_KINDS.includes(kind)) {
+    throw new Error(
+      `PRACTICE_SOURCE must be one of ${SOURCE_KINDS.join(" | ")} (got "${kind}")`
+    );
+  }
+  return kind;
+}
+
+/**
+ * Build the configured source around a fetcher. `kind` overrides
+ * PRACTICE_SOURCE.
+ */
+function createPracticeSource(fetch, { kind = sourceKindFromEnv(), ...opts } = {}) {
+  if (kind === "api") return createApiSource({ fetch, ...opts });
+  if (kind === "html") return createHtmlSource({ fetch, ...opts });
+  throw new Error(`unknown practice source "${kind}"`);
+}
+
+/**
+ * The source for a postcode's nation: the region adapter for Wales,
+ * Scotland and Northern Ireland, otherwise createPracticeSource().
+ */
+function createPracticeSourceForPostcode(fetch, postcode, opts = {}) {
+  const regional = REGION_SOURCES[detectUkRegion(postcode)];
+  if (regional) return regional({ fetch });
+  return createPracticeSource(fetch, opts);
+}
+
+module.exports = {
+  SOURCE_KINDS,
+  SOURCE_REGIONS,
+  transportFetcher,
+  sourceKindFromEnv,
+  createPracticeSource,
+  createPracticeSourceForPostcode,
+};
@@ -0,0 +1,73 @@
+// lib/practice-status.js – the one place a practice's status changes
+//
+// A status change is two writes that have to stay in step:
+//  - PracticeStatusLatest: the new status, and lastOkStatus when the check
+//    succeeded (an error in between doesn't hide a transition)
+//  - PracticeStatusEvent: the new status with previousStatus – the last
+//    successful status before it – which transition alerts
+//    (ALERT_MODE=snapshot) and the re-alert clock read
+//
+// Used by the snapshot job (jobs/nhs-snapshot.js) for every check and by
+// POST /api/admin/reclassify when a new rule set changes a stored status.
+
+const PracticeStatusLatest = require("../models/PracticeStatusLatest");
+const PracticeStatusEvent = require("../models/PracticeStatusEvent");
+
+// Last successful status of a PracticeStatusLatest row (null = never checked)
+function previousStatusOf(prev) {
+  return prev ? prev.lastOkStatus || (prev.ok ? prev.status : null) : null;
+}
+
+/**
+ * Record a practice's status.
+ *
+ * @param {object} opts
+ * @param {string} opts.code
+ * @param {string} opts.radar      lib/radars id
+ * @param {string} opts.status     accepting | not_accepting | unknown
+ * @param {boolean} [opts.ok]      false = the check failed
+ * @param {Date}   opts.at         event checkedAt
+ * @param {object} [opts.latest]   extra PracticeStatusLatest fields
+ * @param {object} [opts.event]    extra PracticeStatusEvent fields
+ * @returns {{ previousStatus, opened }} opened = not_accepting → accepting
+ */
+async function recordPracticeStatus({ code, radar, status, ok = true, at, latest = {}, event = {} }) {
+  const prev = await PracticeStatusLatest.findOne({ code })
+    .select({ status: 1, ok: 1, lastOkStatus: 1 })
+    .lean();
+  const previousStatus = previousStatusOf(prev);
+
+  await PracticeStatusLatest.updateOne(
+    { code },
+    {
+      $set: {
+        ...latest,
+        code,
+        radar,
+        status,
+        ok,
+        ...(ok ? { lastOkStatus: status } : {}),
+      },
+    },
+    { upsert: true }
+  );
+
+  await PracticeStatusEvent.create({
+    ...event,
+    code,
+    radar,
+    status,
+    previousStatus,
+    checkedAt: at,
+    ok,
+  });
+
+  return {
+    previousStatus,
+    opened: ok && status === "accepting" && previousStatus === "not_accepting",
+  };
+}
+
+module.exports = {
+  recordPracticeStatus,
+};
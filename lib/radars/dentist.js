@@ -0,0 +1,56 @@
+// lib/radars/dentist.js – DentistRadar (NHS find-a-dentist)
+//
+// The original radar: results pages parsed by lib/nhs-results-parser.js,
+// acceptance from each practice's /appointments page, practices keyed by
+// V-code. Default radar for watches saved without a serviceType.
+
+const { classifyAcceptance } = require("../acceptance-classifier");
+const { describeCohorts } = require("../acceptance-cohorts");
+
+module.exports = {
+  id: "dentist",
+
+  // scan(postcode, radiusMiles) → scan result (see scanner.js)
+  scanner: { module: "./scanner.js", fn: "scanPostcode" },
+  streamScanner: { module: "./scanner.js", fn: "scanPostcodeStream" },
+
+  classify: classifyAcceptance,
+
+  codeOf: (p) => p.vcode || "",
+  codePattern: /^V\d{6}$/i,
+  keyPrefix: "V",
+
+  // markupDrift.js fingerprints the find-a-dentist pages; practice
+  // profiles (watch filters) exist only for dentists
+  trackMarkupDrift: true,
+  supportsFilters: true,
+
+  // scanner.js reads the Welsh, Scottish and NI directories for their
+  // postcodes (lib/practice-source.js)
+  regions: ["ENGLAND", "WALES", "SCOTLAND", "NI"],
+
+  describePatients: (p) => describeCohorts(p.acceptance),
+
+  branding: {
+    brand: "DentistRadar",
+    tagline: "NHS dentist availability alerts",
+    site: "https://www.dentistradar.co.uk",
+    shareText:
+      "I found an NHS dentist using DentistRadar – it emails you when local NHS practices start accepting patients.",
+  },
+
+  copy: {
+    noun: "NHS dentist",
+    plural: "NHS dentists",
+    practice: "practice",
+    practices: "practices",
+    unnamed: "Dental practice",
+    accepting: "accepting new NHS patients",
+    acceptingShort: "accepting",
+    pagesChecked: "Appointments / Opening times",
+    patientHeading: "Patient type",
+    defaultPatients: "Adults & children",
+    nextStep: "appointment availability",
+    cannotDo: "book appointments",
+  },
+};
@@ -0,0 +1,48 @@
+// lib/radars/gp.js – GP Radar (NHS find-a-GP)
+//
+// Surgeries from the find-a-GP results pages, registration status from the
+// result card or profile page (lib/gp-parser.js), keyed by ODS code.
+
+const { classifyRegistration, describeRegistration } = require("../gp-parser");
+
+module.exports = {
+  id: "gp",
+
+  scanner: { module: "./gpScanner.js", fn: "scanGpPostcode" },
+
+  classify: classifyRegistration,
+
+  codeOf: (p) => p.odsCode || "",
+  codePattern: /^[A-Z]\d{5}$/i,
+  keyPrefix: "G",
+
+  trackMarkupDrift: false,
+  supportsFilters: false,
+
+  regions: ["ENGLAND"],
+
+  describePatients: (p) =>
+    describeRegistration({ status: p.status, catchmentOnly: p.acceptance?.catchmentOnly }),
+
+  branding: {
+    brand: "GP Radar",
+    tagline: "NHS GP registration alerts",
+    site: null,
+    shareText: null, // no share block until GP Radar has its own site
+  },
+
+  copy: {
+    noun: "NHS GP",
+    plural: "NHS GP surgeries",
+    practice: "surgery",
+    practices: "surgeries",
+    unnamed: "GP surgery",
+    accepting: "registering new patients",
+    acceptingShort: "registering",
+    pagesChecked: "registration details",
+    patientHeading: "Registering",
+    defaultPatients: "New patients",
+    nextStep: "how to register",
+    cannotDo: "register you with a surgery",
+  },
+};
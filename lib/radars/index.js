@@ -0,0 +1,117 @@
+// lib/radars/index.js – radar registry
+//
+// A radar is one NHS service we watch (dentists, GPs, …). Each one lives in
+// lib/radars/<id>.js and declares:
+//  - scanner          { module, fn } – repo-root ESM module + export that
+//                     scans a postcode (resolved by scanCache.js). This is
+//                     where a radar's search pages are fetched and parsed
+//                     (scanner.js, gpScanner.js); nothing else in the scan
+//                     path is per radar
+//  - streamScanner    optional { module, fn } – async generator twin of
+//                     scanner (search / practice / done events) for
+//                     GET /api/scan/stream; radars without one can't stream
+//  - classify         (text, html?) → { status, lock, rule, rulesetVersion, … }
+//                     – POST /api/admin/reclassify re-runs it on stored text
+//  - codeOf / keyPrefix – the practice code (V-code, ODS code)
+//  - codePattern      optional; what a code looks like (jobs/nhs-snapshot.js
+//                     checks the snapshot radar's codes against it)
+//  - trackMarkupDrift, supportsFilters
+//  - regions          UK regions it can scan (lib/uk-region.js). Watches
+//                     outside them are waitlisted, /api/scan refuses them.
+//                     Default England; RADAR_REGIONS_<ID> (e.g.
+//                     RADAR_REGIONS_GP=ENGLAND,WALES) switches regions on
+//                     without a code change.
+//  - describePatients (practice) → "who they're accepting" label
+//  - branding         { brand, tagline, site, shareText }
+//  - copy             email/page wording (noun, plural, accepting, …)
+//
+// Watch.serviceType, scan cache keys, snapshot rows and stats all carry the
+// radar id. Adding a radar = a scanner module + a new file here + a line in
+// BUILT_IN.
+
+const DEFAULT_RADAR_ID = "dentist";
+
+const REQUIRED = [
+  "id",
+  "scanner",
+  "classify",
+  "codeOf",
+  "keyPrefix",
+  "describePatients",
+  "branding",
+  "copy",
+];
+
+const radars = new Map();
+
+function registerRadar(def) {
+  const missing = REQUIRED.filter((k) => def?.[k] == null);
+  if (missing.length) {
+    throw new Error(`radar ${def?.id || "?"} is missing: ${missing.join(", ")}`);
+  }
+  if (radars.has(def.id)) {
+    throw new Error(`radar ${def.id} is already registered`);
+  }
+  radars.set(def.id, Object.freeze({ trackMarkupDrift: false, supportsFilters: false, ...def }));
+  return radars.get(def.id);
+}
+
+const BUILT_IN = [require("./dentist"), require("./gp")];
+BUILT_IN.forEach(registerRadar);
+
+function getRadar(id) {
+  return radars.get(id) || null;
+}
+
+// Missing id → default radar (watches/logs saved before radars existed)
+function radarFor(id) {
+  return radars.get(id || DEFAULT_RADAR_ID) || null;
+}
+
+function radarIds() {
+  return [...radars.keys()];
+}
+
+function listRadars() {
+  return [...radars.values()];
+}
+
+// Mongo filter on a radar-id field; rows without one are the default radar
+function radarQuery(id) {
+  const radarId = id || DEFAULT_RADAR_ID;
+  return radarId === DEFAULT_RADAR_ID ? { $in: [radarId, null] } : radarId;
+}
+
+// UK regions a radar scans; RADAR_REGIONS_<ID> overrides radar.regions
+function radarRegions(radar) {
+  const configured = radar && process.env[`RADAR_REGIONS_${radar.id.toUpperCase()}`];
+  if (configured) {
+    return configured
+      .split(",")
+      .map((r) => r.trim().toUpperCase())
+      .filter(Boolean);
+  }
+  return radar?.regions?.length ? radar.regions : ["ENGLAND"];
+}
+
+// Stable per-radar practice key for Watch.alertedVcodes. The default radar
+// keeps its original "V:<vcode>" form.
+function practiceKeyFor(radar, p, postcode) {
+  const code = radar?.codeOf(p);
+  if (code) return `${radar.keyPrefix}:${code}`;
+  if (p.nhsUrl) return `U:${p.nhsUrl}`;
+  // Fallback – should be rare
+  return `N:${(p.name || "").trim()}|${(postcode || "").trim()}`;
+}
+
+module.exports = {
+  DEFAULT_RADAR_ID,
+  registerRadar,
+  getRadar,
+  radarFor,
+  radarIds,
+  listRadars,
+  radarQuery,
+  radarRegions,
+  practiceKeyFor,
+};
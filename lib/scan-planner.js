@@ -0,0 +1,208 @@
+// lib/scan-planner.js – fewer, wider scans for runAllScans
+//
+// Grouping watches by exact postcode::radius scans "RG41 4UW" three times
+// for watches at 5, 10 and 25 miles, and every neighbouring postcode once
+// more. clusterScanGroups merges those groups geographically:
+//  - groups of the same radar and UK region join a cluster around an
+//    anchor postcode (the widest group's), which is scanned once at a
+//    radius covering each member's own circle (anchor → member distance
+//    + member radius)
+//  - a cluster only widens up to SCAN_CLUSTER_MAX_MILES (default 10); an
+//    anchor that is already wider takes in anything inside its circle
+//  - groups whose postcode isn't in the coordinate table, or is only
+//    known to its outward code, are scanned on their own as before – an
+//    outward code can cover miles, so a shared scan would have to guess
+//    each watch's distance; plan.unclustered counts the groups left alone
+//
+// practicesForWatch then serves each watch from the cluster's scan by
+// measuring the practices from the watch's own postcode. SCAN_CLUSTERING=off
+// goes back to one scan per postcode::radius group.
+
+const { detectUkRegion } = require("./uk-region");
+const { formatPostcode, lookupPostcode, haversineMiles } = require("./postcode-geo");
+
+const DEFAULT_MAX_MILES = 10;
+
+// Outward-code centroids can be miles out – too rough to prove coverage
+const CLUSTER_PRECISION = ["unit", "sector"];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function clusteringEnabled() {
+  return String(process.env.SCAN_CLUSTERING || "on").toLowerCase() !== "off";
+}
+
+function maxClusterMiles() {
+  return Number(process.env.SCAN_CLUSTER_MAX_MILES) || DEFAULT_MAX_MILES;
+}
+
+function clusterKey(anchor, radius, serviceType, defaultServiceType) {
+  const pc = anchor.postcode;
+  return serviceType === defaultServiceType
+    ? `cluster::${pc}::${radius}`
+    : `cluster::${pc}::${radius}::${serviceType}`;
+}
+
+/**
+ * Merge exact scan groups ({ key, postcode, radius, serviceType, watchIds })
+ * into clusters. Every returned group carries exactGroups (how many exact
+ * groups it scans for) and clustered (more than one); a cluster's postcode
+ * and radius are what gets scanned.
+ *
+ * @param {object[]} groups
+ * @param {object} [opts]
+ * @param {boolean} [opts.enabled]             default SCAN_CLUSTERING != off
+ * @param {number}  [opts.maxMiles]            default SCAN_CLUSTER_MAX_MILES
+ * @param {string}  [opts.defaultServiceType]  radar whose keys carry no suffix
+ * @returns {{ groups: object[], plan: { clustering, maxMiles, exactGroups, scans, scansSaved, unclustered } }}
+ */
+function clusterScanGroups(groups, opts = {}) {
+  const enabled = opts.enabled ?? clusteringEnabled();
+  const maxMiles = opts.maxMiles || maxClusterMiles();
+
+  const single = ({ at, region, ...g }) => ({ ...g, exactGroups: 1, clustered: false });
+
+  const located = [];
+  const alone = [];
+  for (const g of groups) {
+    const at = enabled ? lookupPostcode(g.postcode) : null;
+    if (at && CLUSTER_PRECISION.includes(at.precision)) {
+      located.push({ ...g, at, region: detectUkRegion(g.postcode) });
+    } else {
+      alone.push(single(g));
+    }
+  }
+
+  // Widest first, so anchors are the groups that already scan furthest
+  located.sort(
+    (a, b) =>
+      b.radius - a.radius || b.watchIds.length - a.watchIds.length || a.key.localeCompare(b.key)
+  );
+
+  const clusters = [];
+  for (const g of located) {
+    let best = null;
+    for (const c of clusters) {
+      if (c.serviceType !== g.serviceType || c.region !== g.region) continue;
+
+      const needed = Math.max(c.radius, Math.ceil(haversineMiles(c.at, g.at) + g.radius));
+      if (needed > Math.max(c.radius, maxMiles)) continue;
+      if (!best || needed < best.needed) best = { c, needed };
+    }
+
+    if (best) {
+      best.c.radius = best.needed;
+      best.c.members.push(g);
+    } else {
+      clusters.push({
+        serviceType: g.serviceType,
+        region: g.region,
+        anchor: g,
+        at: g.at,
+        radius: g.radius,
+        members: [g],
+      });
+    }
+  }
+
+  const planned = [...alone];
+  const keys = new Set(alone.map((g) => g.key));
+  for (const c of clusters) {
+    if (c.members.length === 1) {
+      planned.push(single(c.anchor));
+      keys.add(c.anchor.key);
+      continue;
+    }
+
+    let key = clusterKey(c.anchor, c.radius, c.serviceType, opts.defaultServiceType);
+    while (keys.has(key)) key += "+";
+    keys.add(key);
+
+    planned.push({
+      key,
+      postcode: c.anchor.postcode,
+      radius: c.radius,
+      serviceType: c.serviceType,
+      watchIds: c.members.flatMap((m) => m.watchIds),
+      exactGroups: c.members.length,
+      clustered: true,
+    });
+  }
+
+  return {
+    groups: planned,
+    plan: {
+      clustering: enabled,
+      maxMiles,
+      exactGroups: groups.length,
+      scans: planned.length,
+      scansSaved: groups.length - planned.length,
+      // exact groups scanned on their own (no coordinates, or nothing near)
+      unclustered: planned.filter((g) => !g.clustered).length,
+    },
+  };
+}
+
+/**
+ * The practices from a cluster scan (measured from scanPostcode) that are
+ * within the watch's own radius, re-measured from the watch's postcode and
+ * nearest first.
+ *  - practice postcode in the coordinate table: exact distance
+ *  - otherwise the scan distance + anchor offset is an upper bound; the
+ *    practice is kept only if that bound is inside the radius
+ * Returns [] when the watch's postcode can't be located (the planner never
+ * clusters such a watch, so this only happens if the table changed).
+ */
+function practicesForWatch(practices, scanPostcode, watch) {
+  const radius = watch.radius || 5;
+
+  // The anchor's own watches: scan distances are already theirs
+  if (formatPostcode(watch.postcode) === formatPostcode(scanPostcode)) {
+    return practices.filter(
+      (p) => typeof p.distanceMiles !== "number" || p.distanceMiles <= radius
+    );
+  }
+
+  const origin = lookupPostcode(watch.postcode);
+  const anchor = lookupPostcode(scanPostcode);
+  if (!origin || !anchor) return [];
+  const offset = haversineMiles(anchor, origin);
+
+  const out = [];
+  for (const p of practices) {
+    const at = p.practicePostcode ? lookupPostcode(p.practicePostcode) : null;
+    if (at) {
+      const miles = round1(haversineMiles(origin, at));
+      if (miles <= radius) out.push({ ...p, distanceMiles: miles, distanceText: `${miles.toFixed(1)} miles` });
+      continue;
+    }
+
+    if (typeof p.distanceMiles !== "number") continue;
+    const bound = round1(p.distanceMiles + offset);
+    if (bound <= radius) out.push({ ...p, distanceMiles: bound, distanceText: `Within ${bound} miles` });
+  }
+
+  return out.sort((a, b) => a.distanceMiles - b.distanceMiles);
+}
+
+/**
+ * Whether a (possibly truncated) cluster scan saw the whole of a watch's
+ * circle. coveredMiles is how far the scan reached – its radius, or the
+ * farthest practice it read when the page cap cut it short.
+ */
+function coversWatch(scanPostcode, coveredMiles, watch) {
+  const radius = watch.radius || 5;
+  if (formatPostcode(watch.postcode) === formatPostcode(scanPostcode)) {
+    return radius <= coveredMiles;
+  }
+  const origin = lookupPostcode(watch.postcode);
+  const anchor = lookupPostcode(scanPostcode);
+  if (!origin || !anchor) return false;
+  return haversineMiles(anchor, origin) + radius <= coveredMiles;
+}
+
+module.exports = {
+  clusterScanGroups,
+  practicesForWatch,
+  coversWatch,
+};
@@ -0,0 +1,158 @@
+// lib/transport.js – pluggable HTTP transport for everything that reads nhs.uk
+//
+// A transport is any object with:
+//
+//   get(url, { headers, timeoutMs }) → Promise<{ status, body, url }>
+//
+// `url` in the response is the final URL after redirects. Non-2xx
+// responses resolve normally (callers decide what a 404 means); only
+// timeouts, network failures, replay misses and politeness refusals reject,
+// with a TransportError whose `code` is "timeout" | "network" |
+// "replay_miss" | "robots_disallowed" | "throttled".
+//
+// Modes (NHS_TRANSPORT env, or build one explicitly):
+//  - live    – real fetch()
+//  - record  – live, and every response is saved under NHS_FIXTURES_DIR
+//  - replay  – responses are served from NHS_FIXTURES_DIR, no network at all
+//
+// scanner.js, jobs/nhs-snapshot.js and scripts/discover-vcodes.js all take a
+// transport, so scan → classify → alert can run offline and repeatably.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FIXTURES_DIR = "./data/fixtures/http";
+
+class TransportError extends Error {
+  constructor(code, message, url = "") {
+    super(message);
+    this.name = "TransportError";
+    this.code = code;
+    this.url = url;
+  }
+}
+
+/* ---------------- LIVE ---------------- */
+
+function createLiveTransport() {
+  return {
+    mode: "live",
+
+    async get(url, { headers = {}, timeoutMs = 15000 } = {}) {
+      const controller = new AbortController();
+      const id = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const res = await fetch(url, {
+          signal: controller.signal,
+          redirect: "follow",
+          headers,
+        });
+        const body = await res.text();
+        return { status: res.status, body, url: res.url || url };
+      } catch (err) {
+        if (err?.name === "AbortError") {
+          throw new TransportError("timeout", `timed out after ${timeoutMs}ms`, url);
+        }
+        throw new TransportError("network", err?.message || String(err), url);
+      } finally {
+        clearTimeout(id);
+      }
+    },
+  };
+}
+
+/* ---------------- RECORD / REPLAY ---------------- */
+
+function fixtureFile(dir, url) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex").slice(0, 12);
+  const slug = url
+    .replace(/^https?:\/\/[^/]+\//, "")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 80);
+  return path.join(dir, `${slug || "root"}-${hash}.json`);
+}
+
+function createRecordingTransport(inner, dir = DEFAULT_FIXTURES_DIR) {
+  const root = path.resolve(dir);
+  fs.mkdirSync(root, { recursive: true });
+
+  return {
+    mode: "record",
+
+    async get(url, opts) {
+      const res = await inner.get(url, opts);
+      fs.writeFileSync(
+        fixtureFile(root, url),
+        JSON.stringify(
+          { url, status: res.status, finalUrl: res.url, recordedAt: new Date(), body: res.body },
+          null,
+          2
+        )
+      );
+      return res;
+    },
+  };
+}
+
+function createReplayTransport(dir = DEFAULT_FIXTURES_DIR) {
+  const root = path.resolve(dir);
+
+  return {
+    mode: "replay",
+
+    async get(url) {
+      const file = fixtureFile(root, url);
+      if (!fs.existsSync(file)) {
+        throw new TransportError("replay_miss", `no recorded response for ${url}`, url);
+      }
+      const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+      return { status: saved.status, body: saved.body || "", url: saved.finalUrl || url };
+    },
+  };
+}
+
+/* ---------------- DEFAULT ---------------- */
+
+// Live requests always go through the shared crawl budget + robots.txt
+// (lib/crawl-budget.js); replay never touches the network.
+function createTransportFromEnv(env = process.env) {
+  const mode = String(env.NHS_TRANSPORT || "live").toLowerCase();
+  const dir = env.NHS_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  if (mode === "replay") return createReplayTransport(dir);
+
+  // required here: crawl-budget needs TransportError from this module
+  const { createPoliteTransport } = require("./crawl-budget");
+  const live = createPoliteTransport(createLiveTransport());
+  if (mode === "record") return createRecordingTransport(live, dir);
+  return live;
+}
+
+let defaultTransport = null;
+
+function getDefaultTransport() {
+  if (!defaultTransport) {
+    defaultTransport = createTransportFromEnv();
+    if (defaultTransport.mode !== "live") {
+      console.log(`[HTTP] NHS transport mode: ${defaultTransport.mode}`);
+    }
+  }
+  return defaultTransport;
+}
+
+function setDefaultTransport(transport) {
+  defaultTransport = transport;
+}
+
+module.exports = {
+  TransportError,
+  createLiveTransport,
+  createRecordingTransport,
+  createReplayTransport,
+  createTransportFromEnv,
+  getDefaultTransport,
+  setDefaultTransport,
+};
@@ -0,0 +1,108 @@
+// lib/uk-region.js – which UK nation a postcode belongs to
+//
+// NHS dental listings are run separately in each nation, so the region
+// decides which directory a scan reads (lib/practice-source.js), whether a
+// new watch is waitlisted, and what the coverage note in alert emails says.
+
+const { radarRegions } = require("./radars");
+
+const NI = ["BT"];
+
+const SCOTLAND = [
+  "AB",
+  "DD",
+  "DG",
+  "EH",
+  "FK",
+  "G",
+  "HS",
+  "IV",
+  "KA",
+  "KW",
+  "KY",
+  "ML",
+  "PA",
+  "PH",
+  "TD",
+  "ZE",
+];
+
+const WALES = ["CF", "LD", "LL", "NP", "SA", "SY"];
+
+const CHANNEL_ISLANDS = ["GY", "JE"];
+const IOM = ["IM"];
+
+// label: for people; directory: where that nation's NHS listings live
+const REGIONS = {
+  ENGLAND: { label: "England", directory: "the NHS website (nhs.uk)" },
+  WALES: { label: "Wales", directory: "NHS 111 Wales" },
+  SCOTLAND: { label: "Scotland", directory: "NHS inform (Scotland's Service Directory)" },
+  NI: { label: "Northern Ireland", directory: "nidirect" },
+  CHANNEL_ISLANDS: { label: "the Channel Islands", directory: "" },
+  IOM: { label: "the Isle of Man", directory: "" },
+  OTHER: { label: "outside the UK", directory: "" },
+};
+
+function detectUkRegion(postcode) {
+  const pc = (postcode || "").toUpperCase().trim();
+
+  const m = pc.match(/^([A-Z]{1,2})/);
+  if (!m) return "OTHER";
+  const area = m[1];
+
+  if (NI.includes(area)) return "NI";
+  if (SCOTLAND.includes(area)) return "SCOTLAND";
+  if (WALES.includes(area)) return "WALES";
+  if (CHANNEL_ISLANDS.includes(area)) return "CHANNEL_ISLANDS";
+  if (IOM.includes(area)) return "IOM";
+
+  return "ENGLAND";
+}
+
+function regionLabel(region) {
+  return (REGIONS[region] || REGIONS.OTHER).label;
+}
+
+// "England, Wales and Scotland"
+function listRegions(regions) {
+  const labels = regions.map(regionLabel);
+  if (labels.length <= 1) return labels.join("");
+  return `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Plain-text coverage note for emails. `radar` is a lib/radars definition;
+ * `region` the watch postcode's region.
+ */
+function coverageNote(radar, region) {
+  const { brand } = radar.branding;
+  const { noun } = radar.copy;
+  const regions = radarRegions(radar);
+  const covered = listRegions(regions);
+
+  if (!regions.includes(region)) {
+    return (
+      `${brand} currently supports ${noun} searches in ${covered} only. ` +
+      `If your postcode is in ${regionLabel(region)}, results may be incomplete ` +
+      `while we work on support for other regions.`
+    );
+  }
+
+  if (region === "ENGLAND" || regions.length === 1) {
+    return `${brand} covers ${noun} searches in ${covered}.`;
+  }
+
+  return (
+    `${brand} covers ${noun} searches in ${covered}. Results for ${regionLabel(region)} ` +
+    `come from ${REGIONS[region].directory}, which words availability differently ` +
+    `from nhs.uk – always confirm with the practice.`
+  );
+}
+
+module.exports = {
+  REGIONS,
+  detectUkRegion,
+  regionLabel,
+  listRegions,
+  coverageNote,
+};
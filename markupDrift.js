@@ -0,0 +1,230 @@
+// markupDrift.js – NHS markup drift detector
+//
+// A redesign of the NHS search or appointments pages does not make the
+// scanner crash – it makes it quietly return nameless practices, or
+// classify everything as "unknown", and users get no alerts (or bad ones).
+//
+// Each scanPostcode() result carries `markup` (parse-quality counts plus the
+// structure tokens of the pages it read, see lib/markup-fingerprint.js).
+// Callers feed results into a tracker and check it against:
+//  - the stored baseline fingerprints (Jaccard similarity)
+//  - ratio thresholds: blocks without names / phones, all-unknown verdicts,
+//    and repeated scans that found no result blocks at all
+//
+// Drift marks alert emails as held (MarkupDrift.alertsHeld) until an admin
+// releases them via POST /api/admin/markup-drift/release, optionally
+// accepting the new markup as the baseline.
+
+import { MarkupDrift } from "./models.js";
+import { similarity, fingerprintHash } from "./lib/markup-fingerprint.js";
+
+const DRIFT_KEY = "nhs";
+
+// Env number where 0 is a real setting (e.g. DRIFT_MAX_MISSING_NAME=0)
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  const n = raw === undefined || raw === "" ? NaN : Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export const DRIFT_THRESHOLDS = {
+  minSimilarity: envNumber("DRIFT_MIN_SIMILARITY", 0.6),
+  maxMissingName: envNumber("DRIFT_MAX_MISSING_NAME", 0.2),
+  maxMissingPhone: envNumber("DRIFT_MAX_MISSING_PHONE", 0.5),
+  maxUnclassified: envNumber("DRIFT_MAX_UNCLASSIFIED", 0.95),
+  // ratios are only judged once there is this much to judge
+  minSample: envNumber("DRIFT_MIN_SAMPLE", 10),
+  // scans with zero result blocks before "no_blocks" fires
+  minEmptyScans: envNumber("DRIFT_MIN_EMPTY_SCANS", 3),
+};
+
+/* ---------------- TRACKER ---------------- */
+
+export function createDriftTracker() {
+  return {
+    scans: 0,
+    emptyScans: 0,
+    blocks: 0,
+    missingName: 0,
+    missingPhone: 0,
+    classified: 0,
+    unclassified: 0,
+    searchTokens: new Set(),
+    appointmentsTokens: new Set(),
+  };
+}
+
+// Degraded scans say nothing about the markup – the page never loaded.
+export function trackScan(tracker, scan) {
+  const m = scan?.markup;
+  if (!m || scan.degraded) return tracker;
+
+  tracker.scans++;
+  if (!m.blocks) tracker.emptyScans++;
+  tracker.blocks += m.blocks || 0;
+  tracker.missingName += m.missingName || 0;
+  tracker.missingPhone += m.missingPhone || 0;
+  tracker.classified += m.classified || 0;
+  tracker.unclassified += m.unclassified || 0;
+  for (const t of m.searchTokens || []) tracker.searchTokens.add(t);
+  for (const t of m.appointmentsTokens || []) tracker.appointmentsTokens.add(t);
+  return tracker;
+}
+
+function ratio(n, d) {
+  return d ? Number((n / d).toFixed(3)) : 0;
+}
+
+/* ---------------- CHECK ---------------- */
+
+/**
+ * Pure check of a tracker against a MarkupDrift row (or null).
+ * Returns { drift, reasons, metrics, similarity, fingerprints }.
+ */
+export function checkDrift(tracker, state) {
+  const t = DRIFT_THRESHOLDS;
+  const searchTokens = Array.from(tracker.searchTokens).sort();
+  const appointmentsTokens = Array.from(tracker.appointmentsTokens).sort();
+
+  const metrics = {
+    scans: tracker.scans,
+    emptyScans: tracker.emptyScans,
+    blocks: tracker.blocks,
+    missingNameRatio: ratio(tracker.missingName, tracker.blocks),
+    missingPhoneRatio: ratio(tracker.missingPhone, tracker.blocks),
+    classified: tracker.classified,
+    unclassifiedRatio: ratio(tracker.unclassified, tracker.classified),
+  };
+
+  const baseline = state?.baseline || {};
+  const sim = { search: null, appointments: null };
+  if (baseline.searchTokens?.length && searchTokens.length) {
+    sim.search = Number(similarity(baseline.searchTokens, searchTokens).toFixed(3));
+  }
+  if (baseline.appointmentsTokens?.length && appointmentsTokens.length) {
+    sim.appointments = Number(
+      similarity(baseline.appointmentsTokens, appointmentsTokens).toFixed(3)
+    );
+  }
+
+  const reasons = [];
+  if (sim.search !== null && sim.search < t.minSimilarity) {
+    reasons.push("search_structure_changed");
+  }
+  if (sim.appointments !== null && sim.appointments < t.minSimilarity) {
+    reasons.push("appointments_structure_changed");
+  }
+  if (tracker.blocks >= t.minSample) {
+    if (metrics.missingNameRatio > t.maxMissingName) reasons.push("missing_names");
+    if (metrics.missingPhoneRatio > t.maxMissingPhone) reasons.push("missing_phones");
+  }
+  if (tracker.classified >= t.minSample && metrics.unclassifiedRatio >= t.maxUnclassified) {
+    reasons.push("all_unknown");
+  }
+  if (tracker.emptyScans >= t.minEmptyScans && tracker.blocks === 0) {
+    reasons.push("no_blocks");
+  }
+
+  return {
+    drift: reasons.length > 0,
+    reasons,
+    metrics,
+    similarity: sim,
+    fingerprints: {
+      search: searchTokens.length ? fingerprintHash(searchTokens) : null,
+      appointments: appointmentsTokens.length ? fingerprintHash(appointmentsTokens) : null,
+    },
+    searchTokens,
+    appointmentsTokens,
+  };
+}
+
+/* ---------------- STATE ---------------- */
+
+export async function loadDriftState() {
+  return MarkupDrift.findOne({ key: DRIFT_KEY }).lean();
+}
+
+export async function areAlertsHeld() {
+  try {
+    const state = await loadDriftState();
+    return !!state?.alertsHeld;
+  } catch (e) {
+    // fail open – a Mongo hiccup should not silence every alert
+    console.error("[DRIFT] hold lookup error:", e?.message || e);
+    return false;
+  }
+}
+
+/**
+ * Persist a check. The first clean check becomes the baseline; a drifting
+ * check holds alerts. Returns { newlyHeld } so the caller emails the admin
+ * once per incident rather than once per run.
+ */
+export async function recordDriftCheck(verdict, { source = "cron" } = {}) {
+  const state = await loadDriftState();
+  const now = new Date();
+
+  const $set = {
+    key: DRIFT_KEY,
+    lastCheck: {
+      at: now,
+      source,
+      drift: verdict.drift,
+      reasons: verdict.reasons,
+      metrics: verdict.metrics,
+      similarity: verdict.similarity,
+      fingerprints: verdict.fingerprints,
+    },
+  };
+
+  if (verdict.searchTokens.length || verdict.appointmentsTokens.length) {
+    $set.latest = {
+      searchTokens: verdict.searchTokens,
+      appointmentsTokens: verdict.appointmentsTokens,
+      seenAt: now,
+    };
+  }
+
+  if (!verdict.drift) {
+    if (!state?.baseline?.searchTokens?.length && verdict.searchTokens.length) {
+      $set["baseline.searchTokens"] = verdict.searchTokens;
+      $set["baseline.setAt"] = now;
+    }
+    if (!state?.baseline?.appointmentsTokens?.length && verdict.appointmentsTokens.length) {
+      $set["baseline.appointmentsTokens"] = verdict.appointmentsTokens;
+      $set["baseline.setAt"] = now;
+    }
+  }
+
+  const newlyHeld = verdict.drift && !state?.alertsHeld;
+  if (newlyHeld) {
+    $set.alertsHeld = true;
+    $set.heldAt = now;
+    $set.heldReasons = verdict.reasons;
+    console.error(`[DRIFT] NHS markup drift (${verdict.reasons.join(", ")}) – alerts HELD`);
+  }
+
+  await MarkupDrift.updateOne({ key: DRIFT_KEY }, { $set }, { upsert: true });
+  return { newlyHeld };
+}
+
+/**
+ * Release held alerts. rebaseline=true accepts the latest seen structure
+ * as the new normal (after the parser has been fixed for it).
+ */
+export async function releaseAlertHold({ rebaseline = false } = {}) {
+  const state = await loadDriftState();
+  const $set = { key: DRIFT_KEY, alertsHeld: false, heldReasons: [], releasedAt: new Date() };
+
+  if (rebaseline && state?.latest) {
+    $set.baseline = {
+      searchTokens: state.latest.searchTokens || [],
+      appointmentsTokens: state.latest.appointmentsTokens || [],
+      setAt: new Date(),
+    };
+  }
+
+  await MarkupDrift.updateOne({ key: DRIFT_KEY }, { $set }, { upsert: true });
+  return { wasHeld: !!state?.alertsHeld, rebaselined: !!$set.baseline };
+}
@@ -1,10 +1,16 @@
 // models.js
 // Central Mongoose models for DentistRadar
 // - User: registered user
-// - Watch: an "alert" (postcode + radius + email)
+// - Watch: an "alert" (postcode + radius + email + service type), active or
+//   waitlisted for an uncovered region
 // - EmailLog: alert/email history & de-duplication
+// - ScanCache: recent scan results keyed by radar + postcode + radius
+// - MarkupDrift: NHS page-structure baseline + alert hold (markupDrift.js)
+// - ScanRun: checkpointed runAllScans run with per-group state
+// - DigestItem: matches waiting for a daily / weekly digest watch's email
 
 import mongoose from "mongoose";
+import { DEFAULT_RADAR_ID, radarIds } from "./lib/radars/index.js";
 
 let mongoReadyPromise = null;
 
@@ -43,6 +49,16 @@ const watchSchema = new mongoose.Schema(
     email: { type: String, required: true, index: true }, // user email
     postcode: { type: String, required: true },
 
+    // Radar id (lib/radars) – what the watch looks for. Watches created
+    // before GP Radar have no value and belong to the default radar
+    // (see radarQuery in lib/radars/index.js).
+    serviceType: {
+      type: String,
+      enum: radarIds(),
+      default: DEFAULT_RADAR_ID,
+      index: true,
+    },
+
     // Optional so old code that uses "radius" still works
     radiusMiles: { type: Number },
 
@@ -50,6 +66,20 @@ const watchSchema = new mongoose.Schema(
     radius: { type: Number },
 
     active: { type: Boolean, default: true },
+
+    // "waitlisted" = postcode in a UK region the radar doesn't cover yet
+    // (lib/uk-region.js). Not scanned; jobs/waitlist-activation.js flips it
+    // to "active" once the region is switched on (radar regions / env).
+    status: {
+      type: String,
+      enum: ["active", "waitlisted"],
+      default: "active",
+      index: true,
+    },
+    region: { type: String, default: null }, // ENGLAND, WALES, … at signup
+    waitlistedAt: { type: Date, default: null },
+    activatedAt: { type: Date, default: null },
+
     createdAt: { type: Date, default: Date.now },
     lastRunAt: { type: Date },
 
@@ -62,6 +92,49 @@ const watchSchema = new mongoose.Schema(
       default: [],
     },
 
+    // Per-practice alert memory (lib/alert-state.js): when each practice
+    // was last alerted and since when it has been seen not accepting, so a
+    // practice that reopens after REALERT_AFTER_DAYS is announced again
+    practiceAlerts: {
+      type: [
+        {
+          _id: false,
+          key: { type: String, required: true },
+          firstAlertedAt: { type: Date, default: null },
+          lastAlertedAt: { type: Date, default: null },
+          alerts: { type: Number, default: 0 },
+          notAcceptingSince: { type: Date, default: null },
+        },
+      ],
+      default: [],
+    },
+
+    // How alerts reach the user: "instant" emails straight away (6h / 12h
+    // throttles), "daily" / "weekly" queue matches as DigestItems and
+    // jobs/digest.js sends them together at digestHour (UK time) – weekly
+    // on digestDay (0 = Sunday … 6 = Saturday)
+    deliveryMode: {
+      type: String,
+      enum: ["instant", "daily", "weekly"],
+      default: "instant",
+      index: true,
+    },
+    digestHour: { type: Number, min: 0, max: 23, default: 8 },
+    digestDay: { type: Number, min: 0, max: 6, default: 1 },
+    lastDigestAt: { type: Date, default: null },
+
+    // Optional practice filters (see lib/practice-facilities.js), e.g.
+    // wheelchairAccess=true → "wheelchair accessible only"
+    filters: {
+      wheelchairAccess: { type: Boolean, default: false },
+      stepFreeEntrance: { type: Boolean, default: false },
+      accessibleToilet: { type: Boolean, default: false },
+      parking: { type: Boolean, default: false },
+      disabledParking: { type: Boolean, default: false },
+      language: { type: String, default: "" },
+      services: { type: [String], default: [] },
+    },
+
   },
   { timestamps: true }
 );
@@ -153,6 +226,197 @@ const PartnerClinic =
 export { PartnerClinic };
 
 
+// ----------------- ScanCache -----------------
+
+/**
+ * Short-lived cache of scanPostcode() results, shared by signup, /api/scan,
+ * the admin self-check and runAllScans. See scanCache.js for the
+ * fresh / stale / expired rules; Mongo's TTL monitor drops rows once
+ * expiresAt passes.
+ */
+
+const scanCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // e.g. "RG414UW::10", "gp:RG414UW::10"
+    radar: { type: String, default: DEFAULT_RADAR_ID, index: true }, // lib/radars id
+    postcode: { type: String },
+    radiusMiles: { type: Number },
+    result: { type: mongoose.Schema.Types.Mixed },
+    cachedAt: { type: Date, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: false }
+);
+
+scanCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ScanCache =
+  mongoose.models.ScanCache || mongoose.model("ScanCache", scanCacheSchema);
+
+// ----------------- MarkupDrift -----------------
+
+/**
+ * One row per monitored site (key "nhs"). Holds the accepted structure
+ * fingerprints of the search and appointments pages, the last drift check,
+ * and whether alert emails are currently held because of drift.
+ */
+
+const markupDriftSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+
+    baseline: {
+      searchTokens: { type: [String], default: [] },
+      appointmentsTokens: { type: [String], default: [] },
+      setAt: { type: Date },
+    },
+
+    // Tokens seen by the latest check – promoted to baseline on release
+    latest: {
+      searchTokens: { type: [String], default: [] },
+      appointmentsTokens: { type: [String], default: [] },
+      seenAt: { type: Date },
+    },
+
+    lastCheck: { type: mongoose.Schema.Types.Mixed },
+
+    alertsHeld: { type: Boolean, default: false },
+    heldAt: { type: Date },
+    heldReasons: { type: [String], default: [] },
+    releasedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export const MarkupDrift =
+  mongoose.models.MarkupDrift || mongoose.model("MarkupDrift", markupDriftSchema);
+
+// ----------------- ScanRun -----------------
+
+/**
+ * One grouped-scan run (runAllScans in server.js). The run is planned up
+ * front – one entry per (postcode, radius, radar) group, or per cluster of
+ * nearby groups (lib/scan-planner.js) – and the worker
+ * checkpoints each group as it goes, so a run cut short by a restart
+ * resumes from the first unfinished group instead of starting over.
+ *
+ * Group states: pending → running → done | failed. A run is "running"
+ * until every group is done or failed. Its worker moves heartbeatAt on
+ * while it works; only a run whose heartbeat has gone stale is resumed.
+ *
+ * Groups carry their state and stats only – each group's per-watch
+ * results are a ScanRunResult, so a large run stays well under the
+ * document size limit.
+ */
+
+const scanRunGroupSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // "RG414UW::10", "RG414UW::10::gp"
+    postcode: { type: String },
+    radius: { type: Number },
+    serviceType: { type: String, default: DEFAULT_RADAR_ID },
+    watchIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+
+    // Cluster of nearby groups scanned once (lib/scan-planner.js): postcode
+    // and radius above are the wider scan, each watch is filtered from it
+    clustered: { type: Boolean, default: false },
+    exactGroups: { type: Number, default: 1 },
+
+    state: {
+      type: String,
+      enum: ["pending", "running", "done", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    error: { type: String, default: null },
+
+    // { emails, queued, skippedRecent, cacheHit, degraded, held, accepting, fallbackScans }
+    stats: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const scanRunSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["running", "done", "failed"],
+      default: "running",
+      index: true,
+    },
+    dryRun: { type: Boolean, default: false },
+    fresh: { type: Boolean, default: false },
+
+    totalWatches: { type: Number, default: 0 },
+    groups: { type: [scanRunGroupSchema], default: [] },
+    // { clustering, maxMiles, exactGroups, scans, scansSaved, unclustered }
+    plan: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    startedAt: { type: Date, default: Date.now },
+    heartbeatAt: { type: Date, default: null }, // worker still alive (SCAN_RUN_HEARTBEAT_MS)
+    finishedAt: { type: Date, default: null },
+    resumedAt: { type: Date, default: null },
+    resumes: { type: Number, default: 0 },
+    error: { type: String, default: null },
+
+    waitlist: { type: mongoose.Schema.Types.Mixed, default: null },
+    summary: { type: mongoose.Schema.Types.Mixed, default: null }, // set when done
+  },
+  { timestamps: true }
+);
+
+scanRunSchema.index({ startedAt: -1 });
+
+export const ScanRun =
+  mongoose.models.ScanRun || mongoose.model("ScanRun", scanRunSchema);
+
+// One ScanRun group's results (per watch: emailed, queued, skipped and why)
+const scanRunResultSchema = new mongoose.Schema(
+  {
+    runId: { type: mongoose.Schema.Types.ObjectId, ref: "ScanRun", required: true },
+    groupKey: { type: String, required: true },
+    results: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  { timestamps: true }
+);
+
+scanRunResultSchema.index({ runId: 1, groupKey: 1 }, { unique: true });
+
+export const ScanRunResult =
+  mongoose.models.ScanRunResult || mongoose.model("ScanRunResult", scanRunResultSchema);
+
+// ----------------- DigestItem -----------------
+
+/**
+ * One practice waiting to go out in a digest watch's next email. alertWatch
+ * (server.js) queues it instead of emailing; jobs/digest.js renders the
+ * watch's items into one email and deletes them once sent. One item per
+ * watch + practice – a later match refreshes it.
+ */
+
+const digestItemSchema = new mongoose.Schema(
+  {
+    watchId: { type: mongoose.Schema.Types.ObjectId, ref: "Watch", required: true },
+    email: { type: String, required: true },
+    serviceType: { type: String, default: DEFAULT_RADAR_ID },
+    postcode: { type: String },
+    radius: { type: Number },
+    practiceKey: { type: String, required: true }, // radar practiceKeyFor
+    practice: { type: mongoose.Schema.Types.Mixed, required: true }, // as it would be emailed
+    acceptingAgain: { type: Boolean, default: false },
+    queuedAt: { type: Date, default: Date.now },
+    scanRunId: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+digestItemSchema.index({ watchId: 1, practiceKey: 1 }, { unique: true });
+
+export const DigestItem =
+  mongoose.models.DigestItem || mongoose.model("DigestItem", digestItemSchema);
+
 // Helpful analytics indices (non-unique)
 emailLogSchema.index({ email: 1, postcode: 1 });
 emailLogSchema.index({ practiceId: 1 });
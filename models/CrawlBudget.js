@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// One document per crawled host: the shared token bucket every crawler
+// draws from, usage counters, and the cached robots.txt rules.
+// Maintained by lib/crawl-budget.js.
+const CrawlBudgetSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, index: true }, // host, e.g. www.nhs.uk
+
+    // token bucket (refilled lazily on every take)
+    tokens: { type: Number, default: null },
+    refilledAt: { type: Date, default: null },
+    rpm: { type: Number, default: null }, // effective budget at last take
+    capacity: { type: Number, default: null },
+    lastTakeGranted: { type: Boolean, default: null },
+
+    // usage
+    granted: { type: Number, default: 0 },
+    waits: { type: Number, default: 0 }, // takes that found the bucket empty
+    disallowed: { type: Number, default: 0 }, // requests refused by robots.txt
+    windowStart: { type: Date, default: null }, // current minute
+    windowGranted: { type: Number, default: 0 },
+    lastGrantedAt: { type: Date, default: null },
+
+    robots: {
+      fetchedAt: { type: Date, default: null },
+      status: { type: Number, default: null }, // HTTP status of robots.txt, null = unreachable
+      crawlDelay: { type: Number, default: null },
+      rules: { type: [mongoose.Schema.Types.Mixed], default: [] }, // [{ allow, path }]
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CrawlBudget", CrawlBudgetSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Facilities / services profile per practice, alongside PracticeVcode
+// (same vcode key). Filled by jobs/practice-profiles.js.
+const PracticeProfileSchema = new mongoose.Schema(
+  {
+    vcode: { type: String, required: true, unique: true, index: true }, // V123456
+    nhsUrl: { type: String, default: "" },
+
+    // true / false, or null when the NHS page doesn't say
+    facilities: {
+      wheelchairAccess: { type: Boolean, default: null, index: true },
+      stepFreeEntrance: { type: Boolean, default: null },
+      accessibleToilet: { type: Boolean, default: null },
+      parking: { type: Boolean, default: null },
+      disabledParking: { type: Boolean, default: null },
+      hearingLoop: { type: Boolean, default: null },
+    },
+    languages: { type: [String], default: [] }, // lower-case, e.g. "polish"
+    services: { type: [String], default: [] }, // keys of SERVICE_KEYWORDS
+
+    sourceUrl: { type: String, default: "" },
+    fetchedAt: { type: Date, default: null, index: true },
+    ok: { type: Boolean, default: true },
+    error: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PracticeProfile", PracticeProfileSchema);
@@ -3,11 +3,21 @@ const mongoose = require("mongoose");
 const PracticeStatusEventSchema = new mongoose.Schema(
   {
     code: { type: String, required: true, index: true },
+    radar: { type: String, default: "dentist", index: true }, // lib/radars id
     status: { type: String, required: true, index: true }, // accepting | not_accepting | unknown
+    // status of the practice's last successful check before this one (null
+    // = first check); not_accepting → accepting is what transition alerts
+    // (ALERT_MODE=snapshot in server.js) look for, accepting → not_accepting
+    // starts the re-alert clock (lib/alert-state.js)
+    previousStatus: { type: String, default: null },
+    notifiedAt: { type: Date, default: null }, // transition alerts processed
     checkedAt: { type: Date, required: true, index: true },
     nhsUrl: { type: String, default: "" },
     ok: { type: Boolean, default: true },
     error: { type: String, default: "" },
+    statusSource: { type: String, default: "" },
+    statusReason: { type: String, default: "" },
+    rulesetVersion: { type: Number, default: null },
 
     // helpful for later aggregation without joins
     region: { type: String, default: "Unknown", index: true },
@@ -16,5 +26,6 @@ const PracticeStatusEventSchema = new mongoose.Schema(
 );
 
 PracticeStatusEventSchema.index({ code: 1, checkedAt: -1 });
+PracticeStatusEventSchema.index({ status: 1, previousStatus: 1, notifiedAt: 1, checkedAt: 1 });
 
 module.exports = mongoose.model("PracticeStatusEvent", PracticeStatusEventSchema);
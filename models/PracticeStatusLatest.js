@@ -3,14 +3,37 @@ const mongoose = require("mongoose");
 const PracticeStatusLatestSchema = new mongoose.Schema(
   {
     code: { type: String, required: true, unique: true, index: true }, // matches PracticeOds.code
+    radar: { type: String, default: "dentist", index: true }, // lib/radars id
     nhsUrl: { type: String, default: "" },
 
     // accepting | not_accepting | unknown
     status: { type: String, required: true, index: true },
+    // status of the last check that succeeded (ok=true) – an error in
+    // between doesn't hide a transition from jobs/nhs-snapshot.js
+    lastOkStatus: { type: String, default: null },
 
     // store evidence snippet for audit credibility
     statusEvidence: { type: String, default: "" },
 
+    // who the practice is accepting (only meaningful when status=accepting)
+    acceptance: {
+      adults: { type: Boolean, default: false },
+      children: { type: Boolean, default: false },
+      freeTreatment: { type: Boolean, default: false },
+      referralOnly: { type: Boolean, default: false },
+      urgentOnly: { type: Boolean, default: false },
+      phrase: { type: String, default: "" },
+    },
+
+    // which classifier rule fired, and under which rule-set version
+    statusSource: { type: String, default: "" }, // appointments | main | error
+    statusReason: { type: String, default: "" },
+    rulesetVersion: { type: Number, default: null, index: true },
+    reclassifiedAt: { type: Date, default: null },
+
+    // "information last updated" date from the NHS page (null if not shown)
+    nhsLastUpdated: { type: Date, default: null, index: true },
+
     checkedAt: { type: Date, required: true, index: true },
     ok: { type: Boolean, default: true },
     error: { type: String, default: "" },
@@ -33,6 +33,35 @@
 
   hideMessage();
 
+  // Streams /api/scan/stream into the message box. Failures are silent –
+  // the alert request reports its own outcome.
+  function watchScanProgress(postcode, radiusMiles) {
+    if (!window.EventSource) return { close() {} };
+
+    const url = `/api/scan/stream?postcode=${encodeURIComponent(postcode)}&radius=${encodeURIComponent(radiusMiles)}`;
+    const source = new EventSource(url);
+    let accepting = 0;
+
+    source.addEventListener("search", (e) => {
+      const d = JSON.parse(e.data);
+      showMessage(`Saving your alert… found ${d.inRadius} NHS practice(s) nearby, checking availability…`);
+    });
+
+    source.addEventListener("practice", (e) => {
+      const d = JSON.parse(e.data);
+      if (d.practice && d.practice.status === "accepting") accepting++;
+      showMessage(
+        `Saving your alert… checked ${d.done} of ${d.total} practices` +
+          (accepting ? ` – ${accepting} accepting so far` : "")
+      );
+    });
+
+    source.addEventListener("done", () => source.close());
+    source.addEventListener("error", () => source.close());
+
+    return { close: () => source.close() };
+  }
+
   form?.addEventListener("submit", async (e) => {
     e.preventDefault();
     const email = form.email.value.trim();
@@ -57,26 +86,35 @@
 
     showMessage("Saving your alert…");
 
+    // Live progress while the signup scan runs (same scan – the server
+    // shares it with the alert request)
+    const progress = watchScanProgress(postcode, n);
+
     try {
       const res = await fetch("/api/watch/create", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, postcode, radius: r }),
+        body: JSON.stringify({
+          email,
+          postcode,
+          radius: r,
+          deliveryMode: form.deliveryMode?.value || "instant",
+          wheelchairAccess: !!form.wheelchair?.checked,
+        }),
       });
       const data = await res.json();
+      progress.close();
 
-      if (data.ok) {
-        showMessage("✅ Alert created — check your inbox!", "success");
+      // Postcode in a region we don't cover yet – saved to the waitlist
+      if (data.ok && data.waitlisted) {
+        showMessage(`🕒 ${data.message}`, "warn");
         form.reset();
         return;
       }
 
-      // 🔒 New: handle non-England postcodes nicely
-      if (data.error === "unsupported_region") {
-        const text =
-          data.message ||
-          "DentistRadar currently supports NHS dentist searches in England only. Support for Scotland, Wales and Northern Ireland will be added in future.";
-        showMessage(`⚠ ${text}`, "warn");
+      if (data.ok) {
+        showMessage("✅ Alert created — check your inbox!", "success");
+        form.reset();
         return;
       }
 
@@ -124,6 +162,7 @@
         "error"
       );
     } catch (err) {
+      progress.close();
       console.error(err);
       showMessage(
         "⚠ Server unavailable. Please retry.",
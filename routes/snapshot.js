@@ -1,17 +1,28 @@
 const express = require("express");
 const PracticeStatusLatest = require("../models/PracticeStatusLatest");
+const { radarFor, radarIds, radarQuery } = require("../lib/radars");
 
 const router = express.Router();
 
+// ?radar=<id> (lib/radars), default dentist. Unknown id → null.
+function radarMatch(req) {
+  const radar = radarFor(req.query.radar);
+  return radar ? { radar: radarQuery(radar.id) } : null;
+}
+
 router.get("/snapshot", async (req, res) => {
-  const total = await PracticeStatusLatest.countDocuments({});
-  const accepting = await PracticeStatusLatest.countDocuments({ status: "accepting" });
-  const notAccepting = await PracticeStatusLatest.countDocuments({ status: "not_accepting" });
-  const unknown = await PracticeStatusLatest.countDocuments({ status: "unknown" });
+  const match = radarMatch(req);
+  if (!match) return res.status(400).json({ error: "unknown_radar", radars: radarIds() });
+
+  const total = await PracticeStatusLatest.countDocuments(match);
+  const accepting = await PracticeStatusLatest.countDocuments({ ...match, status: "accepting" });
+  const notAccepting = await PracticeStatusLatest.countDocuments({ ...match, status: "not_accepting" });
+  const unknown = await PracticeStatusLatest.countDocuments({ ...match, status: "unknown" });
 
-  const latestCheck = await PracticeStatusLatest.findOne({}).sort({ checkedAt: -1 }).select({ checkedAt: 1 }).lean();
+  const latestCheck = await PracticeStatusLatest.findOne(match).sort({ checkedAt: -1 }).select({ checkedAt: 1 }).lean();
 
   res.json({
+    radar: radarFor(req.query.radar).id,
     asOf: latestCheck?.checkedAt || null,
     practiceCount: total,
     accepting,
@@ -23,7 +34,11 @@ router.get("/snapshot", async (req, res) => {
 });
 
 router.get("/snapshot/regions", async (req, res) => {
+  const match = radarMatch(req);
+  if (!match) return res.status(400).json({ error: "unknown_radar", radars: radarIds() });
+
   const pipeline = [
+    { $match: match },
     {
       $group: {
         _id: "$region",
@@ -0,0 +1,271 @@
+// scanCache.js – Mongo-backed cache in front of scanPostcode()
+//
+// Keyed by radar + normalised postcode + radius; each radar's scanner comes
+// from its lib/radars definition. A cached result is:
+//  - fresh  (age < SCAN_CACHE_TTL_MS, default 10 min)   → served as-is
+//  - stale  (age < SCAN_CACHE_STALE_MS, default 60 min) → served, and a
+//    background re-scan refreshes the row (stale-while-revalidate)
+//  - gone   (older)                                      → live scan
+//
+// Every result carries `cachedAt` and `cache` ("hit" | "stale" | "miss" |
+// "bypass") so callers can show how fresh it is. Concurrent callers for the
+// same key share one in-flight scan.
+//
+// streamScan() is the streaming twin of getScan() for radars with a
+// streamScanner: a fresh cache hit comes back as a single "done" event,
+// otherwise scanner events pass through and the final result is cached the
+// same way. A stream that joins a scan
+// already in flight waits for that scan's result. When the client goes
+// away mid-stream the scan keeps draining if getScan() callers are waiting
+// on it, and is cancelled (no new practice pages fetched) if not.
+
+import { ScanCache } from "./models.js";
+import { DEFAULT_RADAR_ID, radarFor } from "./lib/radars/index.js";
+
+const FRESH_MS = Number(process.env.SCAN_CACHE_TTL_MS) || 10 * 60 * 1000;
+const STALE_MS = Math.max(
+  FRESH_MS,
+  Number(process.env.SCAN_CACHE_STALE_MS) || 60 * 60 * 1000
+);
+
+// key -> { promise: Promise<result>, waiters } – waiters counts callers
+// sharing a scan someone else started
+const inFlight = new Map();
+
+// "radar id:field" -> scan function, imported on first use
+const scanners = new Map();
+
+// field: "scanner" or "streamScanner" (lib/radars)
+async function scannerFor(radarId, field = "scanner") {
+  const radar = radarFor(radarId);
+  if (!radar) throw new Error(`unknown radar: ${radarId}`);
+  if (!radar[field]) throw new Error(`radar ${radar.id} has no ${field}`);
+
+  const id = `${radar.id}:${field}`;
+  if (!scanners.has(id)) {
+    const { module, fn } = radar[field];
+    const mod = await import(new URL(module, import.meta.url));
+    if (typeof mod[fn] !== "function") {
+      throw new Error(`radar ${radar.id}: ${module} has no ${fn}()`);
+    }
+    scanners.set(id, mod[fn]);
+  }
+  return scanners.get(id);
+}
+
+// Whether GET /api/scan/stream can stream this radar's scans
+export function canStreamScan(serviceType = DEFAULT_RADAR_ID) {
+  return !!radarFor(serviceType)?.streamScanner;
+}
+
+// Default-radar keys keep their original form so existing rows stay valid
+export function scanCacheKey(postcode, radiusMiles, serviceType = DEFAULT_RADAR_ID) {
+  const pc = String(postcode || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const key = `${pc}::${Number(radiusMiles) || 5}`;
+  return serviceType && serviceType !== DEFAULT_RADAR_ID ? `${serviceType}:${key}` : key;
+}
+
+// Only cache results that look like a real scan (an empty or degraded page
+// is far more likely to be an NHS hiccup than a genuine "no practices").
+function isCacheable(result) {
+  return result && result.scanned > 0 && !result.degraded;
+}
+
+async function writeCache(key, postcode, result, serviceType = DEFAULT_RADAR_ID) {
+  const cachedAt = new Date();
+
+  if (isCacheable(result)) {
+    try {
+      await ScanCache.updateOne(
+        { key },
+        {
+          $set: {
+            key,
+            radar: serviceType,
+            postcode,
+            radiusMiles: result.radiusMiles,
+            result,
+            cachedAt,
+            expiresAt: new Date(cachedAt.getTime() + STALE_MS),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (e) {
+      console.error("[CACHE] write error:", e?.message || e);
+    }
+  }
+
+  return { ...result, cachedAt };
+}
+
+async function readCache(key) {
+  try {
+    return await ScanCache.findOne({ key }).lean();
+  } catch (e) {
+    // fail open – a cache outage should never block a scan
+    console.error("[CACHE] read error:", e?.message || e);
+    return null;
+  }
+}
+
+async function waitFor(run) {
+  run.waiters++;
+  try {
+    return await run.promise;
+  } finally {
+    run.waiters--;
+  }
+}
+
+async function liveScan(key, postcode, radiusMiles, serviceType = DEFAULT_RADAR_ID) {
+  const running = inFlight.get(key);
+  if (running) return waitFor(running);
+
+  const run = {
+    waiters: 0,
+    promise: (async () => {
+      const scan = await scannerFor(serviceType);
+      const result = await scan(postcode, radiusMiles);
+      return writeCache(key, postcode, result, serviceType);
+    })(),
+  };
+
+  inFlight.set(key, run);
+  try {
+    return await run.promise;
+  } finally {
+    if (inFlight.get(key) === run) inFlight.delete(key);
+  }
+}
+
+/**
+ * Cached scanPostcode.
+ * opts.bypass     – skip the cache read (admin "fresh" scans); still writes
+ * opts.allowStale – serve stale rows while revalidating (default true)
+ * opts.serviceType – radar id (lib/radars), default "dentist"
+ */
+export async function getScan(postcode, radiusMiles, opts = {}) {
+  const { bypass = false, allowStale = true, serviceType = DEFAULT_RADAR_ID } = opts;
+  const key = scanCacheKey(postcode, radiusMiles, serviceType);
+
+  if (bypass) {
+    const result = await liveScan(key, postcode, radiusMiles, serviceType);
+    return { ...result, cache: "bypass" };
+  }
+
+  const row = await readCache(key);
+
+  if (row?.result && row.cachedAt) {
+    const age = Date.now() - new Date(row.cachedAt).getTime();
+
+    if (age < FRESH_MS) {
+      return { ...row.result, cachedAt: row.cachedAt, cache: "hit" };
+    }
+
+    if (allowStale && age < STALE_MS) {
+      liveScan(key, postcode, radiusMiles, serviceType).catch((e) =>
+        console.error(`[CACHE] revalidate ${key} failed:`, e?.message || e)
+      );
+      return { ...row.result, cachedAt: row.cachedAt, cache: "stale" };
+    }
+  }
+
+  const result = await liveScan(key, postcode, radiusMiles, serviceType);
+  return { ...result, cache: "miss" };
+}
+
+/**
+ * Streaming getScan(). Yields the radar's streamScanner events; the "done"
+ * event's result carries cachedAt / cache like getScan(). While it runs,
+ * getScan() callers for the same key wait for this scan instead of
+ * starting their own.
+ * opts.bypass, opts.serviceType – as getScan(); the radar must have a
+ * streamScanner (canStreamScan)
+ */
+export async function* streamScan(postcode, radiusMiles, opts = {}) {
+  const { bypass = false, serviceType = DEFAULT_RADAR_ID } = opts;
+  const key = scanCacheKey(postcode, radiusMiles, serviceType);
+  const scanStream = await scannerFor(serviceType, "streamScanner");
+
+  if (!bypass) {
+    const row = await readCache(key);
+    if (row?.result && Date.now() - new Date(row.cachedAt).getTime() < FRESH_MS) {
+      yield { type: "done", result: { ...row.result, cachedAt: row.cachedAt, cache: "hit" } };
+      return;
+    }
+  }
+
+  // Same postcode already being scanned (another signup, a getScan) – one
+  // scan of nhs.uk is enough
+  const running = inFlight.get(key);
+  if (running) {
+    const result = await waitFor(running);
+    yield { type: "done", result: { ...result, cache: bypass ? "bypass" : "miss" } };
+    return;
+  }
+
+  let settle;
+  const run = {
+    waiters: 0,
+    promise: new Promise((resolve, reject) => (settle = { resolve, reject })),
+  };
+  run.promise.catch(() => {}); // nobody may be waiting on it
+  inFlight.set(key, run);
+
+  // Iterated by hand: a for-await would close the scan as soon as our own
+  // consumer stops
+  const events = scanStream(postcode, radiusMiles);
+  const finish = async (event) => {
+    const result = await writeCache(key, postcode, event.result, serviceType);
+    settle.resolve(result);
+    return result;
+  };
+  let settled = false;
+
+  try {
+    for (;;) {
+      const { value: event, done } = await events.next();
+      if (done) break;
+      if (event.type !== "done") {
+        yield event;
+        continue;
+      }
+      const result = await finish(event);
+      settled = true;
+      yield { type: "done", result: { ...result, cache: bypass ? "bypass" : "miss" } };
+    }
+    if (!settled) throw new Error("scan ended without a result");
+  } catch (err) {
+    settled = true;
+    settle.reject(err);
+    throw err;
+  } finally {
+    if (settled) {
+      if (inFlight.get(key) === run) inFlight.delete(key);
+    } else if (run.waiters > 0) {
+      // client went away mid-stream – finish this scan for those waiting
+      drainScan(key, run, events, finish, settle);
+    } else {
+      // …and nobody else wants it: stop fetching practice pages
+      if (inFlight.get(key) === run) inFlight.delete(key);
+      settle.reject(new Error("scan cancelled"));
+      events.return().catch(() => {});
+    }
+  }
+}
+
+async function drainScan(key, run, events, finish, settle) {
+  try {
+    for (;;) {
+      const { value: event, done } = await events.next();
+      if (done) break;
+      if (event.type === "done") await finish(event);
+    }
+  } catch (err) {
+    console.error(`[CACHE] stream scan ${key} failed:`, err?.message || err);
+    settle.reject(err);
+  } finally {
+    if (inFlight.get(key) === run) inFlight.delete(key);
+  }
+}
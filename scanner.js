@@ -1,270 +1,662 @@
 // scanner.js – DentistRadar NHS scanner (v8.0 – production stable)
 //
 // Final production-stable version:
-// - Robust block splitting (one block per Vxxxxxx DEN)
-// - Clean name extraction
-// - Clean address extraction
+// - DOM-based results parsing (lib/nhs-results-parser.js), with the
+//   original Vxxxxxx DEN block splitting kept as a fallback
 // - Supports "Within X mile(s)"
-// - Keeps proven acceptance logic
+// - Walks paginated results until the radius is exhausted (SCAN_MAX_PAGES cap)
+// - Acceptance via the shared classifier (lib/acceptance-classifier.js),
+//   with per-cohort detail, rule id and rule-set version on p.acceptance,
+//   and the deciding sentence + its page on p.statusEvidence / p.evidenceUrl
+// - "Information last updated" date on p.lastUpdated; accepting claims older
+//   than STALE_CLAIM_DAYS are marked p.staleClaim
 // - Concurrency limited appointments fetch
+// - Per-practice status cache: each V-code is classified at most once per
+//   cron run / SCAN_PRACTICE_CACHE_MS window
+// - Typed fetch failures, jittered retries and a per-host circuit breaker;
+//   scans that could not see the NHS site report degraded: true
+// - HTTP goes through an injectable transport (lib/transport.js):
+//   scanPostcode(pc, r, { transport }) or NHS_TRANSPORT=record|replay
+// - Practices and acceptance come from a PracticeSource
+//   (lib/practice-source.js): the nhs.uk scraper or the NHS directory API,
+//   PRACTICE_SOURCE=html|api or scanPostcode(pc, r, { source }); Welsh,
+//   Scottish and NI postcodes read their nation's directory (result.region)
+// - Distances by haversine from an offline postcode table
+//   (lib/postcode-geo.js); NHS "Within X miles" text is only the fallback,
+//   so the radius filter is exact and results come back nearest first
+// - scanPostcodeStream(): async-iterator scan that yields each practice as
+//   it is classified (with fetch timing); scanPostcode() drains it
+// - Every nhs.uk scan reports parse-quality counts and page-structure
+//   fingerprints (result.markup) for the drift detector in markupDrift.js
+// - fetchPage / applyDistance / byDistance / runPoolStream are shared with
+//   gpScanner.js
 
 import "dotenv/config";
+import { describeCohorts } from "./lib/acceptance-cohorts.js";
+import { getDefaultTransport } from "./lib/transport.js";
+import { CRAWLER_USER_AGENT } from "./lib/crawl-budget.js";
+import { createPracticeSourceForPostcode } from "./lib/practice-source.js";
+import { ageInDays, isStaleClaim } from "./lib/last-updated.js";
+import { structureTokens } from "./lib/markup-fingerprint.js";
+import {
+  lookupPostcode,
+  extractPostcode,
+  haversineMiles,
+} from "./lib/postcode-geo.js";
 
-/* ---------------- URL BUILD ---------------- */
+/* ---------------- FETCH ---------------- */
+
+// Typed fetch failures. An empty page used to look exactly like "no
+// practices", so a run during an NHS outage reported zero availability.
+//   kind: timeout | client (4xx) | server (5xx) | blocked (403/429/bot wall)
+//         | throttled (shared crawl budget exhausted, lib/crawl-budget.js)
+//         | network | circuit_open
+export class FetchError extends Error {
+  constructor(kind, message, { status = null, url = "" } = {}) {
+    super(message);
+    this.name = "FetchError";
+    this.kind = kind;
+    this.status = status;
+    this.url = url;
+  }
+}
+
+const RETRYABLE = new Set(["timeout", "server", "network"]);
+
+// Failures that count against the host's circuit breaker (a 404 on one
+// practice page says nothing about the health of nhs.uk).
+const BREAKER_KINDS = new Set(["timeout", "server", "network", "blocked"]);
+
+const BOT_WALL_RE =
+  /<title>\s*(access denied|just a moment|attention required)|cf-browser-verification|cf-challenge/i;
 
-function buildNhsSearchUrl(postcode, radiusMiles) {
-  const raw = String(postcode || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
-  let formatted = raw;
+const BREAKER_THRESHOLD = Number(process.env.SCAN_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS =
+  Number(process.env.SCAN_BREAKER_COOLDOWN_MS) || 60 * 1000;
 
-  if (raw.length >= 5) {
-    formatted = `${raw.slice(0, raw.length - 3)} ${raw.slice(-3)}`;
+// host -> { failures, openUntil }
+const breakers = new Map();
+
+function breakerFor(url) {
+  let host = "";
+  try {
+    host = new URL(url).host;
+  } catch {
+    host = "unknown";
   }
+  if (!breakers.has(host)) breakers.set(host, { host, failures: 0, openUntil: 0 });
+  return breakers.get(host);
+}
 
-  const pathPostcode = formatted.replace(/\s+/, "-");
-  const radius = Number(radiusMiles) || 5;
+function recordBreakerResult(breaker, err) {
+  if (!err) {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    return;
+  }
+  if (!BREAKER_KINDS.has(err.kind)) return;
+
+  breaker.failures++;
+  if (breaker.failures >= BREAKER_THRESHOLD && breaker.openUntil <= Date.now()) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    console.error(
+      `[SCAN] Circuit OPEN for ${breaker.host} after ${breaker.failures} failures (cooldown ${BREAKER_COOLDOWN_MS}ms)`
+    );
+  }
+}
 
-  return `https://www.nhs.uk/service-search/find-a-dentist/results/${encodeURIComponent(
-    pathPostcode
-  )}?distance=${radius}`;
+export function isCircuitOpen(url = "https://www.nhs.uk/") {
+  return breakerFor(url).openUntil > Date.now();
 }
 
-/* ---------------- FETCH ---------------- */
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function backoffMs(attempt) {
+  const base = Number(process.env.SCAN_RETRY_BASE_MS) || 500;
+  const exp = base * 2 ** attempt;
+  return exp + Math.floor(Math.random() * base); // jitter
+}
 
-async function fetchText(url, label = "fetch") {
+async function fetchOnce(url, transport, headers = {}) {
   const timeoutMs = Number(process.env.SCAN_TIMEOUT_MS) || 12000;
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
 
+  let res;
   try {
-    const res = await fetch(url, {
-      signal: controller.signal,
+    res = await transport.get(url, {
+      timeoutMs,
       headers: {
-        "User-Agent":
-          process.env.SCAN_UA ||
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
+        "User-Agent": CRAWLER_USER_AGENT,
         Accept: "text/html,application/xhtml+xml",
         "Accept-Language": "en-GB,en;q=0.9",
+        ...headers,
       },
     });
+  } catch (err) {
+    // a replay miss is a missing fixture and a robots.txt refusal is
+    // permanent – neither is worth a retry
+    const kind =
+      err?.code === "timeout"
+        ? "timeout"
+        : err?.code === "replay_miss" || err?.code === "robots_disallowed"
+          ? "client"
+          : err?.code === "throttled"
+            ? "throttled"
+            : "network";
+    throw new FetchError(kind, err?.message || String(err), { url });
+  }
 
-    clearTimeout(id);
+  const { status, body = "" } = res;
+  if (status === 403 || status === 429) {
+    throw new FetchError("blocked", `HTTP ${status}`, { status, url });
+  }
+  if (status >= 500) {
+    throw new FetchError("server", `HTTP ${status}`, { status, url });
+  }
+  if (status < 200 || status >= 300) {
+    throw new FetchError("client", `HTTP ${status}`, { status, url });
+  }
+  if (BOT_WALL_RE.test(body.slice(0, 5000))) {
+    throw new FetchError("blocked", "bot challenge page", { status, url });
+  }
+  return { body, url: res.url || url, status };
+}
 
-    if (!res.ok) {
-      console.error(`[SCAN] ${label} failed ${res.status}`);
-      return "";
+/**
+ * Fetch a page with bounded, jittered retries behind a per-host circuit
+ * breaker. Resolves { body, url, status }; throws FetchError, never returns
+ * an empty body for a failure.
+ */
+export async function fetchPage(url, label = "fetch", transport = getDefaultTransport(), headers = {}) {
+  const retries = Number(process.env.SCAN_RETRIES ?? 2);
+  const breaker = breakerFor(url);
+
+  for (let attempt = 0; ; attempt++) {
+    if (breaker.openUntil > Date.now()) {
+      throw new FetchError("circuit_open", `circuit open for ${breaker.host}`, { url });
     }
 
-    return await res.text();
-  } catch (err) {
-    clearTimeout(id);
-    console.error(`[SCAN] ${label} error`, err?.message);
-    return "";
+    try {
+      const page = await fetchOnce(url, transport, headers);
+      recordBreakerResult(breaker, null);
+      return page;
+    } catch (err) {
+      recordBreakerResult(breaker, err);
+
+      if (!RETRYABLE.has(err.kind) || attempt >= retries) {
+        console.error(`[SCAN] ${label} failed (${err.kind}) ${err.message}`);
+        throw err;
+      }
+
+      const wait = backoffMs(attempt);
+      console.warn(
+        `[SCAN] ${label} ${err.kind} – retry ${attempt + 1}/${retries} in ${wait}ms`
+      );
+      await sleep(wait);
+    }
   }
 }
 
-function htmlToText(html = "") {
-  if (!html) return "";
-  let text = html.replace(/<script[\s\S]*?<\/script>/gi, " ");
-  text = text.replace(/<style[\s\S]*?<\/style>/gi, " ");
-  text = text.replace(/<[^>]+>/g, " ");
-  return text.replace(/\s+/g, " ").trim();
+/* ---------------- PRACTICE SOURCE ---------------- */
+
+// HTML scraper or NHS directory API (PRACTICE_SOURCE, lib/practice-source.js)
+// for England; the nation's own directory for Welsh, Scottish and NI
+// postcodes. Either way requests go through fetchPage, so retries and the
+// circuit breaker apply. opts.source may be a kind ("html" | "api") or a
+// built source.
+function sourceFor(transport, source, postcode) {
+  if (source && typeof source === "object") return source;
+  return createPracticeSourceForPostcode(
+    (url, { label, headers } = {}) => fetchPage(url, label, transport, headers),
+    postcode,
+    source ? { kind: source } : {}
+  );
 }
 
-/* ---------------- BLOCK EXTRACTION ---------------- */
-
-function extractResultBlocks(text) {
-  if (!text) return [];
+/* ---------------- ACCEPTANCE LOGIC ---------------- */
 
-  const anchorRegex = /V\d{6}\s+DEN/gi;
-  const anchors = [];
-  let m;
+// Shared classifier speaks snapshot statuses; scan results keep camelCase.
+const SCAN_STATUS = {
+  accepting: "accepting",
+  not_accepting: "notAccepting",
+  unknown: "unknown",
+};
+
+/* ---------------- PRACTICE STATUS CACHE ---------------- */
+
+// Overlapping groups ("RG41 4UW::10" and "RG41 4UW::25", neighbouring
+// postcodes) keep hitting the same /appointments pages. Cache the
+// classification per V-code:
+//  - inside a cron run (beginPracticeCacheRun → endPracticeCacheRun) an
+//    entry lives for the whole run
+//  - outside a run it lives for SCAN_PRACTICE_CACHE_MS (default 15 min)
+
+const PRACTICE_CACHE_MS =
+  Number(process.env.SCAN_PRACTICE_CACHE_MS) || 15 * 60 * 1000;
+
+// A run that never reached endPracticeCacheRun (crash mid-loop) stops
+// pinning entries after this long.
+const PRACTICE_RUN_MAX_MS = 2 * 60 * 60 * 1000;
+
+// key -> { at, runId, promise }
+const practiceCache = new Map();
+let activeRunId = null;
+let activeRunStartedAt = 0;
+let practiceCacheStats = { hits: 0, misses: 0 };
+
+function practiceCacheKey(p) {
+  return p.vcode || p.appointmentsUrl;
+}
 
-  while ((m = anchorRegex.exec(text)) !== null) {
-    anchors.push(m.index);
+function isPracticeEntryValid(entry) {
+  if (
+    activeRunId &&
+    entry.runId === activeRunId &&
+    Date.now() - activeRunStartedAt < PRACTICE_RUN_MAX_MS
+  ) {
+    return true;
   }
+  return Date.now() - entry.at < PRACTICE_CACHE_MS;
+}
 
-  if (anchors.length === 0) return [];
-
-  const blocks = [];
-
-  for (let i = 0; i < anchors.length; i++) {
-    const start = anchors[i];
-    const end = i + 1 < anchors.length ? anchors[i + 1] : text.length;
+export function beginPracticeCacheRun() {
+  activeRunStartedAt = Date.now();
+  activeRunId = `run_${activeRunStartedAt}`;
+  practiceCacheStats = { hits: 0, misses: 0 };
+  return activeRunId;
+}
 
-    let snippet = text.slice(start, end).trim();
+export function endPracticeCacheRun() {
+  const stats = getPracticeCacheStats();
+  activeRunId = null;
 
-    // attach nearest "Within X mile(s)" before anchor
-    const prefixStart = Math.max(0, start - 120);
-    const prefix = text.slice(prefixStart, start);
-    const within = prefix.match(/Within\s+[\d.,]+\s+miles?/i);
-    if (within) {
-      snippet = `${within[0]} ${snippet}`;
-    }
-
-    blocks.push(snippet);
+  // drop anything that only survived because of the run
+  for (const [key, entry] of practiceCache) {
+    if (Date.now() - entry.at >= PRACTICE_CACHE_MS) practiceCache.delete(key);
   }
 
-  return blocks;
+  return stats;
 }
 
-/* ---------------- HELPERS ---------------- */
-
-function extractVCode(text) {
-  const m = text.match(/V\d{6}/i);
-  return m ? m[0].toUpperCase() : null;
-}
-
-function extractPhone(text) {
-  const m = text.match(/0\d{2,4}\s?\d{3,4}\s?\d{3,4}/);
-  return m ? m[0].trim() : "Not available";
+export function getPracticeCacheStats() {
+  const { hits, misses } = practiceCacheStats;
+  const lookups = hits + misses;
+  return {
+    hits,
+    misses,
+    lookups,
+    hitRate: lookups ? Number((hits / lookups).toFixed(3)) : 0,
+    entries: practiceCache.size,
+  };
 }
 
-function parseDistance(text) {
-  const m =
-    text.match(/Within\s+([\d.,]+)\s*miles?/i) ||
-    text.match(/([\d.,]+)\s*miles?/i);
-
-  if (!m) return { text: "", miles: null };
+// `sample` collects the structure of the first appointments page a scan
+// actually downloads (cache hits and API sources have no HTML to fingerprint).
+async function fetchPracticeVerdict(p, source, sample = null) {
+  let page;
+  try {
+    page = await source.getAcceptance(p);
+  } catch (err) {
+    const kind = err?.kind || "network";
+    return {
+      status: "unknown",
+      acceptance: { status: "unknown", rule: "fetch_failed" },
+      fetchError: kind,
+      // a 404/410 is an answer about this page; anything else is not
+      cacheable: kind === "client",
+    };
+  }
+  if (sample && !sample.tokens && page.html) sample.tokens = structureTokens(page.html);
+
+  const { verdict } = page;
+  const status = SCAN_STATUS[verdict.status] || "unknown";
+  const acceptance = {
+    status,
+    ...verdict.cohorts,
+    rule: verdict.rule,
+    rulesetVersion: verdict.rulesetVersion,
+  };
 
-  const miles = parseFloat(m[1].replace(",", "."));
   return {
-    text: m[0],
-    miles: Number.isFinite(miles) ? miles : null,
+    status,
+    acceptance,
+    statusEvidence: verdict.evidence,
+    evidenceUrl: verdict.evidence ? page.sourceUrl : "",
+    lastUpdated: page.lastUpdated,
+    cacheable: true,
   };
 }
 
-/* ---------------- ACCEPTANCE LOGIC ---------------- */
+async function classifyPractice(p, source, sample = null) {
+  const key = practiceCacheKey(p);
+  const cached = practiceCache.get(key);
 
-function classifyAcceptance(lower) {
-  if (!lower) return "unknown";
+  if (cached && isPracticeEntryValid(cached)) {
+    practiceCacheStats.hits++;
+    return { ...(await cached.promise), fromCache: true };
+  }
 
-  if (lower.includes("not accepting new nhs patients")) return "notAccepting";
-  if (lower.includes("not taking on new nhs patients")) return "notAccepting";
-  if (lower.includes("currently not accepting nhs patients")) return "notAccepting";
+  practiceCacheStats.misses++;
+  const entry = { at: Date.now(), runId: activeRunId, promise: fetchPracticeVerdict(p, source, sample) };
+  practiceCache.set(key, entry);
 
-  if (
-    lower.includes(
-      "when availability allows, this dentist accepts new nhs patients"
-    )
-  )
-    return "accepting";
-  if (lower.includes("accepts new nhs patients")) return "accepting";
-  if (lower.includes("accepting new nhs patients")) return "accepting";
-  if (lower.includes("taking on new nhs patients")) return "accepting";
-
-  return "unknown";
+  const verdict = await entry.promise;
+  if (!verdict.cacheable && practiceCache.get(key) === entry) {
+    practiceCache.delete(key);
+  }
+  return { ...verdict, fromCache: false };
 }
 
-/* ---------------- PARSE PRACTICE ---------------- */
-
-function parsePractice(block, postcode) {
-  const lower = block.toLowerCase();
-
-  const vcode = extractVCode(block);
-
-  // NAME
-  let name = "Unknown practice";
-  const nameMatch = block.match(
-    /V\d{6}\s+DEN\s+(.+?)(?=\s+\d|,\s*\d|\s+Phone:|\s+View dentist details|\s+When availability allows|\s+Not accepting new NHS patients|$)/i
-  );
-  if (nameMatch) name = nameMatch[1].trim();
-
-  // DISTANCE
-  const dist = parseDistance(block);
-
-  // ADDRESS
-  let address = "";
-  const addrMatch = block.match(
-    /V\d{6}\s+DEN\s+.+?\s+(.+?)(?=\s+Phone:|\s+View dentist details|\s+When availability allows|\s+Not accepting new NHS patients|\s+Within\s|$)/i
-  );
-  if (addrMatch) address = addrMatch[1].trim();
-
-  const phone = extractPhone(block);
-
-  const slug = name
-    .toLowerCase()
-    .replace(/&/g, "and")
-    .replace(/[^a-z0-9\s-]/g, "")
-    .replace(/\s+/g, "-");
+/* ---------------- DISTANCE ---------------- */
+
+const PRECISION_RANK = { unit: 0, sector: 1, outward: 2 };
+
+// How far past the radius a practice may sit and still be kept: NHS text
+// is rounded; a sector centroid is rarely more than half a mile from its
+// postcodes, an outward code's can be a couple of miles off.
+const DISTANCE_SLACK_MILES = { nhs: 0.2, unit: 0, sector: 0.5, outward: 2 };
+
+/**
+ * Replace the NHS distance with our own whenever both the search postcode
+ * and the practice postcode (from its address) are in the coordinate
+ * table, at whatever precision the table has (sector by default). The
+ * NHS "Within X miles" text is only used when there's no lookup; it is
+ * kept on p.nhsDistanceText either way.
+ */
+export function applyDistance(p, origin) {
+  p.nhsDistanceText = p.distanceText;
+  p.distanceSource = typeof p.distanceMiles === "number" ? "nhs" : null;
+
+  const pc = extractPostcode(p.address);
+  if (pc) p.practicePostcode = pc;
+  if (!origin || !pc) return p;
+
+  const coords = lookupPostcode(pc);
+  if (!coords) return p;
+
+  const precision =
+    PRECISION_RANK[coords.precision] > PRECISION_RANK[origin.precision]
+      ? coords.precision
+      : origin.precision;
+
+  const miles = Math.round(haversineMiles(origin, coords) * 10) / 10;
+  p.distanceMiles = miles;
+  p.distanceText = precision === "unit" ? `${miles.toFixed(1)} miles` : `About ${miles.toFixed(1)} miles`;
+  p.distanceSource = "geo";
+  p.distancePrecision = precision;
+  return p;
+}
 
-  const nhsUrl = vcode
-    ? `https://www.nhs.uk/services/dentist/${slug}/${vcode}`
-    : "";
+// Radius filter for a scan's practices; no distance at all is kept
+export function withinRadius(p, radius) {
+  if (typeof p.distanceMiles !== "number") return true;
+  const slack =
+    p.distanceSource === "geo"
+      ? DISTANCE_SLACK_MILES[p.distancePrecision] ?? DISTANCE_SLACK_MILES.outward
+      : DISTANCE_SLACK_MILES.nhs;
+  return p.distanceMiles <= radius + slack;
+}
 
-  return {
-    name,
-    address,
-    phone,
-    distanceText: dist.text,
-    distanceMiles: dist.miles,
-    status: "unknown",
-    postcode,
-    nhsUrl,
-    appointmentsUrl: nhsUrl ? `${nhsUrl}/appointments` : "",
-    vcode,
-  };
+export function byDistance(a, b) {
+  const da = typeof a.distanceMiles === "number" ? a.distanceMiles : Infinity;
+  const db = typeof b.distanceMiles === "number" ? b.distanceMiles : Infinity;
+  return da - db;
 }
 
 /* ---------------- CONCURRENCY ---------------- */
 
-async function runPool(items, concurrency, workerFn) {
-  const results = [];
+// Like a fixed-size worker pool, but yields { index, value } as each item
+// finishes (completion order, not input order). A consumer that stops
+// early (return()) stops the pool: items already started finish, no new
+// ones start.
+export async function* runPoolStream(items, concurrency, workerFn) {
+  const ready = [];
+  let wake = null;
   let idx = 0;
+  let failure = null;
+  let stopped = false;
+
+  const push = (entry) => {
+    ready.push(entry);
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
 
   async function runner() {
-    while (idx < items.length) {
+    while (idx < items.length && !failure && !stopped) {
       const current = idx++;
-      results[current] = await workerFn(items[current]);
+      try {
+        push({ index: current, value: await workerFn(items[current]) });
+      } catch (err) {
+        failure = failure || err;
+        push(null);
+      }
     }
   }
 
-  await Promise.all(
+  const all = Promise.all(
     Array.from({ length: Math.min(concurrency, items.length) }, runner)
   );
 
-  return results;
+  try {
+    for (let done = 0; done < items.length; ) {
+      if (!ready.length) await new Promise((r) => (wake = r));
+      while (ready.length) {
+        const entry = ready.shift();
+        if (failure) throw failure;
+        done++;
+        yield entry;
+      }
+    }
+
+    await all;
+  } finally {
+    stopped = true;
+  }
 }
 
 /* ---------------- MAIN SCAN ---------------- */
 
-export async function scanPostcode(postcode, radiusMiles) {
-  const started = Date.now();
-  const radius = Number(radiusMiles) || 5;
+/**
+ * Fetch result pages until one of:
+ *  - the page has no new practices (NHS repeats the last page)
+ *  - the farthest practice on the page is already outside the radius
+ *  - there is no "next page" link
+ *  - maxPages is reached (→ truncated=true)
+ *  - a page fails to load (→ degraded=true, unless page 1 is a plain 404)
+ */
+async function fetchAllResultPages(postcode, radius, maxPages, source) {
+  const seen = new Set();
+  const practices = [];
+  let parser = "dom";
+  let pagesRead = 0;
+  let truncated = false;
+  let degradedReason = null;
+  let searchTokens = null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    let parsedPage;
+    try {
+      parsedPage = await source.searchPage(postcode, radius, page);
+    } catch (err) {
+      // NHS 404s a search it has no results page for – that is a real "none"
+      if (!(page === 1 && err.kind === "client" && err.status === 404)) {
+        degradedReason = `search_${err.kind}`;
+        if (page > 1) truncated = true;
+      }
+      break;
+    }
+    pagesRead++;
+
+    if (page === 1) {
+      parser = parsedPage.parser;
+      searchTokens = parsedPage.html ? structureTokens(parsedPage.html) : null;
+    }
+
+    const fresh = parsedPage.practices.filter((p) => {
+      const key = p.vcode || p.nhsUrl || p.name;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    practices.push(...fresh);
+
+    if (fresh.length === 0) break;
 
-  const searchUrl = buildNhsSearchUrl(postcode, radius);
-  console.log(`[SCAN] Searching NHS for ${postcode} (${radius}mi)`);
+    const farthest = Math.max(
+      ...fresh.map((p) => (typeof p.distanceMiles === "number" ? p.distanceMiles : 0))
+    );
+    if (farthest > radius + 0.2) break;
 
-  const html = await fetchText(searchUrl, "search");
-  const text = htmlToText(html);
+    if (!parsedPage.hasNext) break;
 
-  const blocks = extractResultBlocks(text);
-  console.log(`[SCAN] Parsed ${blocks.length} practices`);
+    if (page === maxPages) {
+      truncated = true;
+      console.warn(
+        `[SCAN] ${postcode} (${radius}mi) hit page cap ${maxPages} – results cut short`
+      );
+    }
+  }
+
+  return { practices, parser, pagesRead, truncated, degradedReason, searchTokens };
+}
+
+/**
+ * Streaming scan. Yields, in order:
+ *   { type: "search", parsed, inRadius, pagesRead, parser, truncated }
+ *   { type: "practice", practice, index, done, total, fetchMs, fromCache }
+ *       – one per practice, as soon as it is classified
+ *   { type: "done", result }  – the same result scanPostcode() returns
+ */
+export async function* scanPostcodeStream(postcode, radiusMiles, opts = {}) {
+  const started = Date.now();
+  const radius = Number(radiusMiles) || 5;
+  const maxPages =
+    Number(opts.maxPages) || Number(process.env.SCAN_MAX_PAGES) || 5;
+  const transport = opts.transport || getDefaultTransport();
+  const source = sourceFor(transport, opts.source, postcode);
+  const region = source.region || "ENGLAND";
+
+  console.log(`[SCAN] Searching NHS for ${postcode} (${radius}mi)${source.region ? ` via ${source.kind}` : ""}`);
+
+  const {
+    practices: parsed,
+    parser,
+    pagesRead,
+    truncated,
+    degradedReason: searchFailure,
+    searchTokens,
+  } = await fetchAllResultPages(postcode, radius, maxPages, source);
+  console.log(
+    `[SCAN] Parsed ${parsed.length} practices from ${pagesRead} page(s) (${parser})`
+  );
+
+  // Our own distances first, with slack for how precise each one is
+  const origin = lookupPostcode(postcode);
+  for (const p of parsed) applyDistance(p, origin);
 
-  const parsed = blocks.map((b) => parsePractice(b, postcode));
+  const filtered = parsed.filter((p) => withinRadius(p, radius)).sort(byDistance);
 
-  const filtered = parsed.filter((p) => {
-    if (!p.distanceMiles) return true;
-    return p.distanceMiles <= radius + 0.2;
-  });
+  yield {
+    type: "search",
+    parsed: parsed.length,
+    inRadius: filtered.length,
+    pagesRead,
+    parser,
+    truncated,
+  };
 
   const concurrency = Number(process.env.SCAN_APPT_CONCURRENCY) || 4;
 
-  const enriched = await runPool(filtered, concurrency, async (p) => {
+  let practiceCacheHits = 0;
+  let fetchErrors = 0;
+  const apptSample = { tokens: null };
+
+  const classifyOne = async (p) => {
     if (!p.appointmentsUrl) return p;
 
-    const apptHtml = await fetchText(p.appointmentsUrl, "appointments");
-    const lower = htmlToText(apptHtml).toLowerCase();
+    const t0 = Date.now();
+    const verdict = await classifyPractice(p, source, apptSample);
+    p.fetchMs = Date.now() - t0;
+    p.fromCache = !!verdict.fromCache;
+    if (verdict.fromCache) practiceCacheHits++;
+    if (verdict.fetchError) {
+      p.fetchError = verdict.fetchError;
+      fetchErrors++;
+    }
 
-    p.status = classifyAcceptance(lower);
+    p.status = verdict.status;
+    p.acceptance = { ...verdict.acceptance };
+    p.statusEvidence = verdict.statusEvidence || "";
+    p.evidenceUrl = verdict.evidenceUrl || "";
+    p.lastUpdated = verdict.lastUpdated || null;
+    p.lastUpdatedDays = ageInDays(p.lastUpdated);
+    p.staleClaim = p.status === "accepting" && isStaleClaim(p.lastUpdated);
+    if (p.status === "accepting") {
+      p.patientType = describeCohorts(p.acceptance) || p.patientType;
+    }
     return p;
-  });
+  };
+
+  // results keep distance order; events go out in completion order
+  const enriched = new Array(filtered.length);
+  let done = 0;
+  for await (const { index, value: p } of runPoolStream(filtered, concurrency, classifyOne)) {
+    enriched[index] = p;
+    done++;
+    yield {
+      type: "practice",
+      practice: p,
+      index,
+      done,
+      total: filtered.length,
+      fetchMs: p.fetchMs ?? null,
+      fromCache: !!p.fromCache,
+    };
+  }
 
   const accepting = enriched.filter((p) => p.status === "accepting");
   const notAccepting = enriched.filter((p) => p.status === "notAccepting");
   const unknown = enriched.filter((p) => p.status === "unknown");
 
-  return {
+  // Degraded = we could not see enough of the NHS site to trust "nothing
+  // accepting". Callers must not treat a degraded scan as a real zero.
+  const failShare = Number(process.env.SCAN_DEGRADED_FAIL_SHARE) || 0.5;
+  let degradedReason = searchFailure;
+  if (!degradedReason && isCircuitOpen(source.searchUrl(postcode, radius))) degradedReason = "circuit_open";
+  if (
+    !degradedReason &&
+    enriched.length > 0 &&
+    fetchErrors / enriched.length >= failShare
+  ) {
+    degradedReason = "appointments_failures";
+  }
+  if (degradedReason) {
+    console.warn(
+      `[SCAN] ${postcode} (${radius}mi) DEGRADED: ${degradedReason} (fetchErrors=${fetchErrors}/${enriched.length})`
+    );
+  }
+
+  // Parse-quality counts for markupDrift.js. "classified" only counts
+  // practices whose appointments page was actually read. The baseline is
+  // nhs.uk's markup, so regional directories don't feed it.
+  const classified = enriched.filter((p) => p.appointmentsUrl && !p.fetchError);
+  const markup = source.region ? null : {
+    blocks: parsed.length,
+    missingName: parsed.filter((p) => p.name === "Unknown practice").length,
+    missingPhone: parsed.filter((p) => p.phone === "Not available").length,
+    classified: classified.length,
+    unclassified: classified.filter((p) => p.status === "unknown").length,
+    searchTokens: searchTokens || [],
+    appointmentsTokens: apptSample.tokens || [],
+  };
+
+  const result = {
     postcode,
+    region,
     radiusMiles: radius,
     acceptingCount: accepting.length,
     notAcceptingCount: notAccepting.length,
@@ -273,6 +665,24 @@ export async function scanPostcode(postcode, radiusMiles) {
     accepting,
     notAccepting,
     unknown,
+    parser,
+    pagesRead,
+    truncated,
+    practiceCacheHits,
+    fetchErrors,
+    degraded: !!degradedReason,
+    degradedReason,
+    markup,
     tookMs: Date.now() - started,
   };
+
+  yield { type: "done", result };
+}
+
+export async function scanPostcode(postcode, radiusMiles, opts = {}) {
+  let result = null;
+  for await (const event of scanPostcodeStream(postcode, radiusMiles, opts)) {
+    if (event.type === "done") result = event.result;
+  }
+  return result;
 }
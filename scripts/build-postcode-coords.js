@@ -0,0 +1,107 @@
+/**
+ * Build data/postcode-coords.csv from the ONS Postcode Directory
+ * (ONSPD or NSPL CSV, columns pcds / doterm / lat / long).
+ *
+ * Usage:
+ *   node scripts/build-postcode-coords.js ONSPD_FEB_2025_UK.csv [--level=sector]
+ *
+ *  - --level=unit     one row per live postcode (exact, ~1.8M rows, large)
+ *  - --level=sector   mean of each sector, e.g. "RG41 4" (default, ~11k rows)
+ *  - --level=outward  mean of each outward code, e.g. "RG41"
+ *
+ * Terminated postcodes and rows without a grid reference are skipped.
+ * Output: POSTCODE_COORDS_FILE (default ./data/postcode-coords.csv)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { formatPostcode } = require("../lib/postcode-geo");
+
+const LEVELS = new Set(["unit", "sector", "outward"]);
+
+function keyFor(pcds, level) {
+  const unit = formatPostcode(pcds);
+  if (level === "unit") return unit;
+  const [outward, inward = ""] = unit.split(" ");
+  if (level === "outward") return outward;
+  return inward ? `${outward} ${inward[0]}` : "";
+}
+
+const unquote = (s) => String(s || "").replace(/^"|"$/g, "").trim();
+
+async function main() {
+  const input = process.argv[2];
+  const levelArg = process.argv.find((a) => a.startsWith("--level="));
+  const level = levelArg ? levelArg.split("=")[1] : "sector";
+
+  if (!input || !LEVELS.has(level)) {
+    console.error("Usage: node scripts/build-postcode-coords.js <onspd.csv> [--level=unit|sector|outward]");
+    process.exit(1);
+  }
+
+  const out = path.resolve(process.env.POSTCODE_COORDS_FILE || "./data/postcode-coords.csv");
+
+  // key -> { lat, lon, n } (running sums for sector/outward)
+  const acc = new Map();
+  let cols = null;
+  let rows = 0;
+  let skipped = 0;
+
+  const rl = readline.createInterface({ input: fs.createReadStream(input) });
+  for await (const line of rl) {
+    const cells = line.split(",").map(unquote);
+    if (!cols) {
+      cols = {
+        pcds: cells.indexOf("pcds"),
+        doterm: cells.indexOf("doterm"),
+        lat: cells.indexOf("lat"),
+        lon: cells.indexOf("long"),
+      };
+      if (cols.pcds < 0 || cols.lat < 0 || cols.lon < 0) {
+        throw new Error("input is missing pcds / lat / long columns");
+      }
+      continue;
+    }
+
+    rows++;
+    const lat = Number(cells[cols.lat]);
+    const lon = Number(cells[cols.lon]);
+    const terminated = cols.doterm >= 0 && cells[cols.doterm];
+
+    // ONSPD uses lat 99.999999 for "no grid reference"
+    if (terminated || !Number.isFinite(lat) || !Number.isFinite(lon) || lat > 90) {
+      skipped++;
+      continue;
+    }
+
+    const key = keyFor(cells[cols.pcds], level);
+    if (!key) {
+      skipped++;
+      continue;
+    }
+
+    const cur = acc.get(key) || { lat: 0, lon: 0, n: 0 };
+    cur.lat += lat;
+    cur.lon += lon;
+    cur.n++;
+    acc.set(key, cur);
+  }
+
+  const lines = ["postcode,lat,lon"];
+  for (const [key, { lat, lon, n }] of acc) {
+    lines.push(`${key},${(lat / n).toFixed(6)},${(lon / n).toFixed(6)}`);
+  }
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, lines.join("\n") + "\n");
+
+  console.log(
+    `[GEO] ${rows} rows read, ${skipped} skipped → ${acc.size} ${level} coordinates written to ${out}`
+  );
+}
+
+main().catch((e) => {
+  console.error("[GEO] build failed:", e?.message || e);
+  process.exit(1);
+});
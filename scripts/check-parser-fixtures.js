@@ -0,0 +1,298 @@
+/**
+ * Check the NHS results parsers against saved search-page fixtures.
+ *
+ * Each fixture is a saved results page plus its known-good output:
+ *   data/fixtures/nhs-search/<name>.html
+ *   data/fixtures/nhs-search/<name>.expected.json   (array of practices)
+ *
+ * Only pages captured from nhs.uk can catch real markup drift. `record`
+ * saves one with personal data scrubbed (scrubPage) and writes
+ * <name>.source.json ({ url, capturedAt }) beside it; a fixture without
+ * one was built by hand. The committed nhs-search pages are still
+ * hand-built on nhs.uk's results markup (list-panel and card layouts) –
+ * the machine they were written on had no route to nhs.uk – and should be
+ * replaced by recorded pages. The check lists which fixtures are
+ * hand-built; FIXTURES_REQUIRE_CAPTURED=1 fails it while any nhs-search
+ * fixture still is.
+ *
+ * The DOM parser must match every expected field. The regex fallback only
+ * sees flattened text, so it is held to the fields it can actually recover.
+ * A missing or empty fixture directory fails the check.
+ *
+ * The Welsh, Scottish and NI directories (lib/practice-source-<region>.js)
+ * have a fixture directory each, with two kinds of page:
+ *   data/fixtures/<region>-dental/search-<postcode>.html     results page
+ *   data/fixtures/<region>-dental/practice-<name>.html       listing page
+ * A search fixture expects an array of practices (matched by nhsUrl); a
+ * practice fixture expects the parsed acceptance answer plus the status the
+ * shared classifier gives it.
+ *
+ * Usage:
+ *   node scripts/check-parser-fixtures.js                    # check all fixtures
+ *   node scripts/check-parser-fixtures.js record "RG41 4UW" 10
+ *       -> saves the live page + DOM output as a new fixture (review the
+ *          .expected.json by hand before committing it)
+ *
+ * Env:
+ *  - PARSER_FIXTURES_DIR=./data/fixtures/nhs-search
+ *  - REGIONAL_FIXTURES_ROOT=./data/fixtures
+ *  - FIXTURES_REQUIRE_CAPTURED=1
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  parseResultsDom,
+  parseResultsRegex,
+} = require("../lib/nhs-results-parser");
+const { classifyAcceptance } = require("../lib/acceptance-classifier");
+const { acceptanceSentence } = require("../lib/practice-source-regional");
+const { parseWalesResults, parseWalesAcceptance } = require("../lib/practice-source-wales");
+const {
+  parseScotlandResults,
+  parseScotlandAcceptance,
+} = require("../lib/practice-source-scotland");
+const { parseNiResults, parseNiAcceptance } = require("../lib/practice-source-ni");
+
+const FIXTURES_DIR = path.resolve(
+  process.env.PARSER_FIXTURES_DIR || "./data/fixtures/nhs-search"
+);
+
+const DOM_FIELDS = ["vcode", "name", "address", "phone", "distanceMiles", "nhsUrl"];
+const REGEX_FIELDS = ["vcode", "name", "phone", "distanceMiles"];
+
+const REGIONAL_FIXTURES_ROOT = path.resolve(
+  process.env.REGIONAL_FIXTURES_ROOT || "./data/fixtures"
+);
+
+const REGIONAL = [
+  { dir: "wales-dental", parseResults: parseWalesResults, parseAcceptance: parseWalesAcceptance },
+  {
+    dir: "scotland-dental",
+    parseResults: parseScotlandResults,
+    parseAcceptance: parseScotlandAcceptance,
+  },
+  { dir: "ni-dental", parseResults: parseNiResults, parseAcceptance: parseNiAcceptance },
+];
+
+const REGIONAL_FIELDS = ["name", "address", "phone", "distanceMiles", "nhsUrl"];
+const ACCEPTANCE_FIELDS = ["status", "confirmed", "adults", "children", "statement", "lastUpdated"];
+
+function compare(label, actual, expected, fields, key = "vcode") {
+  const problems = [];
+
+  if (actual.length !== expected.length) {
+    problems.push(`${label}: expected ${expected.length} practices, got ${actual.length}`);
+  }
+
+  const byCode = new Map(actual.map((p) => [p[key], p]));
+  for (const exp of expected) {
+    const got = byCode.get(exp[key]);
+    if (!got) {
+      problems.push(`${label}: missing ${exp[key]}`);
+      continue;
+    }
+    for (const f of fields) {
+      if ((got[f] ?? null) !== (exp[f] ?? null)) {
+        problems.push(
+          `${label}: ${exp[key]}.${f} expected ${JSON.stringify(exp[f])}, got ${JSON.stringify(got[f])}`
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Listing page -> the fields a practice fixture records
+function acceptanceOutcome(parseAcceptance, html) {
+  const a = parseAcceptance(html);
+  return {
+    status: classifyAcceptance(acceptanceSentence(a)).status,
+    confirmed: a.confirmed,
+    adults: a.adults,
+    children: a.children,
+    statement: a.statement,
+    lastUpdated: a.lastUpdated ? a.lastUpdated.toISOString().slice(0, 10) : null,
+  };
+}
+
+// Whether a fixture page was recorded from the live site
+function isCaptured(dir, file) {
+  return fs.existsSync(path.join(dir, file.replace(/\.html$/, ".source.json")));
+}
+
+// Fixture pages in a directory; a missing or empty directory counts as a
+// failure, so the check can't pass by having nothing to check
+function fixtureFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    console.error(`❌ No fixtures directory at ${dir}`);
+    return null;
+  }
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".html"));
+  if (!files.length) console.error(`❌ No .html fixtures in ${dir}`);
+  return files.length ? files : null;
+}
+
+function checkRegional({ dir, parseResults, parseAcceptance }) {
+  const fixturesDir = path.join(REGIONAL_FIXTURES_ROOT, dir);
+  const files = fixtureFiles(fixturesDir);
+  if (!files) return { files: 0, failed: 1 };
+
+  let failed = 0;
+
+  for (const file of files) {
+    const name = `${dir}/${file.replace(/\.html$/, "")}`;
+    const expectedPath = path.join(fixturesDir, file.replace(/\.html$/, ".expected.json"));
+    if (!fs.existsSync(expectedPath)) {
+      console.warn(`[FIXTURES] ${name}: no .expected.json – skipped`);
+      continue;
+    }
+
+    const html = fs.readFileSync(path.join(fixturesDir, file), "utf-8");
+    const expected = JSON.parse(fs.readFileSync(expectedPath, "utf-8"));
+
+    let problems;
+    if (Array.isArray(expected)) {
+      const postcode = expected[0]?.postcode || "";
+      problems = compare("dom", parseResults(html, postcode), expected, REGIONAL_FIELDS, "nhsUrl");
+    } else {
+      const got = acceptanceOutcome(parseAcceptance, html);
+      problems = ACCEPTANCE_FIELDS.filter((f) => (got[f] ?? null) !== (expected[f] ?? null)).map(
+        (f) => `${f} expected ${JSON.stringify(expected[f])}, got ${JSON.stringify(got[f])}`
+      );
+    }
+
+    if (problems.length) {
+      failed++;
+      console.error(`❌ ${name}`);
+      problems.forEach((p) => console.error(`   - ${p}`));
+    } else {
+      console.log(
+        `✅ ${name} (${Array.isArray(expected) ? `${expected.length} practices` : expected.status})`
+      );
+    }
+  }
+
+  return { files: files.length, failed };
+}
+
+function checkAll() {
+  let total = 0;
+  let failed = 0;
+
+  for (const region of REGIONAL) {
+    const r = checkRegional(region);
+    total += r.files;
+    failed += r.failed;
+  }
+
+  const files = fixtureFiles(FIXTURES_DIR) || [];
+  if (!files.length) failed++;
+  total += files.length;
+
+  const handBuilt = files.filter((f) => !isCaptured(FIXTURES_DIR, f));
+  if (handBuilt.length) {
+    const note = `${handBuilt.length} nhs-search fixture(s) are hand-built, not captured: ${handBuilt.join(", ")}`;
+    if (process.env.FIXTURES_REQUIRE_CAPTURED === "1") {
+      console.error(`❌ ${note}`);
+      failed++;
+    } else {
+      console.warn(`[FIXTURES] ⚠️ ${note} – record live pages to replace them`);
+    }
+  }
+
+  for (const file of files) {
+    const name = file.replace(/\.html$/, "");
+    const expectedPath = path.join(FIXTURES_DIR, `${name}.expected.json`);
+    if (!fs.existsSync(expectedPath)) {
+      console.warn(`[FIXTURES] ${name}: no .expected.json – skipped`);
+      continue;
+    }
+
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, file), "utf-8");
+    const expected = JSON.parse(fs.readFileSync(expectedPath, "utf-8"));
+    const postcode = expected[0]?.postcode || "";
+
+    const problems = [
+      ...compare("dom", parseResultsDom(html, postcode), expected, DOM_FIELDS),
+      ...compare("regex", parseResultsRegex(html, postcode), expected, REGEX_FIELDS),
+    ];
+
+    if (problems.length) {
+      failed++;
+      console.error(`❌ ${name}`);
+      problems.forEach((p) => console.error(`   - ${p}`));
+    } else {
+      console.log(`✅ ${name} (${expected.length} practices)`);
+    }
+  }
+
+  console.log(`[FIXTURES] ${total} fixture(s), ${failed} failed`);
+  return failed;
+}
+
+/**
+ * Strip what a saved nhs.uk page shouldn't carry into the repo: scripts
+ * and their analytics / session ids, email addresses, and named people
+ * (clinicians on practice pages). Practice names, addresses and phone
+ * numbers are the public listing and stay – the parsers read them.
+ */
+function scrubPage(html) {
+  return html
+    .replace(/<script\b[\s\S]*?<\/script>/gi, "")
+    .replace(/<noscript\b[\s\S]*?<\/noscript>/gi, "")
+    .replace(/<iframe\b[\s\S]*?<\/iframe>/gi, "")
+    .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, "redacted@example.invalid")
+    .replace(/\b(Dr|Mr|Mrs|Ms|Miss|Prof)\.? [A-Z][a-z'-]+(?: [A-Z][a-z'-]+){0,2}/g, "$1 Redacted");
+}
+
+async function record(postcode, radius) {
+  if (!postcode) throw new Error("Usage: record <postcode> [radius]");
+
+  const formatted = String(postcode).toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const url = `https://www.nhs.uk/service-search/find-a-dentist/results/${encodeURIComponent(
+    `${formatted.slice(0, -3)}-${formatted.slice(-3)}`
+  )}?distance=${Number(radius) || 5}`;
+
+  const res = await fetch(url, {
+    headers: {
+      "User-Agent":
+        process.env.CRAWLER_USER_AGENT ||
+        "DentistRadar fixture recorder (contact: admin@yourdomain)",
+      "Accept-Language": "en-GB,en;q=0.9",
+    },
+  });
+  if (!res.ok) throw new Error(`NHS returned ${res.status} for ${url}`);
+  const html = scrubPage(await res.text());
+
+  const name = `${formatted.toLowerCase()}-${Number(radius) || 5}mi`;
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.html`), html);
+  fs.writeFileSync(
+    path.join(FIXTURES_DIR, `${name}.source.json`),
+    JSON.stringify({ url, capturedAt: new Date().toISOString(), scrubbed: true }, null, 2)
+  );
+  fs.writeFileSync(
+    path.join(FIXTURES_DIR, `${name}.expected.json`),
+    JSON.stringify(parseResultsDom(html, postcode), null, 2)
+  );
+
+  console.log(
+    `[FIXTURES] Recorded ${name} – review ${name}.expected.json and the scrubbed page before committing`
+  );
+}
+
+async function main() {
+  const [cmd, ...args] = process.argv.slice(2);
+  if (cmd === "record") return record(args[0], args[1]);
+
+  const failed = checkAll();
+  if (failed) process.exit(1);
+}
+
+main().catch((e) => {
+  console.error("[FIXTURES] Fatal:", e);
+  process.exit(1);
+});
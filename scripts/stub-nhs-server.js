@@ -0,0 +1,290 @@
+/**
+ * Local stand-in for nhs.uk and the NHS directory API, so both practice
+ * sources (lib/practice-source.js) can be exercised without the network.
+ *
+ * Serves three made-up practices and three GP surgeries:
+ *   /service-search/find-a-dentist/results/<postcode>   results page
+ *   /services/dentist/<slug>/<vcode>[/appointments]     practice pages
+ *   /service-search/find-a-gp/results/<postcode>        GP results page
+ *   /services/gp-surgery/<slug>/<odscode>               GP profile pages
+ *   /api/search-postcode-or-place?search=…&$top=&$skip= directory search
+ *   /api/organisations/<vcode>                          one organisation
+ *   /robots.txt                                         disallows /private/
+ *
+ * and the regional dental directories, from their parser fixtures
+ * (data/fixtures/<region>-dental) – whatever postcode is asked for:
+ *   /localservices/?s=Dentist…, /localservices/details/?id=<id>   NHS 111 Wales
+ *   /scotlands-service-directory/dental-services[/<slug>]        NHS inform
+ *   /services/find-health-service-dentist, /dentists/<slug>      nidirect
+ *
+ * The API routes want `subscription-key: STUB_API_KEY` (default "stub-key").
+ *
+ * Usage:
+ *   node scripts/stub-nhs-server.js [port]      (default 4050)
+ *
+ *   NHS_WEB_BASE_URL=http://localhost:4050 PRACTICE_SOURCE=html ...
+ *   NHS_API_BASE_URL=http://localhost:4050/api NHS_API_KEY=stub-key \
+ *     PRACTICE_SOURCE=api ...
+ *   NHS_WALES_BASE_URL=http://localhost:4050 NHS_SCOTLAND_BASE_URL=… \
+ *     NI_DIRECTORY_BASE_URL=… ...
+ */
+
+const fs = require("fs");
+const http = require("http");
+const nodePath = require("path");
+
+const PORT = Number(process.argv[2] || process.env.STUB_PORT) || 4050;
+const API_KEY = process.env.STUB_API_KEY || "stub-key";
+
+// accepting / not accepting / silent on /appointments but accepting on the
+// overview page (exercises the snapshot fallback)
+const PRACTICES = [
+  {
+    vcode: "V100001",
+    slug: "stub-smile-dental",
+    name: "Stub Smile Dental",
+    address: ["1 High Street", "Wokingham", "RG41 1AA"],
+    phone: "0118 000 0001",
+    miles: 0.4,
+    accepting: ["Adults aged 18 or over", "Children aged 17 or under"],
+    updated: "2026-03-12",
+  },
+  {
+    vcode: "V100002",
+    slug: "stub-family-dentists",
+    name: "Stub Family Dentists",
+    address: ["2 Station Road", "Reading", "RG1 2BB"],
+    phone: "0118 000 0002",
+    miles: 1.8,
+    accepting: [],
+    updated: "2025-11-03",
+  },
+  {
+    vcode: "V100003",
+    slug: "stub-corner-dental",
+    name: "Stub Corner Dental",
+    address: ["3 Corner Lane", "Bracknell", "RG12 3CC"],
+    phone: "01344 000003",
+    miles: 3.2,
+    accepting: null,
+    updated: null,
+  },
+];
+
+// card says registering / card says closed / card silent, profile page says
+// catchment-only (exercises gpScanner.js's profile fallback)
+const GP_SURGERIES = [
+  {
+    ods: "K81001",
+    slug: "stub-green-surgery",
+    name: "Stub Green Surgery",
+    address: ["10 Market Place", "Wokingham", "RG40 1AP"],
+    phone: "0118 000 1001",
+    miles: 0.6,
+    card: "Accepting new patients",
+    profile: "This GP surgery is accepting new patients.",
+  },
+  {
+    ods: "K81002",
+    slug: "stub-river-medical-centre",
+    name: "Stub River Medical Centre",
+    address: ["20 River Walk", "Reading", "RG1 8DB"],
+    phone: "0118 000 1002",
+    miles: 2.1,
+    card: "Not accepting new patients",
+    profile: "This GP surgery is not accepting new patients.",
+  },
+  {
+    ods: "K81003",
+    slug: "stub-hill-practice",
+    name: "Stub Hill Practice",
+    address: ["30 Hill Road", "Bracknell", "RG12 1LH"],
+    phone: "01344 001003",
+    miles: 3.9,
+    card: null,
+    profile: "This GP surgery is only accepting new patients who live in its practice area.",
+  },
+];
+
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July",
+  "August", "September", "October", "November", "December"];
+
+function longDate(iso) {
+  const d = new Date(iso);
+  return `${d.getUTCDate()} ${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+}
+
+function page(title, body) {
+  return `<!doctype html><html><head><title>${title}</title></head><body><main>${body}</main></body></html>`;
+}
+
+function resultsHtml() {
+  const items = PRACTICES.map(
+    (p, i) => `<li class="nhsuk-list-panel results__item">
+  <p id="distance_${i}">Within ${p.miles} miles</p>
+  <h2 class="nhsuk-heading-m"><a href="/services/dentist/${p.slug}/${p.vcode}">${p.name}</a></h2>
+  <p id="address_${i}">${p.address.join("<br>")}</p>
+  <p id="phone_${i}">Phone: ${p.phone}</p>
+</li>`
+  ).join("\n");
+  return page("Find a dentist", `<ol class="nhsuk-list results">\n${items}\n</ol>`);
+}
+
+function appointmentsHtml(p) {
+  let statement;
+  if (p.accepting === null) {
+    statement = "<p>Contact the practice to book an appointment.</p>";
+  } else if (p.accepting.length) {
+    statement = `<p>This dentist accepts new NHS patients if they are:</p><ul>${p.accepting
+      .map((c) => `<li>${c}</li>`)
+      .join("")}</ul>`;
+  } else {
+    statement = "<p>This dentist is not accepting new NHS patients.</p>";
+  }
+  const updated = p.updated ? `<p>Last updated: ${longDate(p.updated)}</p>` : "";
+  return page(`${p.name} – appointments`, `<h1>${p.name}</h1>${statement}${updated}`);
+}
+
+function overviewHtml(p) {
+  const extra =
+    p.accepting === null
+      ? "<p>We are currently accepting new NHS patients for routine care.</p>"
+      : "";
+  return page(p.name, `<h1>${p.name}</h1><p>${p.address.join(", ")}</p>${extra}`);
+}
+
+function gpResultsHtml() {
+  const items = GP_SURGERIES.map(
+    (g, i) => `<li class="nhsuk-list-panel results__item">
+  <p id="distance_${i}">${g.miles} miles away</p>
+  <h2 class="nhsuk-heading-m"><a href="/services/gp-surgery/${g.slug}/${g.ods}">${g.name}</a></h2>
+  <p id="address_${i}">${g.address.join("<br>")}</p>
+  <p id="phone_${i}">Phone: ${g.phone}</p>
+  ${g.card ? `<p class="nhsuk-tag">${g.card}</p>` : ""}
+</li>`
+  ).join("\n");
+  return page("Find a GP", `<ol class="nhsuk-list results">\n${items}\n</ol>`);
+}
+
+function gpProfileHtml(g) {
+  return page(g.name, `<h1>${g.name}</h1><p>${g.address.join(", ")}</p><p>${g.profile}</p>`);
+}
+
+function organisation(p) {
+  const [line1, city, postcode] = p.address;
+  return {
+    ODSCode: p.vcode,
+    OrganisationName: p.name,
+    OrganisationTypeId: "DEN",
+    Address1: line1,
+    City: city,
+    Postcode: postcode,
+    Distance: p.miles,
+    Contacts: [{ ContactMethodType: "Telephone", ContactValue: p.phone }],
+    ...(p.accepting === null
+      ? {}
+      : {
+          AcceptingPatients: {
+            Dentist: [
+              "Adults aged 18 or over",
+              "Children aged 17 or under",
+              "Adults entitled to free dental care",
+            ].map((Name) => ({ Name, Accepted: p.accepting.includes(Name) })),
+          },
+        }),
+    ...(p.updated ? { LastUpdatedDates: { DentistsAcceptingPatients: p.updated } } : {}),
+  };
+}
+
+const FIXTURES_DIR = nodePath.join(__dirname, "..", "data", "fixtures");
+
+// "leith-walk-dental-practice-10234" -> "leith-walk"
+const fixtureSlug = (slug) => slug.replace(/-dental.*$/, "");
+
+// [path pattern, (match, url) -> fixture file]
+const REGIONAL_ROUTES = [
+  [/^\/localservices$/, () => "wales-dental/search-cf101aa.html"],
+  [/^\/localservices\/details$/, (m, url) => `wales-dental/practice-${url.searchParams.get("id")}.html`],
+  [/^\/scotlands-service-directory\/dental-services$/, () => "scotland-dental/search-eh11aa.html"],
+  [
+    /^\/scotlands-service-directory\/dental-services\/([a-z0-9-]+)$/,
+    (m) => `scotland-dental/practice-${fixtureSlug(m[1])}.html`,
+  ],
+  [/^\/services\/find-health-service-dentist$/, () => "ni-dental/search-bt11aa.html"],
+  [/^\/dentists\/([a-z0-9-]+)$/, (m) => `ni-dental/practice-${fixtureSlug(m[1])}.html`],
+];
+
+function regionalFixture(path, url) {
+  for (const [re, fileFor] of REGIONAL_ROUTES) {
+    const m = path.match(re);
+    if (!m) continue;
+    const file = nodePath.join(FIXTURES_DIR, fileFor(m, url));
+    return fs.existsSync(file) ? fs.readFileSync(file, "utf-8") : null;
+  }
+  return null;
+}
+
+function send(res, status, body, type = "text/html; charset=utf-8") {
+  res.writeHead(status, { "Content-Type": type });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname.replace(/\/+$/, "");
+  console.log(`[STUB] ${req.method} ${url.pathname}${url.search}`);
+
+  if (path === "/robots.txt") {
+    return send(res, 200, "User-agent: *\nDisallow: /private/\n", "text/plain");
+  }
+
+  if (path.startsWith("/api/")) {
+    if (req.headers["subscription-key"] !== API_KEY) {
+      return send(res, 401, { statusCode: 401, message: "Access denied due to invalid subscription key." }, "application/json");
+    }
+
+    if (path === "/api/search-postcode-or-place") {
+      const top = Number(url.searchParams.get("$top")) || 25;
+      const skip = Number(url.searchParams.get("$skip")) || 0;
+      return send(
+        res,
+        200,
+        {
+          "@odata.count": PRACTICES.length,
+          value: PRACTICES.slice(skip, skip + top).map(organisation),
+        },
+        "application/json"
+      );
+    }
+
+    const org = path.match(/^\/api\/organisations\/(V\d{6})$/i);
+    const p = org && PRACTICES.find((x) => x.vcode === org[1].toUpperCase());
+    if (p) return send(res, 200, organisation(p), "application/json");
+    return send(res, 404, { statusCode: 404, message: "Not found" }, "application/json");
+  }
+
+  if (path.startsWith("/service-search/find-a-dentist/results/")) {
+    return send(res, 200, resultsHtml());
+  }
+
+  if (path.startsWith("/service-search/find-a-gp/results/")) {
+    return send(res, 200, gpResultsHtml());
+  }
+
+  const gp = path.match(/^\/services\/gp-surgery\/[^/]+\/([A-Z]\d{5})$/i);
+  const g = gp && GP_SURGERIES.find((x) => x.ods === gp[1].toUpperCase());
+  if (g) return send(res, 200, gpProfileHtml(g));
+
+  const regional = regionalFixture(path, url);
+  if (regional) return send(res, 200, regional);
+
+  const m = path.match(/^\/services\/dentist\/[^/]+\/(V\d{6})(\/appointments)?$/i);
+  const p = m && PRACTICES.find((x) => x.vcode === m[1].toUpperCase());
+  if (p) return send(res, 200, m[2] ? appointmentsHtml(p) : overviewHtml(p));
+
+  send(res, 404, page("Page not found", "<h1>Page not found</h1>"));
+}
+
+http.createServer(handle).listen(PORT, () => {
+  console.log(`[STUB] NHS stub listening on http://localhost:${PORT}`);
+});
@@ -4,9 +4,35 @@
 // - Adds /api/debug/peek to verify DB/collections
 // - Stripe webhook + plan activation email + "My Alerts" APIs + Unsubscribe
 // - Phase 2: Grouped scans (runAllScans) + admin endpoint for dryRun/testing
+//   – checkpointed ScanRun documents, worked in the background and resumed
+//   after a restart; the admin endpoint returns a runId to poll
+// - Nearby watch groups are clustered into one wider scan each
+//   (lib/scan-planner.js) and every watch is filtered on its own distance
+// - ALERT_MODE=snapshot: England dentist alerts come from not_accepting →
+//   accepting transitions in the snapshot (runTransitionAlerts) instead of
+//   live scans; it needs the postcode table, and boots in scan mode without
+// - Scans go through scanCache.js (Mongo-backed, results carry cachedAt)
+// - NHS markup drift (markupDrift.js) emails the admin and holds alert emails
+// - Stale acceptance claims (old "last updated" dates) are flagged in alerts
+//   and down-ranked or skipped by runAllScans (STALE_CLAIM_POLICY)
+// - Watch deliveryMode: instant emails, or daily / weekly digests queued as
+//   DigestItems and sent by jobs/digest.js (POST /api/admin/run-digests)
+// - Per-watch, per-practice alert memory (lib/alert-state.js): a practice
+//   seen not accepting for REALERT_AFTER_DAYS is announced again when it
+//   reopens, labelled "accepting again"
+// - Optional watch filters (wheelchair access, language, services…) matched
+//   against practice profiles (jobs/practice-profiles.js)
+// - Watches carry a serviceType – a radar id from lib/radars (dentist, gp…).
+//   The radar decides scanner, practice keys, drift tracking, filters and
+//   email wording; the alert loop itself is radar-agnostic
+// - Region guardrail: test scans are accepted for the UK regions the radar
+//   covers (radar.regions – Wales, Scotland and NI for dentists); watches
+//   elsewhere are waitlisted and switched on by jobs/waitlist-activation.js.
+//   Emails carry a region-aware coverage note
 
 import express from "express";
-import { scanPostcode } from "./scanner.js";
+import { getScan, streamScan, canStreamScan } from "./scanCache.js";
+import { beginPracticeCacheRun, endPracticeCacheRun, byDistance } from "./scanner.js";
 import cors from "cors";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
@@ -14,8 +40,60 @@ import Stripe from "stripe";
 import path from "path";
 import { fileURLToPath } from "url";
 import axios from "axios";
-import { connectMongo, Watch, User, EmailLog, peek, PartnerClinic } from "./models.js";
-import { renderEmail } from "./emailTemplates.js";
+import {
+  connectMongo,
+  Watch,
+  User,
+  EmailLog,
+  ScanRun,
+  ScanRunResult,
+  DigestItem,
+  peek,
+  PartnerClinic,
+} from "./models.js";
+import { renderEmail, serviceCopy } from "./emailTemplates.js";
+import {
+  DEFAULT_RADAR_ID,
+  getRadar,
+  radarFor,
+  radarIds,
+  radarQuery,
+  radarRegions,
+  practiceKeyFor,
+} from "./lib/radars/index.js";
+import { detectUkRegion, regionLabel, listRegions, coverageNote } from "./lib/uk-region.js";
+import { runWaitlistActivation } from "./jobs/waitlist-activation.js";
+import { runDigests } from "./jobs/digest.js";
+import { describeAge, isStaleClaim, STALE_CLAIM_DAYS } from "./lib/last-updated.js";
+import {
+  loadPostcodeTable,
+  hasPostcodeTable,
+  lookupPostcode,
+  haversineMiles,
+} from "./lib/postcode-geo.js";
+import { clusterScanGroups, practicesForWatch, coversWatch } from "./lib/scan-planner.js";
+import { alertEligibility, closureChange, nextPracticeAlerts } from "./lib/alert-state.js";
+import {
+  parseWatchFilters,
+  hasWatchFilters,
+  matchesWatchFilters,
+} from "./lib/practice-facilities.js";
+import { loadProfiles } from "./jobs/practice-profiles.js";
+import { getBudgetReport } from "./lib/crawl-budget.js";
+import PracticeStatusLatest from "./models/PracticeStatusLatest.js";
+import PracticeStatusEvent from "./models/PracticeStatusEvent.js";
+import { recordPracticeStatus } from "./lib/practice-status.js";
+import PracticeVcode from "./models/PracticeVcode.js";
+import {
+  createDriftTracker,
+  trackScan,
+  checkDrift,
+  loadDriftState,
+  recordDriftCheck,
+  areAlertsHeld,
+  releaseAlertHold,
+  DRIFT_THRESHOLDS,
+} from "./markupDrift.js";
 
 dotenv.config();
 
@@ -36,7 +114,13 @@ app.use(express.static("public"));
 --------------------------- */
 const RAW_URI = process.env.MONGO_URI || "";
 connectMongo(RAW_URI)
-  .then((c) => console.log("✅ MongoDB connected →", c?.name))
+  .then((c) => {
+    console.log("✅ MongoDB connected →", c?.name);
+    // A scan run cut short by the last restart carries on from its checkpoint
+    resumeScanRuns().catch((e) =>
+      console.error("[CRON] scan run resume error:", e?.message || e)
+    );
+  })
   .catch((err) => console.error("❌ MongoDB connection error:", err.message));
 
 /* ---------------------------
@@ -105,12 +189,12 @@ async function sendEmailHTML(to, subject, html, type = "other", meta = {}) {
     const ok = r.status >= 200 && r.status < 300;
     const body = r.data || {};
         // Log any email type we care about
-    if (ok && ["alert", "welcome", "plan_activated"].includes(type)) {
+    if (ok && ["alert", "welcome", "plan_activated", "coverage", "digest", "drift_alert"].includes(type)) {
       try {
         await EmailLog.create({
           to,
           subject,
-          type,               // "alert" | "welcome" | "plan_activated"
+          type,               // "alert" | "welcome" | "plan_activated" | "coverage" | "digest" | "drift_alert"
           providerId: body.MessageID,
           meta,               // includes runMode for alerts
           sentAt: new Date(),
@@ -129,6 +213,62 @@ async function sendEmailHTML(to, subject, html, type = "other", meta = {}) {
   }
 }
 
+// One drift email per this many hours, however often a hold starts
+const DRIFT_ALERT_COOLDOWN_HOURS = Number(process.env.DRIFT_ALERT_COOLDOWN_HOURS) || 24;
+
+/**
+ * Tell the admin that NHS markup drift has held alert emails.
+ * Only called when a hold starts (recordDriftCheck → newlyHeld), and
+ * skipped if a drift email went out in the last DRIFT_ALERT_COOLDOWN_HOURS
+ * (EmailLog type "drift_alert").
+ */
+async function notifyAdminOfDrift(verdict, source) {
+  const adminEmail =
+    process.env.ADMIN_ALERT_EMAIL || process.env.PARTNER_ADMIN_EMAIL;
+  if (!adminEmail) {
+    console.warn("[DRIFT] No ADMIN_ALERT_EMAIL set – drift alert not emailed.");
+    return;
+  }
+
+  const recent = await EmailLog.findOne({
+    type: "drift_alert",
+    sentAt: { $gte: new Date(Date.now() - DRIFT_ALERT_COOLDOWN_HOURS * 60 * 60 * 1000) },
+  })
+    .select({ sentAt: 1 })
+    .lean();
+  if (recent) {
+    console.log(`[DRIFT] Admin already emailed at ${recent.sentAt} – drift alert not repeated.`);
+    return;
+  }
+
+  const m = verdict.metrics;
+  const sim = verdict.similarity;
+  const html = `
+    <h2>NHS markup drift detected – alert emails are on hold</h2>
+    <p>Source: ${source}</p>
+    <p>Reasons: <strong>${verdict.reasons.join(", ")}</strong></p>
+    <ul>
+      <li>Scans checked: ${m.scans} (${m.emptyScans} with no result blocks)</li>
+      <li>Result blocks: ${m.blocks}</li>
+      <li>Missing names: ${(m.missingNameRatio * 100).toFixed(1)}%</li>
+      <li>Missing phones: ${(m.missingPhoneRatio * 100).toFixed(1)}%</li>
+      <li>Unknown verdicts: ${(m.unclassifiedRatio * 100).toFixed(1)}% of ${m.classified}</li>
+      <li>Search page similarity: ${sim.search ?? "n/a"}</li>
+      <li>Appointments page similarity: ${sim.appointments ?? "n/a"}</li>
+    </ul>
+    <p>Fix the parser, then release with
+      <code>POST /api/admin/markup-drift/release?token=…&amp;rebaseline=true</code>.</p>
+  `;
+
+  await sendEmailHTML(
+    adminEmail,
+    "DentistRadar: NHS markup drift – alerts held",
+    html,
+    "drift_alert",
+    { reasons: verdict.reasons, source }
+  );
+}
+
 const emailRe = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
 const normEmail = (s) => String(s || "").trim().toLowerCase();
 
@@ -144,56 +284,58 @@ function looksLikeUkPostcode(pc) {
   );
 }
 
-function detectUkRegion(postcode) {
-  const pc = (postcode || "").toUpperCase().trim();
-
-  const m = pc.match(/^([A-Z]{1,2})/);
-  if (!m) return "OTHER";
-  const area = m[1];
-
-  const NI = ["BT"]; // Northern Ireland
-
-  const SCOTLAND = [
-    "AB",
-    "DD",
-    "DG",
-    "EH",
-    "FK",
-    "G",
-    "HS",
-    "IV",
-    "KA",
-    "KW",
-    "KY",
-    "ML",
-    "PA",
-    "PH",
-    "TD",
-    "ZE",
-  ];
-
-  const WALES = ["CF", "LD", "LL", "NP", "SA", "SY"];
-
-  const CHANNEL_ISLANDS = ["GY", "JE"];
-  const IOM = ["IM"];
-
-  if (NI.includes(area)) return "NI";
-  if (SCOTLAND.includes(area)) return "SCOTLAND";
-  if (WALES.includes(area)) return "WALES";
-  if (CHANNEL_ISLANDS.includes(area)) return "CHANNEL_ISLANDS";
-  if (IOM.includes(area)) return "IOM";
-
-  return "ENGLAND";
+/**
+ * STALE_CLAIM_POLICY decides what runAllScans does with accepting
+ * practices whose NHS info is older than STALE_CLAIM_DAYS:
+ *  - flag      – keep order, the email marks them
+ *  - downrank  – move them to the end of the list (default)
+ *  - skip      – leave them out of the alert
+ */
+const STALE_CLAIM_POLICY = (process.env.STALE_CLAIM_POLICY || "downrank").toLowerCase();
+
+function applyStaleClaimPolicy(practices) {
+  if (STALE_CLAIM_POLICY === "skip") {
+    return practices.filter((p) => !p.staleClaim);
+  }
+  if (STALE_CLAIM_POLICY === "downrank") {
+    return [
+      ...practices.filter((p) => !p.staleClaim),
+      ...practices.filter((p) => p.staleClaim),
+    ];
+  }
+  return practices;
+}
+
+/**
+ * Keep only practices whose profile satisfies the watch's filters.
+ * Profiles are loaded (and fetched if missing) only for filtered watches.
+ */
+async function filterPracticesForWatch(practices, filters, profiles = null) {
+  if (!hasWatchFilters(filters) || practices.length === 0) return practices;
+
+  let map = profiles;
+  if (!map) {
+    try {
+      map = await loadProfiles(practices);
+    } catch (e) {
+      console.error("[WATCH] practice profile load error:", e?.message || e);
+      map = new Map();
+    }
+  }
+  return practices.filter((p) => matchesWatchFilters(map.get(p.vcode), filters));
 }
 
-function practiceKey(p, postcode) {
-  // Prefer vcode if present
-  if (p.vcode) return `V:${p.vcode}`;
-  if (p.nhsUrl) return `U:${p.nhsUrl}`;
-  // Fallback – should be rare
-  return `N:${(p.name || "").trim()}|${(postcode || "").trim()}`;
+function practiceKey(p, postcode, serviceType) {
+  return practiceKeyFor(radarFor(serviceType), p, postcode);
 }
 
+// Missing / empty → default radar (the original signup forms send
+// nothing); an unknown id → null so the caller can reject it.
+function parseServiceType(raw) {
+  const t = String(raw ?? "").trim().toLowerCase();
+  if (!t) return DEFAULT_RADAR_ID;
+  return getRadar(t) ? t : null;
+}
 
 async function planLimitFor(email) {
   const e = normEmail(email);
@@ -207,6 +349,22 @@ async function planLimitFor(email) {
   return 5;
 }
 
+// Short quote of the NHS sentence behind a practice's status (page text,
+// so it is escaped here).
+const EVIDENCE_QUOTE_CHARS = 180;
+
+function evidenceQuote(p) {
+  const text = String(p.statusEvidence || "").trim();
+  if (!text) return "";
+  const short =
+    text.length > EVIDENCE_QUOTE_CHARS
+      ? `${text.slice(0, EVIDENCE_QUOTE_CHARS).replace(/\s+\S*$/, "")}…`
+      : text;
+  return short.replace(/[&<>"]/g, (c) =>
+    ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c])
+  );
+}
+
 /**
  * Build the acceptance alert email (subject + HTML)
  * shared between:
@@ -215,16 +373,19 @@ async function planLimitFor(email) {
  */
 function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
   const year = new Date().getFullYear();
-  const { manageUrl, unsubscribeUrl } = opts;
+  const { manageUrl, unsubscribeUrl, serviceType } = opts;
+  const radar = radarFor(serviceType) || radarFor();
+  const copy = serviceCopy(radar.id);
 
   const rowsHtml = practices
     .map((p) => {
-      const name = p.name || "Unknown practice";
+      const name = p.name || `Unknown ${copy.practice}`;
       const phone = p.phone || "Not available";
 
       const patientType =
         p.patientType ||
-        (p.childOnly ? "Children only" : "Adults & children");
+        radar.describePatients(p) ||
+        copy.defaultPatients;
 
       const distance =
         p.distanceText ||
@@ -234,6 +395,22 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
 
       const nhsUrl = p.nhsUrl || "#";
 
+      const age = describeAge(p.lastUpdated);
+      const ageHtml = age
+        ? `<br/><span style="font-size:11px; color:${
+            p.staleClaim ? "#b45309" : "#6b7280"
+          };">${p.staleClaim ? `⚠ NHS info ${age} – call to confirm` : `NHS info ${age}`}</span>`
+        : "";
+
+      const quote = evidenceQuote(p);
+      const evidenceHtml = quote
+        ? `<br/><span style="display:inline-block; margin-top:4px; font-size:12px; color:#374151; font-style:italic;">“${quote}”${
+            p.evidenceUrl
+              ? ` <a href="${p.evidenceUrl}" style="color:#0b63ff; text-decoration:none; font-style:normal;">source</a>`
+              : ""
+          }</span>`
+        : "";
+
       const mapUrl =
         p.mapUrl ||
         `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
@@ -243,8 +420,12 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
       return `
         <tr>
           <td style="padding:10px; border-bottom:1px solid #f0f0f0;">
-            <strong>${name}</strong><br/>
-            <span style="font-size:12px; color:#6b7280;">${p.address || ""}</span>
+            <strong>${name}</strong>${
+              p.acceptingAgain
+                ? ` <span style="display:inline-block; margin-left:4px; padding:1px 6px; border-radius:999px; background:#dcfce7; color:#166534; font-size:11px; font-weight:600;">Accepting again</span>`
+                : ""
+            }<br/>
+            <span style="font-size:12px; color:#6b7280;">${p.address || ""}</span>${evidenceHtml}${ageHtml}
           </td>
           <td style="padding:10px; border-bottom:1px solid #f0f0f0;">
             ${patientType}
@@ -270,7 +451,7 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
     })
     .join("");
 
-  const subject = `DentistRadar: ${practices.length} NHS dentist(s) accepting near ${postcode}`;
+  const subject = `${copy.brand}: ${practices.length} ${copy.plural} ${copy.acceptingShort} near ${postcode}`;
 
   const manageBlock =
     manageUrl || unsubscribeUrl
@@ -292,11 +473,26 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
       `
       : "";
 
-  const englandNote = `
+  const shareBlock =
+    copy.shareText && copy.site
+      ? `
+                <p style="margin:18px 0 4px 0; font-size:13px; color:#4b5563; line-height:1.6;">
+                  If this alert helps you, please consider sharing ${copy.brand} with others who are struggling to find an ${copy.noun}.
+                </p>
+                <p style="margin:4px 0 0 0; font-size:12px; color:#2563eb; line-height:1.6;">
+                  <a href="https://wa.me/?text=${encodeURIComponent(
+                    `${copy.shareText} Try it: ${copy.site}`
+                  )}" style="color:#2563eb; text-decoration:none;">Share on WhatsApp</a>
+                  &nbsp;·&nbsp;
+                  <a href="https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(
+                    copy.site
+                  )}" style="color:#2563eb; text-decoration:none;">Share on Facebook</a>
+                </p>`
+      : "";
+
+  const regionNote = `
     <p style="margin:6px 0 0 0; font-size:11px; color:#6b7280; line-height:1.6;">
-      DentistRadar currently supports NHS dentist searches in <strong>England</strong> only.
-      If your postcode is in Scotland, Wales or Northern Ireland, results may be incomplete
-      while we work on support for those regions.
+      ${coverageNote(radar, detectUkRegion(postcode))}
     </p>
   `;
 
@@ -304,7 +500,7 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
 <html>
   <head>
     <meta charset="UTF-8" />
-    <title>DentistRadar – NHS dentist alert</title>
+    <title>${copy.brand} – ${copy.noun} alert</title>
   </head>
   <body style="margin:0; padding:0; background-color:#f4f6fb; font-family:system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;">
     <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
@@ -314,10 +510,10 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
             <tr>
               <td style="background:#0b63ff; padding:16px 24px; color:#ffffff;">
                 <div style="font-size:20px; font-weight:700;">
-                  DentistRadar
+                  ${copy.brand}
                 </div>
                 <div style="font-size:13px; opacity:0.85;">
-                  NHS dentist availability alert
+                  ${copy.tagline}
                 </div>
               </td>
             </tr>
@@ -325,26 +521,26 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
             <tr>
               <td style="padding:24px 24px 16px 24px;">
                 <h2 style="margin:0 0 12px 0; font-size:20px; color:#111827;">
-                  Good news – NHS dentists are accepting new patients near you
+                  Good news – ${copy.plural} are ${copy.accepting} near you
                 </h2>
 
                 <p style="margin:0 0 10px 0; font-size:14px; color:#4b5563; line-height:1.6;">
-                  You are receiving this alert from <strong>DentistRadar</strong> because you registered 
+                  You are receiving this alert from <strong>${copy.brand}</strong> because you registered 
                   for updates for postcode <strong>${postcode}</strong> within 
                   <strong>${radius} miles</strong>.
                 </p>
 
                 <p style="margin:0 0 18px 0; font-size:14px; color:#4b5563; line-height:1.6;">
-                  Based on the latest information from the NHS website, the following practices are currently 
-                  shown as <strong>accepting new NHS patients</strong> (subject to change and availability):
+                  Based on the latest information from the NHS website, the following ${copy.practices} are currently 
+                  shown as <strong>${copy.accepting}</strong> (subject to change and availability):
                 </p>
 
                 <div style="border:1px solid #e5e7eb; border-radius:10px; overflow:hidden;">
                   <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse; font-size:13px;">
                     <thead>
                       <tr style="background:#f5f8ff; text-align:left;">
-                        <th align="left" style="padding:10px;">Practice</th>
-                        <th align="left" style="padding:10px;">Patient type</th>
+                        <th align="left" style="padding:10px;">${copy.practice[0].toUpperCase()}${copy.practice.slice(1)}</th>
+                        <th align="left" style="padding:10px;">${copy.patientHeading}</th>
                         <th align="left" style="padding:10px;">Distance</th>
                         <th align="left" style="padding:10px;">Phone</th>
                         <th align="left" style="padding:10px;">NHS page</th>
@@ -358,35 +554,28 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
                 </div>
 
                 <p style="margin:18px 0 8px 0; font-size:14px; color:#374151; line-height:1.6;">
-                  <strong>Tip:</strong> NHS availability can change quickly. If you find a suitable practice, 
-                  contact them as soon as possible to confirm they are still accepting new patients and to check 
-                  appointment availability.
+                  <strong>Tip:</strong> NHS availability can change quickly. If you find a suitable ${copy.practice}, 
+                  contact them as soon as possible to confirm they are still ${copy.accepting} and to check 
+                  ${copy.nextStep}.
                 </p>
 
                 <p style="margin:8px 0 8px 0; font-size:12px; color:#6b7280; line-height:1.6;">
                   This email is based on publicly available information from the NHS website at the time of scanning.
-                  DentistRadar does not guarantee availability and cannot book appointments on your behalf.
+                  ${copy.brand} does not guarantee availability and cannot ${copy.cannotDo} on your behalf.
                 </p>
 
                 <!-- Share block -->
-                <p style="margin:18px 0 4px 0; font-size:13px; color:#4b5563; line-height:1.6;">
-                  If this alert helps you, please consider sharing DentistRadar with others who are struggling to find an NHS dentist.
-                </p>
-                <p style="margin:4px 0 0 0; font-size:12px; color:#2563eb; line-height:1.6;">
-                  <a href="https://wa.me/?text=I%20found%20an%20NHS%20dentist%20using%20DentistRadar%20%E2%80%93%20it%20emails%20you%20when%20local%20NHS%20practices%20start%20accepting%20patients.%20Try%20it:%20https://www.dentistradar.co.uk" style="color:#2563eb; text-decoration:none;">Share on WhatsApp</a>
-                  &nbsp;·&nbsp;
-                  <a href="https://www.facebook.com/sharer/sharer.php?u=https%3A%2F%2Fwww.dentistradar.co.uk" style="color:#2563eb; text-decoration:none;">Share on Facebook</a>
-                </p>
+                ${shareBlock}
 
                 ${manageBlock}
-                ${englandNote}
+                ${regionNote}
               </td>
             </tr>
 
             <tr>
               <td style="padding:12px 24px 18px 24px; border-top:1px solid #e5e7eb; font-size:12px; color:#9ca3af;">
                 <div>
-                  You are receiving this because you created an alert on DentistRadar for postcode ${postcode}.
+                  You are receiving this because you created an alert on ${copy.brand} for postcode ${postcode}.
                 </div>
                 <div style="margin-top:4px;">
                   © ${year} DentistRadar. All rights reserved.
@@ -405,50 +594,59 @@ function buildAcceptanceEmail(postcode, radius, practices, opts = {}) {
 }
 
 /* ---------------------------
-   Rate limiting for /api/watch & /api/watch/create
+   Rate limiting (per IP, per minute)
+   - /api/watch & /api/watch/create: RATE_MAX_REQUESTS
+   - /api/scan/stream: SCAN_STREAM_RATE_MAX (default 6) – the signup form
+     opens one per submit and each can start a live NHS scan
 --------------------------- */
 const RATE_WINDOW_MS = 60 * 1000; // 1 minute
 const RATE_MAX_REQUESTS = 8; // max requests per IP per window
+const SCAN_STREAM_RATE_MAX = Number(process.env.SCAN_STREAM_RATE_MAX) || 6;
 
-// Map<ip, { count, windowStart }>
-const rateBuckets = new Map();
+function createRateLimit(name, maxRequests) {
+  // Map<ip, { count, windowStart }>
+  const rateBuckets = new Map();
 
-function rateLimitWatchCreate(req, res, next) {
-  try {
-    const ip =
-      req.headers["x-forwarded-for"]?.split(",")[0].trim() ||
-      req.socket?.remoteAddress ||
-      "unknown";
+  return function rateLimit(req, res, next) {
+    try {
+      const ip =
+        req.headers["x-forwarded-for"]?.split(",")[0].trim() ||
+        req.socket?.remoteAddress ||
+        "unknown";
 
-    const now = Date.now();
-    let bucket = rateBuckets.get(ip);
+      const now = Date.now();
+      let bucket = rateBuckets.get(ip);
 
-    if (!bucket || now - bucket.windowStart > RATE_WINDOW_MS) {
-      bucket = { count: 0, windowStart: now }; // new window
-    }
+      if (!bucket || now - bucket.windowStart > RATE_WINDOW_MS) {
+        bucket = { count: 0, windowStart: now }; // new window
+      }
 
-    bucket.count += 1;
-    rateBuckets.set(ip, bucket);
+      bucket.count += 1;
+      rateBuckets.set(ip, bucket);
 
-    if (bucket.count > RATE_MAX_REQUESTS) {
-      console.warn(
-        `⚠️ rateLimit: IP ${ip} exceeded limit (${bucket.count} reqs in ${RATE_WINDOW_MS}ms)`
-      );
-      return res.status(429).json({
-        ok: false,
-        error: "rate_limited",
-        message: "Too many requests. Please try again shortly.",
-      });
-    }
+      if (bucket.count > maxRequests) {
+        console.warn(
+          `⚠️ rateLimit(${name}): IP ${ip} exceeded limit (${bucket.count} reqs in ${RATE_WINDOW_MS}ms)`
+        );
+        return res.status(429).json({
+          ok: false,
+          error: "rate_limited",
+          message: "Too many requests. Please try again shortly.",
+        });
+      }
 
-    next();
-  } catch (e) {
-    console.error("rateLimit error:", e?.message || e);
-    // fail open rather than blocking everything
-    next();
-  }
+      next();
+    } catch (e) {
+      console.error(`rateLimit(${name}) error:`, e?.message || e);
+      // fail open rather than blocking everything
+      next();
+    }
+  };
 }
 
+const rateLimitWatchCreate = createRateLimit("watch", RATE_MAX_REQUESTS);
+const rateLimitScanStream = createRateLimit("scan-stream", SCAN_STREAM_RATE_MAX);
+
 /* ---------------------------
    Partner Clinics – lead capture (Phase 1)
 --------------------------- */
@@ -601,15 +799,49 @@ app.get("/api/debug/peek", async (req, res) => {
 /* ---------------------------
    Shared Watch Creation Handler
 --------------------------- */
+const DELIVERY_MODES = ["instant", "daily", "weekly"];
+
+// Whole number in [min, max], or undefined when absent / invalid
+function intInRange(raw, min, max) {
+  if (raw === undefined || raw === null || raw === "") return undefined;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= min && n <= max ? n : undefined;
+}
+
+/**
+ * deliveryMode / digestHour / digestDay from a request body (signup or
+ * PATCH /api/watch/:id). Fields left out are left out of the result;
+ * null when one is present but invalid.
+ */
+function parseDelivery(body = {}) {
+  const delivery = {};
+  if (body.deliveryMode !== undefined && body.deliveryMode !== "") {
+    delivery.deliveryMode = String(body.deliveryMode);
+    if (!DELIVERY_MODES.includes(delivery.deliveryMode)) return null;
+  }
+  for (const [field, max] of [["digestHour", 23], ["digestDay", 6]]) {
+    if (body[field] === undefined || body[field] === "") continue;
+    delivery[field] = intInRange(body[field], 0, max);
+    if (delivery[field] === undefined) return null;
+  }
+  return delivery;
+}
+
 async function handleCreateWatch(req, res) {
   try {
     const rawEmail = req.body?.email;
     const rawPostcode = String(req.body?.postcode || "");
-    const rawRadius = req.body?.radius;
+    // public/gp.html posts radiusMiles
+    const rawRadius = req.body?.radius ?? req.body?.radiusMiles;
+    const serviceType = parseServiceType(req.body?.serviceType);
 
     const email = normEmail(rawEmail);
     const postcode = normalizePostcode(rawPostcode);
     const radius = Number(rawRadius);
+    // Practice profiles (and so filters) only exist for some radars
+    const radar = serviceType ? getRadar(serviceType) : null;
+    const filters = parseWatchFilters(radar?.supportsFilters ? req.body || {} : {});
+    const delivery = parseDelivery(req.body || {});
 
     console.log("🔔 /api/watch(create) body:", req.body);
 
@@ -626,26 +858,35 @@ async function handleCreateWatch(req, res) {
       return res.status(400).json({ ok: false, error: "invalid_radius" });
     }
 
-    // 🔒 Region guardrail — MUST be before Watch.create
-    const region = detectUkRegion(postcode);
-    if (region !== "ENGLAND") {
-      console.log(
-        `⛔ Blocked watch for non-England postcode ${postcode} (region=${region})`
-      );
-      return res.status(400).json({
-        ok: false,
-        error: "unsupported_region",
-        region,
-        message:
-          "DentistRadar currently supports NHS dentist searches in England only. " +
-          "Support for Scotland, Wales and Northern Ireland will be added in future.",
-      });
+    if (!serviceType) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "invalid_service_type", serviceTypes: radarIds() });
+    }
+
+    if (!delivery) {
+      return res.status(400).json({ ok: false, error: "invalid_delivery" });
+    }
+    // A digest's clock starts now: the first one is the next slot
+    if (delivery.deliveryMode && delivery.deliveryMode !== "instant") {
+      delivery.lastDigestAt = new Date();
     }
+    const copy = serviceCopy(serviceType);
 
-    // 1) Check for an *active* watch with same email+postcode
+    // 🔒 Region guardrail — outside the radar's regions the watch is stored
+    // as waitlisted: no welcome email, no scan until
+    // jobs/waitlist-activation.js switches it on
+    const region = detectUkRegion(postcode);
+    const regions = radarRegions(radar);
+    const waitlisted = !regions.includes(region);
+    const status = waitlisted ? "waitlisted" : "active";
+    const waitlistedAt = waitlisted ? new Date() : null;
+
+    // 1) Check for an *active* watch with same email+postcode+service
     const existingActive = await Watch.findOne({
       email,
       postcode,
+      serviceType: radarQuery(serviceType),
       active: { $ne: false }, // treat missing or true as active
     }).lean();
 
@@ -671,25 +912,60 @@ async function handleCreateWatch(req, res) {
     let watch = await Watch.findOne({
       email,
       postcode,
+      serviceType: radarQuery(serviceType),
       active: false,
     });
 
     if (watch) {
       watch = await Watch.findByIdAndUpdate(
         watch._id,
-        { active: true, unsubscribedAt: null, radius },
+        {
+          active: true,
+          unsubscribedAt: null,
+          radius,
+          filters,
+          serviceType,
+          status,
+          region,
+          waitlistedAt,
+          ...delivery,
+        },
         { new: true }
       );
       console.log(
-        `[WATCH] Reactivated existing watch ${watch._id} for ${email} – ${postcode} (${radius}mi)`
+        `[WATCH] Reactivated existing ${serviceType} watch ${watch._id} for ${email} – ${postcode} (${radius}mi, ${status})`
       );
     } else {
-      watch = await Watch.create({ email, postcode, radius });
+      watch = await Watch.create({
+        email,
+        postcode,
+        radius,
+        filters,
+        serviceType,
+        status,
+        region,
+        waitlistedAt,
+        ...delivery,
+      });
       console.log(
-        `[WATCH] Created new watch ${watch._id} for ${email} – ${postcode} (${radius}mi)`
+        `[WATCH] Created new ${serviceType} watch ${watch._id} for ${email} – ${postcode} (${radius}mi, ${status})`
       );
     }
 
+    if (waitlisted) {
+      return res.json({
+        ok: true,
+        waitlisted: true,
+        serviceType,
+        region,
+        regions,
+        message:
+          `${copy.brand} doesn't cover ${copy.noun} searches in ${regionLabel(region)} yet ` +
+          `(we currently cover ${listRegions(regions)}). You're on the waitlist – ` +
+          "we'll email you as soon as we do.",
+      });
+    }
+
     const SITE =
       process.env.PUBLIC_ORIGIN || "https://www.dentistradar.co.uk";
 
@@ -707,11 +983,13 @@ async function handleCreateWatch(req, res) {
       radius,
       manageUrl,
       unsubscribeUrl,
+      serviceType,
     });
 
     await sendEmailHTML(email, welcomeSubject, welcomeHtml, "welcome", {
       postcode,
       radius,
+      serviceType,
       watchId: watch._id,
     });
 
@@ -721,7 +999,7 @@ async function handleCreateWatch(req, res) {
     );
     let scanResult;
     try {
-      scanResult = await scanPostcode(postcode, radius);
+      scanResult = await getScan(postcode, radius, { serviceType });
     } catch (err) {
       console.error("[WATCH] scanPostcode error:", err?.message || err);
       return res.json({
@@ -730,35 +1008,53 @@ async function handleCreateWatch(req, res) {
       });
     }
 
-        if (scanResult.acceptingCount > 0) {
-      const practices = scanResult.accepting || [];
+    // The drift hold is about the pages markupDrift.js fingerprints
+    const alertsHeld = radar.trackMarkupDrift && (await areAlertsHeld());
 
-      // 🔑 Build set of already-alerted practice keys for this watch
-      const already = new Set(
-        Array.isArray(watch.alertedVcodes) ? watch.alertedVcodes : []
+    if (scanResult.acceptingCount > 0 && alertsHeld) {
+      console.warn(
+        `[WATCH] Alerts held (NHS markup drift) – no signup acceptance email for ${email}.`
+      );
+    } else if (scanResult.acceptingCount > 0) {
+      const practices = await filterPracticesForWatch(
+        scanResult.accepting || [],
+        watch.filters
       );
 
-      // 🔎 Keep only practices this watch has NOT seen before
-      const freshPractices = practices.filter((p) => {
-        const key = practiceKey(p, postcode);
-        return !already.has(key);
-      });
+      // 🔎 Keep only practices this watch has NOT been told about, or that
+      // are accepting again (a reactivated watch keeps its memory)
+      const memory = watch.toObject();
+      const freshPractices = [];
+      for (const p of practices) {
+        const eligible = alertEligibility(memory, practiceKey(p, postcode, serviceType));
+        if (eligible === "again") freshPractices.push({ ...p, acceptingAgain: true });
+        else if (eligible) freshPractices.push(p);
+      }
 
       if (freshPractices.length === 0) {
         console.log(
           `[WATCH] Signup scan for ${email} – no NEW accepting practices (all already alerted previously).`
         );
+      } else if (isDigestWatch(memory)) {
+        // Digest chosen at signup: the first finds go in the first digest
+        const newKeys = freshPractices.map((p) => practiceKey(p, postcode, serviceType));
+        await queueDigestItems(memory, freshPractices, newKeys, { postcode, radius, serviceType }, {});
+        await rememberAlerted(memory, newKeys, new Date());
+        console.log(
+          `[WATCH] Queued ${freshPractices.length} signup practice(s) for ${email}'s ${memory.deliveryMode} digest.`
+        );
       } else {
         const { subject, html } = buildAcceptanceEmail(
           postcode,
           radius,
           freshPractices,
-          { manageUrl, unsubscribeUrl }
+          { manageUrl, unsubscribeUrl, serviceType }
         );
 
         await sendEmailHTML(email, subject, html, "alert", {
           postcode,
           radius,
+          serviceType,
           acceptingCount: freshPractices.length,
           watchId: watch._id,
           runMode: "signup",
@@ -770,7 +1066,7 @@ async function handleCreateWatch(req, res) {
 
         // 🧠 Persist newly-alerted vcodes/keys to this watch
         const newKeys = freshPractices.map((p) =>
-          practiceKey(p, postcode)
+          practiceKey(p, postcode, serviceType)
         );
 
         await Watch.findByIdAndUpdate(
@@ -779,6 +1075,9 @@ async function handleCreateWatch(req, res) {
             $addToSet: {
               alertedVcodes: { $each: newKeys },
             },
+            $set: {
+              practiceAlerts: nextPracticeAlerts(memory, { alerted: newKeys }),
+            },
           },
           { new: true }
         );
@@ -793,10 +1092,15 @@ async function handleCreateWatch(req, res) {
     return res.json({
       ok: true,
       message: "Alert created!",
+      serviceType,
       scanSummary: {
         acceptingCount: scanResult.acceptingCount,
         notAcceptingCount: scanResult.notAcceptingCount,
         scanned: scanResult.scanned,
+        pagesRead: scanResult.pagesRead,
+        truncated: scanResult.truncated,
+        cachedAt: scanResult.cachedAt,
+        degraded: scanResult.degraded,
       },
     });
   } catch (e) {
@@ -877,9 +1181,84 @@ app.delete("/api/watch/:id", async (req, res) => {
   }
 });
 
+/**
+ * Delivery preferences from my-alerts.html.
+ *   PATCH /api/watch/:id?email=…  { deliveryMode, digestHour, digestDay }
+ * Switching to a digest starts its clock now, so the first digest is the
+ * next slot rather than straight away.
+ */
+app.patch("/api/watch/:id", async (req, res) => {
+  try {
+    const email = normEmail(req.query.email || "");
+    if (!emailRe.test(email)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "invalid_email" });
+    }
+
+    const delivery = parseDelivery(req.body || {});
+    if (!delivery) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "invalid_delivery" });
+    }
+    const { deliveryMode, digestHour, digestDay } = delivery;
+
+    const watch = await Watch.findOne({ _id: req.params.id, email });
+    if (!watch) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "not_found" });
+    }
+
+    if (deliveryMode !== undefined) {
+      if (deliveryMode !== "instant" && watch.deliveryMode !== deliveryMode) {
+        watch.lastDigestAt = new Date();
+      }
+      watch.deliveryMode = deliveryMode;
+    }
+    if (digestHour !== undefined) watch.digestHour = digestHour;
+    if (digestDay !== undefined) watch.digestDay = digestDay;
+    await watch.save();
+
+    console.log(
+      `[WATCH] Delivery for ${watch._id} (${email}) → ${watch.deliveryMode}` +
+        (watch.deliveryMode === "instant" ? "" : ` at ${watch.digestHour}:00`)
+    );
+
+    return res.json({
+      ok: true,
+      id: String(watch._id),
+      deliveryMode: watch.deliveryMode,
+      digestHour: watch.digestHour,
+      digestDay: watch.digestDay,
+    });
+  } catch (e) {
+    console.error("watch delivery update error:", e?.message || e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "server_error" });
+  }
+});
+
 /* ---------------------------
    Manual Scan (for testing scanner only, no emails)
+   - Served from the scan cache; admins can force a live scan with
+     ?fresh=true&token=ADMIN_TOKEN
 --------------------------- */
+function isAdminRequest(req) {
+  const adminToken = process.env.ADMIN_TOKEN || "";
+  const token = req.query.token || (req.body && req.body.token) || "";
+  return !!adminToken && token === adminToken;
+}
+
+function wantsFreshScan(req) {
+  return (
+    String(req.query.fresh || "").toLowerCase() === "true" &&
+    isAdminRequest(req)
+  );
+}
+
 app.get("/api/scan", async (req, res) => {
   try {
     const { postcode, radius } = req.query;
@@ -887,24 +1266,34 @@ app.get("/api/scan", async (req, res) => {
       return res.status(400).json({ error: "postcode is required" });
     }
     const radiusMiles = Number(radius) || 5;
+    const serviceType = parseServiceType(req.query.radar ?? req.query.serviceType);
+    if (!serviceType) {
+      return res.status(400).json({ error: "unknown_radar", radars: radarIds() });
+    }
 
     const normalized = normalizePostcode(String(postcode));
     const region = detectUkRegion(normalized);
+    const regions = radarRegions(getRadar(serviceType));
 
-    if (region !== "ENGLAND") {
+    if (!regions.includes(region)) {
       return res.status(400).json({
         error: "unsupported_region",
         region,
-        message:
-          "DentistRadar test scan currently only supports England-based NHS postcodes.",
+        regions,
+        message: `${
+          serviceCopy(serviceType).brand
+        } test scan currently only supports NHS postcodes in ${listRegions(regions)}.`,
       });
     }
 
     console.log(
-      `🧪 /api/scan called for postcode="${normalized}", radius=${radiusMiles}`
+      `🧪 /api/scan called for postcode="${normalized}", radius=${radiusMiles}, radar=${serviceType}`
     );
 
-    const result = await scanPostcode(normalized, radiusMiles);
+    const result = await getScan(normalized, radiusMiles, {
+      bypass: wantsFreshScan(req),
+      serviceType,
+    });
     res.json(result);
   } catch (err) {
     console.error("Error in /api/scan:", err);
@@ -912,268 +1301,1469 @@ app.get("/api/scan", async (req, res) => {
   }
 });
 
+/* ---------------------------
+   Streaming Scan (Server-Sent Events)
+   - GET /api/scan/stream?postcode=&radius=&radar=  (same params as
+     /api/scan, rate-limited per IP – see SCAN_STREAM_RATE_MAX); radars
+     without a streamScanner (lib/radars) get a 400
+   - events: search → practice (one per practice, with fetchMs) → done
+     or error
+--------------------------- */
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+app.get("/api/scan/stream", rateLimitScanStream, async (req, res) => {
+  const { postcode, radius } = req.query;
+  if (!postcode) {
+    return res.status(400).json({ error: "postcode is required" });
+  }
+  const radiusMiles = Number(radius) || 5;
+  const serviceType = parseServiceType(req.query.radar ?? req.query.serviceType);
+  if (!serviceType) {
+    return res.status(400).json({ error: "unknown_radar", radars: radarIds() });
+  }
+  if (!canStreamScan(serviceType)) {
+    return res.status(400).json({ error: "streaming_unsupported", radar: serviceType });
+  }
+
+  const normalized = normalizePostcode(String(postcode));
+  const region = detectUkRegion(normalized);
+  const regions = radarRegions(getRadar(serviceType));
+
+  if (!regions.includes(region)) {
+    return res.status(400).json({ error: "unsupported_region", region, regions });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  const stream = streamScan(normalized, radiusMiles, {
+    bypass: wantsFreshScan(req),
+    serviceType,
+  });
+
+  try {
+    for await (const event of stream) {
+      if (closed) break;
+
+      if (event.type === "done") {
+        // structure tokens are for the drift detector, not the browser
+        const { markup, ...result } = event.result;
+        sseSend(res, "done", result);
+      } else {
+        const { type, ...data } = event;
+        sseSend(res, type, data);
+      }
+    }
+  } catch (err) {
+    console.error("Error in /api/scan/stream:", err?.message || err);
+    if (!closed) sseSend(res, "error", { error: "scan_failed", details: err?.message });
+  } finally {
+    clearInterval(heartbeat);
+    if (!closed) res.end();
+  }
+});
+
 /* ---------------------------
    Grouped Scans (Phase 2) – for cron + testing
+   - A run is a ScanRun document (models.js): planned up front, one entry
+     per (postcode, radius, radar) group, each checkpointed
+     pending → running → done | failed
+   - Groups near each other are merged into one wider scan
+     (lib/scan-planner.js, SCAN_CLUSTER_MAX_MILES; postcodes without
+     coordinates are scanned on their own); run.plan and the summary
+     report how many scans that saved and how many groups stayed
+     unclustered
+   - POST /api/admin/run-all-scans plans the run, answers with its runId
+     straight away and runAllScans works through it in the background
+   - GET /api/admin/scan-runs/:id polls progress
+   - On boot, a run left "running" by a restart is resumed from its first
+     unfinished group (an interrupted group is redone – the 12-hour and
+     alertedVcodes checks stop repeat emails). Only a run whose heartbeat
+     is older than SCAN_RUN_STALE_MINUTES is taken over, and it is claimed
+     atomically – a run another instance is still working is left alone
 --------------------------- */
 
+// 🔒 Daily cap for alert emails (cron + any alerts earlier in the day)
+const DAILY_EMAIL_LIMIT = 500;
+
+// Runs older than this are not resumed on boot (marked failed instead)
+const SCAN_RUN_RESUME_HOURS = Number(process.env.SCAN_RUN_RESUME_HOURS) || 12;
+
+// A working run's heartbeat; one silent for SCAN_RUN_STALE_MINUTES has
+// lost its worker
+const SCAN_RUN_HEARTBEAT_MS = 30 * 1000;
+const SCAN_RUN_STALE_MINUTES = Number(process.env.SCAN_RUN_STALE_MINUTES) || 5;
+
+// The run this process is working on, if any – one at a time
+let activeScanRun = null; // { runId, promise }
+
+function groupKeyFor(w) {
+  const pc = w.postcode;
+  const radius = w.radius || 5;
+  const serviceType = getRadar(w.serviceType) ? w.serviceType : DEFAULT_RADAR_ID;
+  const key =
+    serviceType === DEFAULT_RADAR_ID ? `${pc}::${radius}` : `${pc}::${radius}::${serviceType}`;
+  return { key, postcode: pc, radius, serviceType };
+}
+
 /**
- * Run grouped scans for all watches in DB.
- * - Groups by (postcode, radius)
- * - Calls scanPostcode once per group
- * - For each watch:
- *     - If dryRun: just record summary
- *     - Else: send acceptance email if:
- *         - acceptingCount > 0
- *         - no alert in last 12 hours for that email+postcode+radius
- *     - And daily alert emails do not exceed DAILY_EMAIL_LIMIT
+ * Plan a run: activate waitlisted watches whose region is now covered
+ * (jobs/waitlist-activation.js; waitlisted watches are never scanned),
+ * then group the active watches, cluster the groups and store the ScanRun.
  */
-async function runAllScans({ dryRun = false } = {}) {
-  const started = Date.now();
-  const watches = await Watch.find({ active: true }).lean();
-  const groups = new Map();
+async function createScanRun({ dryRun = false, fresh = false } = {}) {
+  // Regions switched on since last run – activate their waitlisted watches
+  // first so they're scanned below
+  let waitlist = null;
+  try {
+    waitlist = await runWaitlistActivation({ sendEmail: sendEmailHTML, dryRun });
+  } catch (e) {
+    console.error("[CRON] waitlist activation error:", e?.message || e);
+  }
+
+  const watches = (
+    await Watch.find({ active: true, status: { $ne: "waitlisted" } })
+      .select("_id postcode radius serviceType")
+      .lean()
+  )
+    // snapshot mode: the snapshot radar's England watches are alerted from
+    // status transitions (runTransitionAlerts), not live scans
+    .filter((w) => ALERT_MODE !== "snapshot" || !isSnapshotWatch(w));
+  const exact = new Map();
 
   for (const w of watches) {
-    const pc = w.postcode;
-    const radius = w.radius || 5;
-    const key = `${pc}::${radius}`;
-    if (!groups.has(key)) {
-      groups.set(key, { postcode: pc, radius, watches: [] });
-    }
-    groups.get(key).watches.push(w);
+    const g = groupKeyFor(w);
+    if (!exact.has(g.key)) exact.set(g.key, { ...g, watchIds: [] });
+    exact.get(g.key).watchIds.push(w._id);
   }
 
-  console.log(
-    `[CRON] runAllScans – ${watches.length} watches, ${groups.size} group(s). dryRun=${dryRun}`
-  );
-
-  // 🔒 Daily cap for alert emails (cron + any alerts earlier in the day)
-  const DAILY_EMAIL_LIMIT = 500;
-  const todayStart = new Date();
-  todayStart.setHours(0, 0, 0, 0);
+  const { groups, plan } = clusterScanGroups([...exact.values()], {
+    defaultServiceType: DEFAULT_RADAR_ID,
+  });
 
-  let emailsSentToday = await EmailLog.countDocuments({
-    type: "alert",
-    sentAt: { $gte: todayStart },
+  const run = await ScanRun.create({
+    dryRun,
+    fresh,
+    totalWatches: watches.length,
+    groups,
+    plan,
+    waitlist,
+    heartbeatAt: new Date(),
   });
 
   console.log(
-    `[CRON] Alert emails already sent today: ${emailsSentToday}/${DAILY_EMAIL_LIMIT}`
+    `[CRON] Scan run ${run._id} – ${watches.length} watches, ${plan.exactGroups} group(s) → ${plan.scans} scan(s) (${plan.scansSaved} saved by clustering, ${plan.unclustered} unclustered). dryRun=${dryRun}`
   );
 
-  let totalScans = 0;
-  let totalEmails = 0;
-  let totalSkippedRecent = 0;
+  return run;
+}
+
+/**
+ * Email one watch about the accepting practices near it, if:
+ *  - no alert in last 12 hours for that email+postcode+radius+service
+ *  - some practice passes its filters and is NEW for this watch, or is
+ *    accepting again after REALERT_AFTER_DAYS closed (lib/alert-state.js)
+ *  - daily alert emails do not exceed DAILY_EMAIL_LIMIT
+ * Daily / weekly digest watches (deliveryMode) skip the 12-hour check and
+ * the cap: their practices are queued as DigestItems for jobs/digest.js.
+ * group = { key, postcode, radius, serviceType, acceptingCount }; ctx
+ * carries dryRun, the running daily count and the EmailLog runMode.
+ * Returns { emailed, queued, skippedRecent, pending, result } (result for
+ * the run summary). pending = fresh practices that weren't sent (12-hour
+ * check, daily cap, throttled or failed send) – they're not remembered, so
+ * a later run alerts them.
+ */
+async function alertWatch(w, practices, group, ctx, profiles = null) {
+  const { key, postcode, radius, serviceType, acceptingCount } = group;
 
-  const results = [];
-  let anyAcceptingAcrossAllGroups = false;
+  const email = normEmail(w.email || "");
+  if (!emailRe.test(email)) return {};
 
-  for (const [key, group] of groups.entries()) {
-    const { postcode, radius, watches: groupWatches } = group;
-    totalScans++;
+  const digest = isDigestWatch(w);
 
-    console.log(
-      `[CRON] Scanning group ${key} – ${groupWatches.length} watch(es)`
+  // 1) Check last alert in last 12 hours for this email+postcode+radius+service
+  const lastAlert = digest ? null : await EmailLog.findOne({
+    to: email,
+    type: "alert",
+    "meta.postcode": postcode,
+    "meta.radius": radius,
+    "meta.serviceType": radarQuery(serviceType),
+  })
+    .sort({ sentAt: -1 })
+    .lean();
+
+  const now = Date.now();
+  const twelveHoursMs = 12 * 60 * 60 * 1000;
+  if (
+    lastAlert &&
+    lastAlert.sentAt &&
+    now - new Date(lastAlert.sentAt).getTime() < twelveHoursMs
+  ) {
+    return { skippedRecent: true, pending: true };
+  }
+
+  // 2) Per-watch memory: only practices NEW for this watch, or accepting
+  //    again after a long enough closure
+  const seenAt = new Date();
+  const keyOf = (p) => practiceKey(p, postcode, serviceType); // radar code/nhsUrl/name+postcode
+
+  // Accepting but not due an alert: a list that reopened before the
+  // re-alert period was up has to close for the whole period again
+  if (!ctx.dryRun) {
+    await saveAlertState(
+      w,
+      { reopened: practices.map(keyOf).filter((k) => !alertEligibility(w, k, seenAt)) },
+      seenAt
     );
+  }
 
-    let scan;
-    try {
-      scan = await scanPostcode(postcode, radius);
-    } catch (e) {
-      console.error(
-        `[CRON] scanPostcode error for ${key}:`,
-        e?.message || e
-      );
-      results.push({
+  // Watch filters come first: a practice the user can't use is never "fresh"
+  const candidates = await filterPracticesForWatch(
+    practices,
+    w.filters,
+    profiles
+  );
+  if (candidates.length === 0) {
+    return {
+      result: {
         key,
         postcode,
         radius,
-        error: e?.message || String(e),
-      });
-      continue;
-    }
+        email,
+        acceptingCount,
+        emailsSent: 0,
+        reason: "no_practices_match_filters",
+      },
+    };
+  }
 
-    const practices = scan.accepting || [];
-    const acceptingCount = practices.length;
+  const freshPractices = [];
+  for (const p of candidates) {
+    const eligible = alertEligibility(w, keyOf(p), seenAt);
+    if (eligible === "again") freshPractices.push({ ...p, acceptingAgain: true });
+    else if (eligible) freshPractices.push(p);
+  }
+  const againCount = freshPractices.filter((p) => p.acceptingAgain).length;
 
-    if (acceptingCount === 0) {
-      console.log(
-        `[CRON] No accepting practices for ${key} – skipping emails.`
-      );
-      results.push({
+  if (freshPractices.length === 0) {
+    return {
+      result: {
         key,
         postcode,
         radius,
-        watches: groupWatches.length,
+        email,
         acceptingCount,
         emailsSent: 0,
-        reason: "no_accepting",
-      });
-      continue;
-    }
-
-    anyAcceptingAcrossAllGroups = true;
-
-    for (const w of groupWatches) {
-      const email = normEmail(w.email || "");
-      if (!emailRe.test(email)) continue;
+        reason: "no_new_practices_for_watch",
+      },
+    };
+  }
 
-      // 1) Check last alert in last 12 hours for this email+postcode+radius
-      const lastAlert = await EmailLog.findOne({
-        to: email,
-        type: "alert",
-        "meta.postcode": postcode,
-        "meta.radius": radius,
-      })
-        .sort({ sentAt: -1 })
-        .lean();
+  if (ctx.dryRun) {
+    return {
+      result: {
+        key,
+        postcode,
+        radius,
+        email,
+        acceptingCount,
+        newCount: freshPractices.length,
+        againCount,
+        ...(digest ? { wouldQueue: w.deliveryMode } : { wouldSend: true }),
+      },
+    };
+  }
 
-      const now = Date.now();
-      const twelveHoursMs = 12 * 60 * 60 * 1000;
-      if (
-        lastAlert &&
-        lastAlert.sentAt &&
-        now - new Date(lastAlert.sentAt).getTime() < twelveHoursMs
-      ) {
-        totalSkippedRecent++;
-        continue;
-      }
+  const newKeys = freshPractices.map(keyOf);
 
-      // 2) Per-watch memory: only NEW practices for this watch
-      const already = new Set(
-        Array.isArray(w.alertedVcodes) ? w.alertedVcodes : []
-      );
+  // Digest watch: queue for jobs/digest.js instead of emailing now
+  if (digest) {
+    await queueDigestItems(w, freshPractices, newKeys, { postcode, radius, serviceType }, ctx);
+    await rememberAlerted(w, newKeys, seenAt);
+    console.log(
+      `[CRON] Queued ${freshPractices.length} practice(s) for ${email}'s ${w.deliveryMode} digest (${key})`
+    );
+    return {
+      queued: freshPractices.length,
+      result: {
+        key,
+        postcode,
+        radius,
+        email,
+        acceptingCount,
+        queued: freshPractices.length,
+        deliveryMode: w.deliveryMode,
+      },
+    };
+  }
+
+  // 3) Daily cap check – only after we know there IS something new to send
+  if (ctx.emailsSentToday >= DAILY_EMAIL_LIMIT) {
+    console.warn(
+      `[CRON] Daily alert email limit reached (${ctx.emailsSentToday}/${DAILY_EMAIL_LIMIT}). Skipping further sends.`
+    );
+    return {
+      pending: true,
+      result: {
+        key,
+        postcode,
+        radius,
+        email,
+        acceptingCount,
+        skipped: true,
+        reason: "daily_limit_reached",
+      },
+    };
+  }
+
+  const SITE =
+    process.env.PUBLIC_ORIGIN || "https://www.dentistradar.co.uk";
+
+  const manageUrl = `${SITE}/my-alerts.html?email=${encodeURIComponent(
+    email
+  )}`;
+  const unsubscribeUrl = `${SITE}/unsubscribe/${w._id}`;
+
+  const { subject, html } = buildAcceptanceEmail(
+    postcode,
+    radius,
+    freshPractices,
+    { manageUrl, unsubscribeUrl, serviceType }
+  );
+
+  const meta = {
+    postcode,
+    radius,
+    serviceType,
+    acceptingCount: freshPractices.length,
+    acceptingAgainCount: againCount,
+    watchId: w._id,
+    runMode: ctx.runMode || "cron",
+    ...(ctx.runId ? { scanRunId: ctx.runId } : {}),
+  };
+
+  const sent = await sendEmailHTML(email, subject, html, "alert", meta);
+  if (!sent?.ok) {
+    // Not remembered – the practices are still new for the next run
+    console.warn(
+      `[CRON] Alert to ${email} for ${key} not sent (${sent?.reason || sent?.status || sent?.error || "skipped"})`
+    );
+    return {
+      pending: true,
+      result: {
+        key,
+        postcode,
+        radius,
+        email,
+        acceptingCount,
+        emailsSent: 0,
+        reason: sent?.reason === "throttled" ? "throttled" : "send_failed",
+      },
+    };
+  }
+  ctx.emailsSentToday++;
+
+  console.log(
+    `[CRON] Sent acceptance alert to ${email} for ${key} with ${freshPractices.length} NEW practice(s)${
+      againCount ? ` (${againCount} accepting again)` : ""
+    }. (emailsSentToday=${ctx.emailsSentToday})`
+  );
+
+  // 4) 🧠 Update memory for this watch – mark these practices as alerted
+  await rememberAlerted(w, newKeys, seenAt);
+
+  return { emailed: true };
+}
+
+function isDigestWatch(w) {
+  return w.deliveryMode === "daily" || w.deliveryMode === "weekly";
+}
+
+// Mark practices as told to this watch (emailed, or queued for its digest)
+async function rememberAlerted(w, keys, at) {
+  const practiceAlerts = nextPracticeAlerts(w, { alerted: keys }, at);
+  w.practiceAlerts = practiceAlerts;
+
+  await Watch.findByIdAndUpdate(
+    w._id,
+    {
+      $addToSet: {
+        alertedVcodes: { $each: keys },
+      },
+      $set: { practiceAlerts },
+    },
+    { new: false }
+  );
+}
+
+// One DigestItem per watch + practice; a later match refreshes the entry
+async function queueDigestItems(w, practices, keys, { postcode, radius, serviceType }, ctx) {
+  await DigestItem.bulkWrite(
+    practices.map((p, i) => ({
+      updateOne: {
+        filter: { watchId: w._id, practiceKey: keys[i] },
+        update: {
+          $set: {
+            email: normEmail(w.email),
+            serviceType,
+            postcode,
+            radius,
+            practice: p,
+            acceptingAgain: !!p.acceptingAgain,
+            scanRunId: ctx.runId || null,
+          },
+          $setOnInsert: { queuedAt: new Date() },
+        },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+// Write a lib/alert-state.js change for one (lean) watch; w is updated in
+// place so later changes in the same run build on it
+async function saveAlertState(w, changes, at = new Date()) {
+  const practiceAlerts = nextPracticeAlerts(w, changes, at);
+  if (!practiceAlerts) return false;
+  w.practiceAlerts = practiceAlerts;
+  await Watch.updateOne({ _id: w._id }, { $set: { practiceAlerts } });
+  return true;
+}
+
+// Practices a scan saw not accepting: start the re-alert clock on the
+// watches that were told about them
+async function recordClosures(watches, notAccepting, serviceType) {
+  if (!notAccepting.length) return;
+  const at = new Date();
+  for (const w of watches) {
+    const closed = notAccepting.map((p) => practiceKey(p, w.postcode, serviceType));
+    await saveAlertState(w, { closed }, at);
+  }
+}
+
+/**
+ * Scan one group and email its watches.
+ * - Calls getScan once (fresh cache hit or live scan, never stale;
+ *   ctx.fresh bypasses the cache entirely)
+ * - If any practice is accepting, each watch goes through alertWatch
+ *   (dryRun: just record what would be sent); a cluster's watches each get
+ *   the practices within their own radius (practicesForWatch)
+ * - A cluster scan cut short by the page cap: watches it didn't cover are
+ *   scanned on their own (stats.fallbackScans)
+ * ctx carries the run-wide state (drift tracker, alert hold, daily count).
+ * Returns { state, stats, results, error }.
+ */
+async function scanGroup(group, groupWatches, ctx) {
+  const { key, postcode, radius, serviceType } = group;
+  const { dryRun } = ctx;
+  const radar = getRadar(serviceType) || radarFor();
+  const stats = {
+    emails: 0,
+    queued: 0,
+    skippedRecent: 0,
+    cacheHit: false,
+    degraded: false,
+    held: false,
+    accepting: 0,
+    fallbackScans: 0,
+  };
+  const results = [];
+
+  console.log(
+    `[CRON] Scanning ${
+      group.clustered ? `cluster ${key} (${group.exactGroups} groups)` : `group ${key}`
+    } – ${groupWatches.length} watch(es)`
+  );
+
+  let scan;
+  try {
+    // Alerts must not go out on stale data: fresh cache hit or live scan
+    scan = await getScan(postcode, radius, {
+      bypass: ctx.fresh,
+      allowStale: false,
+      serviceType,
+    });
+  } catch (e) {
+    console.error(
+      `[CRON] scanPostcode error for ${key}:`,
+      e?.message || e
+    );
+    results.push({
+      key,
+      postcode,
+      radius,
+      serviceType,
+      error: e?.message || String(e),
+    });
+    return { state: "failed", stats, results, error: e?.message || String(e) };
+  }
+
+  stats.cacheHit = scan.cache === "hit";
+
+  // Drift tracking only covers the pages markupDrift.js fingerprints
+  if (radar.trackMarkupDrift) {
+    trackScan(ctx.drift, scan);
+    ctx.driftVerdict = checkDrift(ctx.drift, ctx.driftState);
+    if (ctx.driftVerdict.drift && !ctx.alertsHeld) {
+      ctx.alertsHeld = true;
+      console.error(
+        `[CRON] NHS markup drift at group ${key} (${ctx.driftVerdict.reasons.join(", ")}) – holding alerts.`
+      );
+    }
+  }
+
+  // Couldn't see the NHS site properly – don't email off partial data
+  if (scan.degraded) {
+    stats.degraded = true;
+    console.warn(
+      `[CRON] Scan for ${key} degraded (${scan.degradedReason}) – skipping emails.`
+    );
+    results.push({
+      key,
+      postcode,
+      radius,
+      serviceType,
+      watches: groupWatches.length,
+      emailsSent: 0,
+      reason: "degraded",
+      degradedReason: scan.degradedReason,
+    });
+    return { state: "done", stats, results };
+  }
+
+  let watches = groupWatches;
+  if (group.clustered && scan.truncated) {
+    // How far the results got before the cap – they come nearest first
+    const seen = [...(scan.accepting || []), ...(scan.notAccepting || []), ...(scan.unknown || [])];
+    const coveredMiles = Math.max(
+      0,
+      ...seen.map((p) => (typeof p.distanceMiles === "number" ? p.distanceMiles : 0))
+    );
+    const uncovered = groupWatches.filter((w) => !coversWatch(postcode, coveredMiles, w));
+    if (uncovered.length) {
+      console.warn(
+        `[CRON] Cluster ${key} truncated at ${coveredMiles} mi – ${uncovered.length} watch(es) scanned on their own`
+      );
+      watches = groupWatches.filter((w) => !uncovered.includes(w));
+      await scanUncovered(uncovered, ctx, stats, results);
+    }
+  }
+
+  // Re-alert clock (lib/alert-state.js) – not off a dry run or a parser
+  // that may be misreading the pages
+  if (!dryRun && !(ctx.alertsHeld && radar.trackMarkupDrift)) {
+    await recordClosures(watches, scan.notAccepting || [], serviceType);
+  }
+
+  const practices = applyStaleClaimPolicy(scan.accepting || []);
+  const acceptingCount = practices.length;
+  const staleSkipped = (scan.accepting || []).length - acceptingCount;
+  stats.accepting += acceptingCount;
+
+  if (acceptingCount === 0) {
+    console.log(
+      `[CRON] No accepting practices for ${key} – skipping emails.`
+    );
+    results.push({
+      key,
+      postcode,
+      radius,
+      serviceType,
+      watches: watches.length,
+      acceptingCount,
+      staleSkipped,
+      cachedAt: scan.cachedAt,
+      emailsSent: 0,
+      reason: staleSkipped ? "only_stale_claims" : "no_accepting",
+    });
+    return { state: "done", stats, results };
+  }
+
+  // Parser may be misreading the NHS pages – don't email off it
+  if (ctx.alertsHeld && radar.trackMarkupDrift && !dryRun) {
+    stats.held = true;
+    results.push({
+      key,
+      postcode,
+      radius,
+      serviceType,
+      watches: watches.length,
+      acceptingCount,
+      cachedAt: scan.cachedAt,
+      emailsSent: 0,
+      reason: "alerts_held",
+    });
+    return { state: "done", stats, results };
+  }
+
+  // Facilities profiles, only if some watch in the group filters on them
+  let groupProfiles = null;
+  if (radar.supportsFilters && watches.some((w) => hasWatchFilters(w.filters))) {
+    try {
+      groupProfiles = await loadProfiles(practices);
+    } catch (e) {
+      console.error(`[CRON] profile load error for ${key}:`, e?.message || e);
+      groupProfiles = new Map();
+    }
+  }
+
+  for (const w of watches) {
+    // Cluster: the watch's own postcode, radius and distances
+    const own = group.clustered ? groupKeyFor(w) : { key, postcode, radius };
+    const ownPractices = group.clustered
+      ? applyStaleClaimPolicy(practicesForWatch(scan.accepting || [], postcode, w))
+      : practices;
+    if (ownPractices.length === 0) {
+      results.push({
+        key: own.key,
+        postcode: own.postcode,
+        radius: own.radius,
+        serviceType,
+        cluster: key,
+        email: w.email,
+        acceptingCount: 0,
+        emailsSent: 0,
+        reason: "no_accepting_in_radius",
+      });
+      continue;
+    }
+
+    const outcome = await alertWatch(
+      w,
+      ownPractices,
+      { ...own, serviceType, acceptingCount: ownPractices.length },
+      ctx,
+      groupProfiles
+    );
+    if (outcome.skippedRecent) stats.skippedRecent++;
+    if (outcome.emailed) stats.emails++;
+    if (outcome.queued) stats.queued += outcome.queued;
+    if (outcome.result) results.push(outcome.result);
+  }
+
+  return { state: "done", stats, results };
+}
+
+// Watches a truncated cluster scan didn't reach: back to one scan per
+// postcode::radius group, folded into the cluster's stats and results
+async function scanUncovered(watches, ctx, stats, results) {
+  const exact = new Map();
+  for (const w of watches) {
+    const g = groupKeyFor(w);
+    if (!exact.has(g.key)) exact.set(g.key, { ...g, watches: [] });
+    exact.get(g.key).watches.push(w);
+  }
+
+  for (const { watches: own, ...g } of exact.values()) {
+    const sub = await scanGroup({ ...g, clustered: false }, own, ctx);
+    stats.fallbackScans++;
+    stats.emails += sub.stats.emails;
+    stats.queued += sub.stats.queued;
+    stats.skippedRecent += sub.stats.skippedRecent;
+    stats.accepting += sub.stats.accepting;
+    results.push(...sub.results);
+  }
+}
+
+// Totals + summary from the checkpointed groups, so a resumed run reports
+// the whole run, not just the part after the restart
+function summarizeScanRun(run, extra = {}) {
+  const groups = run.groups || [];
+  const stat = (g, k) => (g.stats ? g.stats[k] : 0);
+  const count = (fn) => groups.filter(fn).length;
+
+  return {
+    runId: String(run._id),
+    status: run.status,
+    dryRun: run.dryRun,
+    fresh: run.fresh,
+    totalWatches: run.totalWatches,
+    groups: groups.length,
+    groupsDone: count((g) => g.state === "done"),
+    groupsFailed: count((g) => g.state === "failed"),
+    totalScans:
+      count((g) => g.state === "done" || g.state === "failed") +
+      groups.reduce((n, g) => n + (stat(g, "fallbackScans") || 0), 0),
+    // exact postcode::radius groups vs scans planned after clustering
+    scanPlan: run.plan || null,
+    totalEmails: groups.reduce((n, g) => n + (stat(g, "emails") || 0), 0),
+    // practices queued for daily / weekly digests (jobs/digest.js)
+    totalQueued: groups.reduce((n, g) => n + (stat(g, "queued") || 0), 0),
+    totalSkippedRecent: groups.reduce((n, g) => n + (stat(g, "skippedRecent") || 0), 0),
+    totalCacheHits: count((g) => stat(g, "cacheHit")),
+    totalDegraded: count((g) => stat(g, "degraded")),
+    totalHeld: count((g) => stat(g, "held")),
+    anyAcceptingAcrossAllGroups: groups.some((g) => stat(g, "accepting") > 0),
+    waitlist: run.waitlist,
+    staleClaims: { policy: STALE_CLAIM_POLICY, maxAgeDays: STALE_CLAIM_DAYS },
+    startedAt: run.startedAt,
+    resumes: run.resumes || 0,
+    tookMs: Date.now() - new Date(run.startedAt).getTime(),
+    ranAt: new Date(),
+    dailyLimit: DAILY_EMAIL_LIMIT,
+    results: [],
+    ...extra,
+  };
+}
+
+// Results of a run's groups (ScanRunResult), in plan order
+async function loadScanRunResults(run) {
+  const docs = await ScanRunResult.find({ runId: run._id }).select({ groupKey: 1, results: 1 }).lean();
+  const byKey = new Map(docs.map((d) => [d.groupKey, d.results || []]));
+  return (run.groups || []).flatMap((g) => byKey.get(g.key) || []);
+}
+
+/**
+ * Work through a ScanRun's pending groups (the background worker).
+ * Each group is claimed (pending → running) before it is scanned and
+ * checkpointed (done / failed, with its stats; results in ScanRunResult)
+ * after, so a restart loses at most the group in flight. heartbeatAt moves
+ * on every SCAN_RUN_HEARTBEAT_MS while it works.
+ */
+async function runAllScans(runId) {
+  const run = await ScanRun.findById(runId).lean();
+  if (!run || run.status !== "running") return null;
+
+  const todayStart = new Date();
+  todayStart.setHours(0, 0, 0, 0);
+
+  const ctx = {
+    runId: String(run._id),
+    dryRun: run.dryRun,
+    fresh: run.fresh,
+    // Counted afresh on every (re)start – emails from before a restart are
+    // already in EmailLog
+    emailsSentToday: await EmailLog.countDocuments({
+      type: "alert",
+      sentAt: { $gte: todayStart },
+    }),
+    // Markup drift: alerts may already be held from an earlier run; if this
+    // run drifts mid-way, the remaining groups are held too. The tracker
+    // only sees the groups scanned since the last (re)start.
+    drift: createDriftTracker(),
+    driftState: null,
+    alertsHeld: false,
+    driftVerdict: null,
+  };
+
+  console.log(
+    `[CRON] Alert emails already sent today: ${ctx.emailsSentToday}/${DAILY_EMAIL_LIMIT}`
+  );
+
+  try {
+    ctx.driftState = await loadDriftState();
+  } catch (e) {
+    console.error("[DRIFT] state load error:", e?.message || e);
+  }
+  ctx.alertsHeld = !!ctx.driftState?.alertsHeld;
+  if (ctx.alertsHeld) {
+    console.warn(
+      `[CRON] Alert emails HELD since ${ctx.driftState.heldAt} (${(ctx.driftState.heldReasons || []).join(", ")})`
+    );
+  }
+
+  // Classify each V-code at most once across all groups in this run
+  beginPracticeCacheRun();
+
+  const heartbeat = setInterval(() => {
+    ScanRun.updateOne(
+      { _id: run._id, status: "running" },
+      { $set: { heartbeatAt: new Date() } }
+    ).catch((e) => console.error("[CRON] heartbeat error:", e?.message || e));
+  }, SCAN_RUN_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  let practiceCache;
+  try {
+    for (const group of run.groups) {
+      if (group.state !== "pending") continue;
+
+      const claimed = await ScanRun.updateOne(
+        {
+          _id: run._id,
+          status: "running",
+          groups: { $elemMatch: { key: group.key, state: "pending" } },
+        },
+        {
+          $set: {
+            "groups.$.state": "running",
+            "groups.$.startedAt": new Date(),
+            heartbeatAt: new Date(),
+          },
+          $inc: { "groups.$.attempts": 1 },
+        }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const groupWatches = await Watch.find({
+        _id: { $in: group.watchIds },
+        active: true,
+        status: { $ne: "waitlisted" },
+      }).lean();
+
+      let outcome;
+      try {
+        outcome = await scanGroup(group, groupWatches, ctx);
+      } catch (e) {
+        console.error(`[CRON] group ${group.key} failed:`, e?.message || e);
+        outcome = {
+          state: "failed",
+          stats: null,
+          results: [{ key: group.key, error: e?.message || String(e) }],
+          error: e?.message || String(e),
+        };
+      }
+
+      await ScanRunResult.updateOne(
+        { runId: run._id, groupKey: group.key },
+        { $set: { results: outcome.results } },
+        { upsert: true }
+      );
+      await ScanRun.updateOne(
+        { _id: run._id, "groups.key": group.key },
+        {
+          $set: {
+            "groups.$.state": outcome.state,
+            "groups.$.finishedAt": new Date(),
+            "groups.$.stats": outcome.stats,
+            "groups.$.error": outcome.error || null,
+            heartbeatAt: new Date(),
+          },
+        }
+      );
+    }
+  } finally {
+    clearInterval(heartbeat);
+    practiceCache = endPracticeCacheRun();
+  }
+
+  console.log(
+    `[CRON] Practice cache: ${practiceCache.hits}/${practiceCache.lookups} hits (${(
+      practiceCache.hitRate * 100
+    ).toFixed(1)}%) – ${practiceCache.hits} appointments fetch(es) saved`
+  );
+
+  const { driftVerdict } = ctx;
+  if (driftVerdict && !ctx.dryRun) {
+    try {
+      const { newlyHeld } = await recordDriftCheck(driftVerdict, { source: "cron" });
+      if (newlyHeld) await notifyAdminOfDrift(driftVerdict, "runAllScans");
+    } catch (e) {
+      console.error("[DRIFT] record error:", e?.message || e);
+    }
+  }
+
+  const finished = await ScanRun.findById(run._id).lean();
+  const summary = summarizeScanRun(
+    { ...finished, status: "done" },
+    {
+      alertsHeld: ctx.alertsHeld,
+      markupDrift: driftVerdict
+        ? {
+            drift: driftVerdict.drift,
+            reasons: driftVerdict.reasons,
+            metrics: driftVerdict.metrics,
+            similarity: driftVerdict.similarity,
+          }
+        : null,
+      practiceCache,
+      emailsSentTodayEnd: ctx.emailsSentToday,
+      results: await loadScanRunResults(finished),
+    }
+  );
+
+  if (
+    !summary.anyAcceptingAcrossAllGroups &&
+    summary.totalWatches > 0 &&
+    summary.totalDegraded < summary.groups
+  ) {
+    console.warn(
+      "[ALERT] runAllScans found ZERO accepting practices across all groups. " +
+        "This might indicate an NHS wording/HTML change or a parsing bug."
+    );
+  }
+
+  // results already live in ScanRunResult
+  const { results, ...stored } = summary;
+  await ScanRun.updateOne(
+    { _id: run._id },
+    { $set: { status: "done", finishedAt: new Date(), summary: stored } }
+  );
+
+  console.log(
+    `[CRON] Scan run ${run._id} done – ${summary.totalScans} scan(s), ${summary.totalEmails} email(s), ${summary.groupsFailed} failed group(s)`
+  );
+
+  lastCronRun = summary;
+
+  return summary;
+}
+
+// Run the worker in the background; one run per process at a time
+function startScanWorker(runId) {
+  if (activeScanRun) return activeScanRun;
+
+  const promise = runAllScans(runId)
+    .catch(async (e) => {
+      console.error(`[CRON] Scan run ${runId} crashed:`, e?.message || e);
+      await ScanRun.updateOne(
+        { _id: runId },
+        { $set: { status: "failed", finishedAt: new Date(), error: e?.message || String(e) } }
+      ).catch(() => {});
+    })
+    .finally(() => {
+      activeScanRun = null;
+    });
+
+  activeScanRun = { runId: String(runId), promise };
+  return activeScanRun;
+}
+
+/**
+ * Pick up a run whose worker has gone – on boot, or when a new run is
+ * asked for. Only runs with no heartbeat for SCAN_RUN_STALE_MINUTES count
+ * (another instance may still be working the rest); the run is claimed
+ * with one findOneAndUpdate so two instances can't both take it. Groups
+ * caught mid-scan go back to pending; stale runs older than
+ * SCAN_RUN_RESUME_HOURS are given up.
+ */
+async function resumeScanRuns() {
+  if (activeScanRun) return null;
+
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - SCAN_RUN_RESUME_HOURS * 60 * 60 * 1000);
+  const stale = {
+    $or: [
+      { heartbeatAt: { $lt: new Date(now.getTime() - SCAN_RUN_STALE_MINUTES * 60 * 1000) } },
+      { heartbeatAt: null },
+    ],
+  };
+
+  const abandoned = await ScanRun.updateMany(
+    { status: "running", startedAt: { $lt: cutoff }, ...stale },
+    { $set: { status: "failed", finishedAt: now, error: "abandoned" } }
+  );
+  if (abandoned.modifiedCount) {
+    console.warn(`[CRON] Gave up on ${abandoned.modifiedCount} scan run(s) older than ${SCAN_RUN_RESUME_HOURS}h`);
+  }
+
+  // The heartbeat moves on with the claim, so no other instance sees the
+  // run as stale until this one goes quiet too
+  const run = await ScanRun.findOneAndUpdate(
+    { status: "running", ...stale },
+    {
+      $set: { "groups.$[g].state": "pending", resumedAt: now, heartbeatAt: now },
+      $inc: { resumes: 1 },
+    },
+    { sort: { startedAt: 1 }, arrayFilters: [{ "g.state": "running" }], new: true }
+  )
+    .select("-groups.watchIds")
+    .lean();
+  if (!run) return null;
+
+  const left = run.groups.filter((g) => g.state === "pending").length;
+  console.log(`[CRON] Resuming scan run ${run._id} – ${left}/${run.groups.length} group(s) left`);
+
+  return startScanWorker(run._id);
+}
+
+// Progress view of a run for the admin routes
+function scanRunProgress(run, { results = null } = {}) {
+  const groups = run.groups || [];
+  const byState = { pending: 0, running: 0, done: 0, failed: 0 };
+  for (const g of groups) byState[g.state] = (byState[g.state] || 0) + 1;
+  const finished = byState.done + byState.failed;
+
+  return {
+    runId: String(run._id),
+    status: run.status,
+    dryRun: run.dryRun,
+    fresh: run.fresh,
+    totalWatches: run.totalWatches,
+    groups: groups.length,
+    plan: run.plan || null,
+    ...byState,
+    percent: groups.length ? Math.round((finished / groups.length) * 100) : 100,
+    current: groups.filter((g) => g.state === "running").map((g) => g.key),
+    failedGroups: groups
+      .filter((g) => g.state === "failed")
+      .map((g) => ({ key: g.key, error: g.error, attempts: g.attempts })),
+    startedAt: run.startedAt,
+    heartbeatAt: run.heartbeatAt,
+    finishedAt: run.finishedAt,
+    resumes: run.resumes || 0,
+    error: run.error,
+    summary: run.summary,
+    ...(results ? { results } : {}),
+  };
+}
+
+/**
+ * Admin endpoint to trigger grouped scans. Plans the run and returns its
+ * runId at once; poll GET /api/admin/scan-runs/:runId for progress.
+ * If a run is already going, its runId comes back instead.
+ * Use:
+ *   POST /api/admin/run-all-scans?token=ADMIN_TOKEN&dryRun=true
+ */
+app.post("/api/admin/run-all-scans", async (req, res) => {
+  try {
+    const token =
+      req.query.token || (req.body && req.body.token) || "";
+    const adminToken = process.env.ADMIN_TOKEN || "";
+
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    const dryRunParam =
+      req.query.dryRun ||
+      (req.body && req.body.dryRun && String(req.body.dryRun));
+    const dryRun = String(dryRunParam).toLowerCase() === "true";
+    const fresh =
+      String(req.query.fresh || (req.body && req.body.fresh) || "")
+        .toLowerCase() === "true";
+
+    // A run whose worker died is taken over rather than blocking new runs
+    const running =
+      activeScanRun ||
+      (await resumeScanRuns()) ||
+      (await ScanRun.findOne({ status: "running" }).select("_id").lean());
+    if (running) {
+      const runId = String(running.runId || running._id);
+      return res.status(202).json({ ok: true, alreadyRunning: true, runId });
+    }
+
+    const run = await createScanRun({ dryRun, fresh });
+    startScanWorker(run._id);
+
+    return res.status(202).json({
+      ok: true,
+      runId: String(run._id),
+      dryRun,
+      fresh,
+      groups: run.groups.length,
+      plan: run.plan,
+      totalWatches: run.totalWatches,
+      progressUrl: `/api/admin/scan-runs/${run._id}`,
+    });
+  } catch (e) {
+    console.error("run-all-scans error:", e?.message || e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "server_error" });
+  }
+});
+
+/**
+ * Scan run progress.
+ *   GET /api/admin/scan-runs?token=ADMIN_TOKEN            recent runs
+ *   GET /api/admin/scan-runs/:runId?token=…&results=true  one run
+ */
+app.get("/api/admin/scan-runs", async (req, res) => {
+  try {
+    const adminToken = process.env.ADMIN_TOKEN || "";
+    const token = req.query.token || "";
+
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const runs = await ScanRun.find()
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .select("-groups.watchIds")
+      .lean();
+
+    return res.json({ ok: true, runs: runs.map((r) => scanRunProgress(r)) });
+  } catch (e) {
+    console.error("scan-runs error:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+app.get("/api/admin/scan-runs/:id", async (req, res) => {
+  try {
+    const adminToken = process.env.ADMIN_TOKEN || "";
+    const token = req.query.token || "";
+
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, error: "not_found" });
+    }
+
+    const withResults = String(req.query.results || "").toLowerCase() === "true";
+    const run = await ScanRun.findById(req.params.id).select("-groups.watchIds").lean();
+    if (!run) {
+      return res.status(404).json({ ok: false, error: "not_found" });
+    }
+
+    const results = withResults ? await loadScanRunResults(run) : null;
+    return res.json({ ok: true, run: scanRunProgress(run, { results }) });
+  } catch (e) {
+    console.error("scan-runs/:id error:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+/* ---------------------------
+   Transition alerts (ALERT_MODE=snapshot)
+   - jobs/nhs-snapshot.js records each practice's previousStatus on its
+     PracticeStatusEvent; a not_accepting → accepting event is a practice
+     that has just opened up
+   - runTransitionAlerts matches those practices to active watches by
+     distance (lib/postcode-geo.js, watch postcode → practice postcode)
+     and emails through alertWatch, so NHS load no longer grows with the
+     number of watch groups
+   - accepting → not_accepting events start the re-alert clock
+     (lib/alert-state.js) on watches that were told about the practice
+   - With ALERT_MODE=snapshot, runAllScans leaves the snapshot radar's
+     England watches to this (other radars and Wales, Scotland and NI are
+     still scanned live). jobs/cron-runner.js calls
+     POST /api/admin/run-transition-alerts after each snapshot batch
+   - Matching needs coordinates: without the postcode table the server boots
+     in scan mode and the endpoint refuses to run
+--------------------------- */
+
+// Set back to "scan" at boot when there's no postcode table (app.listen)
+let ALERT_MODE = (process.env.ALERT_MODE || "scan").toLowerCase();
+
+// The radar jobs/nhs-snapshot.js snapshots
+const SNAPSHOT_RADAR_ID = DEFAULT_RADAR_ID;
+
+// Watches the snapshot covers: the snapshot radar (no serviceType = the
+// default radar) in England – nhs.uk doesn't list Welsh, Scottish or NI
+// practices
+function isSnapshotWatch(w) {
+  const radarId = getRadar(w.serviceType) ? w.serviceType : DEFAULT_RADAR_ID;
+  return radarId === SNAPSHOT_RADAR_ID && detectUkRegion(w.postcode) === "ENGLAND";
+}
+
+// Transitions older than this are dropped, not alerted (e.g. on switching
+// the mode on over an old event history)
+const TRANSITION_MAX_AGE_HOURS = Number(process.env.TRANSITION_MAX_AGE_HOURS) || 48;
+
+/**
+ * Alert watches about practices that went not_accepting → accepting since
+ * the last call, and record the ones that closed. An opening is marked
+ * notifiedAt once every nearby watch has been emailed, had it queued or
+ * had nothing new; a practice a watch couldn't be sent yet (12-hour check,
+ * daily cap, throttled or failed send) or that has no coordinates stays
+ * un-notified and is retried until TRANSITION_MAX_AGE_HOURS. Nothing is
+ * marked on a dryRun, or while alerts are held for markup drift (they
+ * wait for the release).
+ */
+async function runTransitionAlerts({ dryRun = false } = {}) {
+  const started = Date.now();
+  const radar = getRadar(SNAPSHOT_RADAR_ID);
+  const cutoff = new Date(Date.now() - TRANSITION_MAX_AGE_HOURS * 60 * 60 * 1000);
+
+  const events = await PracticeStatusEvent.find({
+    radar: radarQuery(radar.id),
+    ok: true,
+    status: "accepting",
+    previousStatus: "not_accepting",
+    notifiedAt: null,
+    checkedAt: { $gte: cutoff },
+  })
+    .select({ _id: 1, code: 1 })
+    .lean();
+
+  // Closures of any age are still true – no cutoff
+  const closures = await PracticeStatusEvent.find({
+    radar: radarQuery(radar.id),
+    ok: true,
+    status: "not_accepting",
+    previousStatus: "accepting",
+    notifiedAt: null,
+  })
+    .select({ _id: 1, code: 1, checkedAt: 1 })
+    .sort({ checkedAt: 1 })
+    .lean();
+
+  const summary = {
+    mode: "snapshot",
+    dryRun,
+    transitions: events.length,
+    closures: closures.length,
+    closuresRecorded: 0,
+    practices: 0,
+    stillAccepting: 0,
+    noCoordinates: 0,
+    pending: 0,
+    watches: 0,
+    watchesNoCoordinates: 0,
+    watchesMatched: 0,
+    totalEmails: 0,
+    totalQueued: 0,
+    totalSkippedRecent: 0,
+    alertsHeld: false,
+    results: [],
+  };
+  if (!events.length && !closures.length) return { ...summary, tookMs: Date.now() - started };
+
+  // Parser may be misreading the NHS pages – leave the events for later
+  if (radar.trackMarkupDrift && !dryRun && (await areAlertsHeld())) {
+    console.warn(
+      `[ALERTS] ${events.length + closures.length} transition(s) waiting – alert emails held (markup drift)`
+    );
+    return { ...summary, alertsHeld: true, tookMs: Date.now() - started };
+  }
+
+  // Re-alert clock: latest closure of each practice, on watches told about
+  // it. A practice seen accepting after that closure is open again (the
+  // transitions below deal with it); one that reopened after a watch's
+  // clock started has its clock restarted (lib/alert-state.js closureChange)
+  if (closures.length && !dryRun) {
+    const closureCodes = [...new Set(closures.map((e) => e.code))];
+    const lastOpen = new Map(
+      (
+        await PracticeStatusEvent.aggregate([
+          {
+            $match: {
+              radar: radarQuery(radar.id),
+              code: { $in: closureCodes },
+              ok: true,
+              status: "accepting",
+            },
+          },
+          { $group: { _id: "$code", at: { $max: "$checkedAt" } } },
+        ])
+      ).map((r) => [r._id, r.at])
+    );
 
-      const freshPractices = practices.filter((p) => {
-        const k = practiceKey(p, postcode); // uses vcode/nhsUrl/name+postcode
-        return !already.has(k);
-      });
+    const closedAt = new Map(); // key -> { at, lastOpenAt }
+    for (const e of closures) {
+      const lastOpenAt = lastOpen.get(e.code) || null;
+      if (lastOpenAt && lastOpenAt > e.checkedAt) continue;
+      // oldest first, so the latest closure wins
+      closedAt.set(practiceKey({ vcode: e.code }, null, radar.id), { at: e.checkedAt, lastOpenAt });
+    }
+    const keys = [...closedAt.keys()];
+    const told = await Watch.find({
+      serviceType: radarQuery(radar.id),
+      $or: [{ "practiceAlerts.key": { $in: keys } }, { alertedVcodes: { $in: keys } }],
+    })
+      .select({ _id: 1, alertedVcodes: 1, practiceAlerts: 1 })
+      .lean();
 
-      if (freshPractices.length === 0) {
-        results.push({
-          key,
-          postcode,
-          radius,
-          email,
-          acceptingCount,
-          emailsSent: 0,
-          reason: "no_new_practices_for_watch",
-        });
-        continue;
+    for (const w of told) {
+      for (const [key, { at, lastOpenAt }] of closedAt) {
+        const change = closureChange(w, key, lastOpenAt);
+        if (await saveAlertState(w, { [change]: [key] }, at)) summary.closuresRecorded++;
       }
+    }
 
-      if (dryRun) {
-        results.push({
-          key,
-          postcode,
-          radius,
-          email,
-          acceptingCount,
-          newCount: freshPractices.length,
-          wouldSend: true,
-        });
-        continue;
-      }
+    await PracticeStatusEvent.updateMany(
+      { _id: { $in: closures.map((e) => e._id) } },
+      { $set: { notifiedAt: new Date() } }
+    );
+  }
+  if (!events.length) return { ...summary, tookMs: Date.now() - started };
+
+  // Current state, not the event: a practice may have closed again since
+  const codes = [...new Set(events.map((e) => e.code))];
+  summary.practices = codes.length;
+  const [latest, vcodes] = await Promise.all([
+    PracticeStatusLatest.find({ code: { $in: codes }, status: "accepting" }).lean(),
+    PracticeVcode.find({ vcode: { $in: codes } }).select({ vcode: 1, address: 1 }).lean(),
+  ]);
+  const addressOf = new Map(vcodes.map((v) => [v.vcode, v.address]));
+  summary.stillAccepting = latest.length;
+
+  // Codes whose events stay un-notified (retried next call)
+  const pendingCodes = new Set();
+
+  const practices = [];
+  for (const l of latest) {
+    const at = lookupPostcode(l.postcode);
+    if (!at) {
+      summary.noCoordinates++;
+      pendingCodes.add(l.code);
+      console.warn(`[ALERTS] No coordinates for ${l.code} (${l.postcode || "no postcode"}) – skipped`);
+      continue;
+    }
+    practices.push({
+      vcode: l.code,
+      name: l.name,
+      address: addressOf.get(l.code) || l.postcode,
+      postcode: l.postcode,
+      nhsUrl: l.nhsUrl,
+      evidenceUrl: l.nhsUrl,
+      status: "accepting",
+      acceptance: l.acceptance,
+      statusEvidence: l.statusEvidence,
+      lastUpdated: l.nhsLastUpdated,
+      staleClaim: isStaleClaim(l.nhsLastUpdated),
+      at,
+    });
+  }
 
-      // 3) Daily cap check – only after we know there IS something new to send
-      if (emailsSentToday >= DAILY_EMAIL_LIMIT) {
-        console.warn(
-          `[CRON] Daily alert email limit reached (${emailsSentToday}/${DAILY_EMAIL_LIMIT}). Skipping further sends.`
-        );
-        results.push({
-          key,
-          postcode,
-          radius,
-          email,
-          acceptingCount,
-          skipped: true,
-          reason: "daily_limit_reached",
-        });
-        continue;
-      }
+  // The snapshot covers England (nhs.uk); other regions' watches are
+  // scanned live (createScanRun)
+  const watches = (
+    await Watch.find({
+      active: true,
+      status: { $ne: "waitlisted" },
+      serviceType: radarQuery(radar.id),
+    }).lean()
+  ).filter(isSnapshotWatch);
+  summary.watches = watches.length;
 
-      const SITE =
-        process.env.PUBLIC_ORIGIN || "https://www.dentistradar.co.uk";
+  const todayStart = new Date();
+  todayStart.setHours(0, 0, 0, 0);
+  const ctx = {
+    dryRun,
+    runMode: "snapshot",
+    emailsSentToday: await EmailLog.countDocuments({
+      type: "alert",
+      sentAt: { $gte: todayStart },
+    }),
+  };
 
-      const manageUrl = `${SITE}/my-alerts.html?email=${encodeURIComponent(
-        email
-      )}`;
-      const unsubscribeUrl = `${SITE}/unsubscribe/${w._id}`;
+  for (const w of watches) {
+    const origin = lookupPostcode(w.postcode);
+    if (!origin) {
+      summary.watchesNoCoordinates++;
+      continue;
+    }
+    const radius = w.radius || 5;
 
-      const { subject, html } = buildAcceptanceEmail(
-        postcode,
+    const near = practices
+      .map((p) => ({ ...p, distanceMiles: Math.round(haversineMiles(origin, p.at) * 10) / 10 }))
+      .filter((p) => p.distanceMiles <= radius)
+      .sort(byDistance)
+      .map(({ at, ...p }) => p);
+    if (!near.length) continue;
+
+    summary.watchesMatched++;
+    const matched = applyStaleClaimPolicy(near);
+    const outcome = await alertWatch(
+      w,
+      matched,
+      {
+        key: `${w.postcode}::${radius}`,
+        postcode: w.postcode,
         radius,
-        freshPractices,
-        { manageUrl, unsubscribeUrl }
-      );
+        serviceType: radar.id,
+        acceptingCount: matched.length,
+      },
+      ctx
+    );
+    if (outcome.skippedRecent) summary.totalSkippedRecent++;
+    if (outcome.emailed) summary.totalEmails++;
+    if (outcome.queued) summary.totalQueued += outcome.queued;
+    if (outcome.pending) matched.forEach((p) => pendingCodes.add(p.vcode));
+    if (outcome.result) summary.results.push(outcome.result);
+  }
 
-      const meta = {
-        postcode,
-        radius,
-        acceptingCount: freshPractices.length,
-        watchId: w._id,
-        runMode: "cron",
-      };
+  summary.pending = pendingCodes.size;
+  if (!dryRun) {
+    const handled = events.filter((e) => !pendingCodes.has(e.code));
+    await PracticeStatusEvent.updateMany(
+      { _id: { $in: handled.map((e) => e._id) } },
+      { $set: { notifiedAt: new Date() } }
+    );
+  }
 
-      await sendEmailHTML(email, subject, html, "alert", meta);
-      totalEmails++;
-      emailsSentToday++;
+  console.log(
+    `[ALERTS] ${events.length} transition(s), ${closures.length} closure(s), ${practices.length} practice(s) located, ` +
+      `${summary.watchesMatched}/${watches.length} watch(es) nearby, ${summary.totalEmails} email(s), ` +
+      `${summary.pending} practice(s) left for the next call. dryRun=${dryRun}`
+  );
 
-      console.log(
-        `[CRON] Sent acceptance alert to ${email} for ${key} with ${freshPractices.length} NEW practice(s). (emailsSentToday=${emailsSentToday})`
-      );
+  return { ...summary, emailsSentTodayEnd: ctx.emailsSentToday, tookMs: Date.now() - started };
+}
 
-      // 4) 🧠 Update memory for this watch – mark these practices as alerted
-      const newKeys = freshPractices.map((p) =>
-        practiceKey(p, postcode)
-      );
+/**
+ * Admin endpoint for transition alerts (ALERT_MODE=snapshot).
+ * Use:
+ *   POST /api/admin/run-transition-alerts?token=ADMIN_TOKEN&dryRun=true
+ */
+app.post("/api/admin/run-transition-alerts", async (req, res) => {
+  try {
+    const token =
+      req.query.token || (req.body && req.body.token) || "";
+    const adminToken = process.env.ADMIN_TOKEN || "";
 
-      await Watch.findByIdAndUpdate(
-        w._id,
-        {
-          $addToSet: {
-            alertedVcodes: { $each: newKeys },
-          },
-        },
-        { new: false }
-      );
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
     }
-  }
 
-  const tookMs = Date.now() - started;
+    const dryRun =
+      String(req.query.dryRun || (req.body && req.body.dryRun) || "")
+        .toLowerCase() === "true";
 
-  if (!anyAcceptingAcrossAllGroups && watches.length > 0) {
-    console.warn(
-      "[ALERT] runAllScans found ZERO accepting practices across all groups. " +
-        "This might indicate an NHS wording/HTML change or a parsing bug."
-    );
+    // Every practice would be "no coordinates" and never alerted
+    if (!hasPostcodeTable()) {
+      return res.status(503).json({ ok: false, error: "no_postcode_table" });
+    }
+
+    const summary = await runTransitionAlerts({ dryRun });
+
+    return res.json({ ok: true, alertMode: ALERT_MODE, summary });
+  } catch (e) {
+    console.error("run-transition-alerts error:", e?.message || e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "server_error" });
   }
+});
 
-  const summary = {
-    totalWatches: watches.length,
-    groups: groups.size,
-    totalScans,
-    totalEmails,
-    totalSkippedRecent,
-    tookMs,
-    ranAt: new Date(),
-    anyAcceptingAcrossAllGroups,
-    emailsSentTodayEnd: emailsSentToday,
-    dailyLimit: DAILY_EMAIL_LIMIT,
-    results,
-  };
+/**
+ * Send the daily / weekly digests that are due (jobs/digest.js). Meant to
+ * run hourly – cron.digests.js.
+ * Use:
+ *   POST /api/admin/run-digests?token=ADMIN_TOKEN&dryRun=true
+ */
+app.post("/api/admin/run-digests", async (req, res) => {
+  try {
+    const token =
+      req.query.token || (req.body && req.body.token) || "";
+    const adminToken = process.env.ADMIN_TOKEN || "";
 
-  lastCronRun = summary;
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
 
-  return summary;
-}
+    const dryRun =
+      String(req.query.dryRun || (req.body && req.body.dryRun) || "")
+        .toLowerCase() === "true";
+
+    const summary = await runDigests({ sendEmail: sendEmailHTML, dryRun });
 
+    return res.json({ ok: true, summary });
+  } catch (e) {
+    console.error("run-digests error:", e?.message || e);
+    return res
+      .status(500)
+      .json({ ok: false, error: "server_error" });
+  }
+});
 
 /**
- * Admin endpoint to trigger grouped scans.
+ * Activate waitlisted watches whose region is now covered, without a scan.
  * Use:
- *   POST /api/admin/run-all-scans?token=ADMIN_TOKEN&dryRun=true
+ *   POST /api/admin/waitlist/activate?token=ADMIN_TOKEN&dryRun=true
  */
-app.post("/api/admin/run-all-scans", async (req, res) => {
+app.post("/api/admin/waitlist/activate", async (req, res) => {
   try {
     const token =
       req.query.token || (req.body && req.body.token) || "";
@@ -1183,16 +2773,15 @@ app.post("/api/admin/run-all-scans", async (req, res) => {
       return res.status(403).json({ ok: false, error: "forbidden" });
     }
 
-    const dryRunParam =
-      req.query.dryRun ||
-      (req.body && req.body.dryRun && String(req.body.dryRun));
-    const dryRun = String(dryRunParam).toLowerCase() === "true";
+    const dryRun =
+      String(req.query.dryRun || (req.body && req.body.dryRun) || "")
+        .toLowerCase() === "true";
 
-    const summary = await runAllScans({ dryRun });
+    const summary = await runWaitlistActivation({ sendEmail: sendEmailHTML, dryRun });
 
-    return res.json({ ok: true, dryRun, summary });
+    return res.json({ ok: true, ...summary });
   } catch (e) {
-    console.error("run-all-scans error:", e?.message || e);
+    console.error("waitlist/activate error:", e?.message || e);
     return res
       .status(500)
       .json({ ok: false, error: "server_error" });
@@ -1202,7 +2791,7 @@ app.post("/api/admin/run-all-scans", async (req, res) => {
 /* ---------------------------
    Admin: Cron heartbeat / status
 --------------------------- */
-app.get("/api/admin/cron-status", (req, res) => {
+app.get("/api/admin/cron-status", async (req, res) => {
   try {
     const adminToken = process.env.ADMIN_TOKEN || "";
     const token = req.query.token || "";
@@ -1211,14 +2800,27 @@ app.get("/api/admin/cron-status", (req, res) => {
       return res.status(403).json({ ok: false, error: "forbidden" });
     }
 
-    if (!lastCronRun) {
-      return res.json({ ok: true, hasRun: false });
+    const activeRun = activeScanRun ? activeScanRun.runId : null;
+
+    // Finished before this process started – the summary is on the ScanRun
+    let lastRun = lastCronRun;
+    if (!lastRun) {
+      const latest = await ScanRun.findOne({ status: "done" })
+        .sort({ finishedAt: -1 })
+        .select("summary")
+        .lean();
+      lastRun = latest?.summary || null;
+    }
+
+    if (!lastRun) {
+      return res.json({ ok: true, hasRun: false, activeRun });
     }
 
     return res.json({
       ok: true,
       hasRun: true,
-      lastRun: lastCronRun,
+      activeRun,
+      lastRun,
     });
   } catch (e) {
     console.error("cron-status error:", e?.message || e);
@@ -1266,6 +2868,68 @@ app.get("/api/admin/stats", async (req, res) => {
       { $limit: 15 },
     ]);
 
+    // ── Per-radar breakdown (watches + alert emails) ──────
+    // Rows saved before radars existed have no serviceType → default radar
+    const radarOf = (field) => ({ $ifNull: [field, DEFAULT_RADAR_ID] });
+
+    const watchesByRadarRaw = await Watch.aggregate([
+      {
+        $group: {
+          _id: radarOf("$serviceType"),
+          total: { $sum: 1 },
+          active: { $sum: { $cond: [{ $ne: ["$active", false] }, 1, 0] } },
+          signups24h: { $sum: { $cond: [{ $gte: ["$createdAt", last24h] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    const alertsByRadarRaw = await EmailLog.aggregate([
+      { $match: { type: "alert" } },
+      {
+        $group: {
+          _id: radarOf("$meta.serviceType"),
+          total: { $sum: 1 },
+          last24h: { $sum: { $cond: [{ $gte: ["$sentAt", last24h] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    // ── Waitlist demand (watches in regions a radar doesn't cover yet) ──
+    const waitlistRaw = await Watch.aggregate([
+      { $match: { status: "waitlisted", active: { $ne: false } } },
+      {
+        $group: {
+          _id: { radar: radarOf("$serviceType"), region: { $ifNull: ["$region", "OTHER"] } },
+          count: { $sum: 1 },
+          signups24h: { $sum: { $cond: [{ $gte: ["$createdAt", last24h] }, 1, 0] } },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
+
+    const waitlistByRegion = waitlistRaw.map((r) => ({
+      radar: r._id.radar,
+      region: r._id.region,
+      label: regionLabel(r._id.region),
+      count: r.count,
+      signups24h: r.signups24h,
+    }));
+    const waitlistedWatches = waitlistByRegion.reduce((n, r) => n + r.count, 0);
+
+    const byRadar = radarIds().map((id) => {
+      const w = watchesByRadarRaw.find((r) => r._id === id) || {};
+      const a = alertsByRadarRaw.find((r) => r._id === id) || {};
+      return {
+        radar: id,
+        brand: getRadar(id).branding.brand,
+        totalWatches: w.total || 0,
+        activeWatches: w.active || 0,
+        signups24h: w.signups24h || 0,
+        alertEmails: a.total || 0,
+        alerts24h: a.last24h || 0,
+      };
+    });
+
     // ── Outcome / feedback stats ──────────────────────────
     const foundYesTotal = await Watch.countDocuments({ foundDentist: true });
     const foundNoTotal = await Watch.countDocuments({ foundDentist: false });
@@ -1415,6 +3079,9 @@ app.get("/api/admin/stats", async (req, res) => {
       signups24h,
       unsub24h,
       topPostcodes,
+      byRadar,
+      waitlistedWatches,
+      waitlistByRegion,
       // Outcome / feedback
       foundYesTotal,
       foundNoTotal,
@@ -1471,10 +3138,13 @@ app.get("/api/admin/self-check", async (req, res) => {
 
     const results = [];
     let allOk = true;
+    const fresh = String(req.query.fresh || "").toLowerCase() === "true";
+    const drift = createDriftTracker();
 
     for (const t of TESTS) {
       try {
-        const r = await scanPostcode(t.postcode, t.radius);
+        const r = await getScan(t.postcode, t.radius, { bypass: fresh });
+        trackScan(drift, r);
         results.push({
           postcode: r.postcode,
           radius: r.radiusMiles,
@@ -1482,13 +3152,23 @@ app.get("/api/admin/self-check", async (req, res) => {
           acceptingCount: r.acceptingCount,
           notAcceptingCount: r.notAcceptingCount,
           unknownCount: r.unknownCount,
+          pagesRead: r.pagesRead,
+          truncated: r.truncated,
           tookMs: r.tookMs,
+          cachedAt: r.cachedAt,
+          cache: r.cache,
+          degraded: r.degraded,
+          degradedReason: r.degradedReason,
+          fetchErrors: r.fetchErrors,
+          parser: r.parser,
+          missingName: r.markup?.missingName,
+          missingPhone: r.markup?.missingPhone,
         });
 
         // Very simple "health" heuristic:
-        // - call succeeded
+        // - call succeeded, and the scanner could actually reach the NHS
         // - and we got *some* results (scanned > 0)
-        if (r.scanned === 0) {
+        if (r.scanned === 0 || r.degraded) {
           allOk = false;
         }
       } catch (err) {
@@ -1501,9 +3181,35 @@ app.get("/api/admin/self-check", async (req, res) => {
       }
     }
 
+    // Structure + parse-quality check across the test scans
+    let state = null;
+    try {
+      state = await loadDriftState();
+    } catch (e) {
+      console.error("[DRIFT] state load error:", e?.message || e);
+    }
+    const verdict = checkDrift(drift, state);
+    if (verdict.drift) allOk = false;
+
+    let newlyHeld = false;
+    try {
+      ({ newlyHeld } = await recordDriftCheck(verdict, { source: "self-check" }));
+      if (newlyHeld) await notifyAdminOfDrift(verdict, "self-check");
+    } catch (e) {
+      console.error("[DRIFT] record error:", e?.message || e);
+    }
+
     return res.json({
       ok: allOk,
       tests: results,
+      markupDrift: {
+        drift: verdict.drift,
+        reasons: verdict.reasons,
+        metrics: verdict.metrics,
+        similarity: verdict.similarity,
+        fingerprints: verdict.fingerprints,
+        alertsHeld: !!state?.alertsHeld || newlyHeld,
+      },
     });
   } catch (err) {
     console.error("admin/self-check error:", err?.message || err);
@@ -1511,6 +3217,222 @@ app.get("/api/admin/self-check", async (req, res) => {
   }
 });
 
+/* ---------------------------
+   Admin: Crawl budget
+   - GET /api/admin/crawl-budget?token=ADMIN_TOKEN
+     Shared crawl budget (lib/crawl-budget.js): per-host tokens, usage this
+     minute and since start, and the cached robots.txt
+--------------------------- */
+
+app.get("/api/admin/crawl-budget", async (req, res) => {
+  try {
+    const adminToken = process.env.ADMIN_TOKEN || "";
+    const token = req.query.token || "";
+
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    return res.json({ ok: true, ...(await getBudgetReport()) });
+  } catch (err) {
+    console.error("admin/crawl-budget error:", err?.message || err);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+/* ---------------------------
+   Admin: NHS markup drift
+   - GET  /api/admin/markup-drift?token=ADMIN_TOKEN
+   - POST /api/admin/markup-drift/release?token=ADMIN_TOKEN&rebaseline=true
+     (rebaseline accepts the latest seen page structure as normal)
+--------------------------- */
+
+app.get("/api/admin/markup-drift", async (req, res) => {
+  try {
+    const adminToken = process.env.ADMIN_TOKEN || "";
+    const token = req.query.token || "";
+
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    const state = await loadDriftState();
+    return res.json({
+      ok: true,
+      alertsHeld: !!state?.alertsHeld,
+      heldAt: state?.heldAt || null,
+      heldReasons: state?.heldReasons || [],
+      releasedAt: state?.releasedAt || null,
+      baselineSetAt: state?.baseline?.setAt || null,
+      lastCheck: state?.lastCheck || null,
+      thresholds: DRIFT_THRESHOLDS,
+    });
+  } catch (err) {
+    console.error("admin/markup-drift error:", err?.message || err);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+app.post("/api/admin/markup-drift/release", async (req, res) => {
+  try {
+    const token =
+      req.query.token || (req.body && req.body.token) || "";
+    const adminToken = process.env.ADMIN_TOKEN || "";
+
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    const rebaseline =
+      String(req.query.rebaseline || (req.body && req.body.rebaseline) || "")
+        .toLowerCase() === "true";
+
+    const out = await releaseAlertHold({ rebaseline });
+    console.log(
+      `[DRIFT] Alerts released by admin (wasHeld=${out.wasHeld}, rebaselined=${out.rebaselined})`
+    );
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    console.error("admin/markup-drift/release error:", err?.message || err);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
+/* ---------------------------
+   Admin: Re-classify stored snapshot evidence
+   - Run after bumping a radar classifier's RULESET_VERSION
+     (lib/acceptance-classifier.js for dentists)
+   - A changed status is recorded like a snapshot check
+     (lib/practice-status.js): lastOkStatus + a PracticeStatusEvent
+   - POST /api/admin/reclassify?token=ADMIN_TOKEN&dryRun=true&all=false&radar=dentist
+--------------------------- */
+app.post("/api/admin/reclassify", async (req, res) => {
+  try {
+    const token =
+      req.query.token || (req.body && req.body.token) || "";
+    const adminToken = process.env.ADMIN_TOKEN || "";
+
+    if (!adminToken || token !== adminToken) {
+      return res.status(403).json({ ok: false, error: "forbidden" });
+    }
+
+    const dryRun = String(req.query.dryRun || "").toLowerCase() === "true";
+    const all = String(req.query.all || "").toLowerCase() === "true";
+    const radar = radarFor(req.query.radar);
+    if (!radar) {
+      return res.status(400).json({ ok: false, error: "unknown_radar", radars: radarIds() });
+    }
+    const rulesetVersion = radar.classify("").rulesetVersion;
+
+    // By default only touch rows classified under an older rule set
+    const filter = { radar: radarQuery(radar.id) };
+    if (!all) filter.rulesetVersion = { $ne: rulesetVersion };
+
+    const cursor = PracticeStatusLatest.find(filter)
+      .select({ code: 1, radar: 1, region: 1, nhsUrl: 1, status: 1, ok: 1, statusEvidence: 1 })
+      .lean()
+      .cursor();
+
+    const now = new Date();
+    const ops = [];
+    const transitions = {};
+    let scanned = 0;
+    let changed = 0;
+    let noEvidence = 0;
+    let written = 0;
+
+    for await (const doc of cursor) {
+      scanned++;
+
+      if (!doc.statusEvidence) {
+        noEvidence++;
+        continue;
+      }
+
+      const verdict = radar.classify(doc.statusEvidence);
+      const statusChanged = verdict.status !== doc.status;
+      if (statusChanged) {
+        changed++;
+        const k = `${doc.status}->${verdict.status}`;
+        transitions[k] = (transitions[k] || 0) + 1;
+      }
+
+      if (dryRun) continue;
+
+      // A new status is a status change like any other: lastOkStatus and a
+      // PracticeStatusEvent, so transition alerts and re-alerts see it
+      if (statusChanged) {
+        await recordPracticeStatus({
+          code: doc.code,
+          radar: doc.radar || radar.id,
+          status: verdict.status,
+          ok: doc.ok !== false,
+          at: now,
+          latest: {
+            ...(verdict.cohorts ? { acceptance: verdict.cohorts } : {}),
+            statusReason: verdict.rule,
+            rulesetVersion: verdict.rulesetVersion,
+            reclassifiedAt: now,
+          },
+          event: {
+            region: doc.region || "Unknown",
+            nhsUrl: doc.nhsUrl || "",
+            statusSource: "reclassify",
+            statusReason: verdict.rule,
+            rulesetVersion: verdict.rulesetVersion,
+          },
+        });
+        written++;
+        continue;
+      }
+
+      ops.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: {
+            $set: {
+              ...(verdict.cohorts ? { acceptance: verdict.cohorts } : {}),
+              statusReason: verdict.rule,
+              rulesetVersion: verdict.rulesetVersion,
+              reclassifiedAt: now,
+            },
+          },
+        },
+      });
+
+      if (ops.length >= 500) {
+        await PracticeStatusLatest.bulkWrite(ops, { ordered: false });
+        written += ops.length;
+        ops.length = 0;
+      }
+    }
+
+    if (ops.length) {
+      await PracticeStatusLatest.bulkWrite(ops, { ordered: false });
+      written += ops.length;
+    }
+
+    console.log(
+      `[RECLASSIFY] ${radar.id} v${rulesetVersion} scanned=${scanned} changed=${changed} written=${written} dryRun=${dryRun}`
+    );
+
+    return res.json({
+      ok: true,
+      dryRun,
+      radar: radar.id,
+      rulesetVersion,
+      scanned,
+      changed,
+      noEvidence,
+      written,
+      transitions,
+    });
+  } catch (err) {
+    console.error("admin/reclassify error:", err?.message || err);
+    return res.status(500).json({ ok: false, error: "server_error" });
+  }
+});
+
 /* ---------------------------
    Stripe Checkout + Webhook
 --------------------------- */
@@ -1773,4 +3695,12 @@ app.get("*", (req, res) =>
 --------------------------- */
 app.listen(PORT, () => {
   console.log(`🚀 DentistRadar running on :${PORT}`);
+  // Warns now rather than at the first scan when the table is missing
+  loadPostcodeTable();
+  if (ALERT_MODE === "snapshot" && !hasPostcodeTable()) {
+    console.error(
+      "[ALERTS] ❌ ALERT_MODE=snapshot needs the postcode table to match practices to watches – falling back to scan mode"
+    );
+    ALERT_MODE = "scan";
+  }
 });
@@ -0,0 +1,57 @@
+// lib/alert-state.js – the re-alert clock runs from a practice's latest
+// closure, so a list that reopened in between doesn't count as closed all
+// along.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.REALERT_AFTER_DAYS = "30";
+
+const { alertEligibility, closureChange, nextPracticeAlerts } = require("../lib/alert-state");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date("2026-01-01T09:00:00Z");
+const day = (n) => new Date(START.getTime() + n * DAY_MS);
+
+// Apply a change the way server.js saveAlertState does
+function apply(watch, changes, at) {
+  const next = nextPracticeAlerts(watch, changes, at);
+  if (next) watch.practiceAlerts = next;
+  return watch;
+}
+
+// Snapshot closure: latest closure at `at`, last seen accepting at lastOpenAt
+function close(watch, key, at, lastOpenAt) {
+  return apply(watch, { [closureChange(watch, key, lastOpenAt)]: [key] }, at);
+}
+
+test("closed, reopened, closed again: the period runs from the last closure", () => {
+  const key = "V100001";
+  const w = apply({ practiceAlerts: [] }, { alerted: [key] }, day(0));
+
+  close(w, key, day(1), day(0)); // closes
+  // reopens on day 20 (not alerted – too soon) and closes on day 25; the
+  // snapshot only sees the closure, with the practice last open on day 20
+  close(w, key, day(25), day(20));
+
+  assert.equal(w.practiceAlerts[0].notAcceptingSince.getTime(), day(25).getTime());
+  assert.equal(alertEligibility(w, key, day(40)), null);
+  assert.equal(alertEligibility(w, key, day(55)), "again");
+});
+
+test("a closure with no reopening in between keeps the first date", () => {
+  const key = "V100001";
+  const w = apply({ practiceAlerts: [] }, { alerted: [key] }, day(0));
+
+  close(w, key, day(1), day(0));
+  close(w, key, day(10), day(0)); // still closed, seen again
+
+  assert.equal(w.practiceAlerts[0].notAcceptingSince.getTime(), day(1).getTime());
+  assert.equal(alertEligibility(w, key, day(31)), "again");
+});
+
+test("a practice the watch was never told about gets no clock", () => {
+  const w = { practiceAlerts: [] };
+  assert.equal(nextPracticeAlerts(w, { closedAgain: ["V100002"] }, day(1)), null);
+  assert.equal(nextPracticeAlerts(w, { closed: ["V100002"] }, day(1)), null);
+});
@@ -0,0 +1,40 @@
+// Start scripts/stub-nhs-server.js on a port for a test file and stop it
+// (by its own pid) afterwards.
+
+const { spawn } = require("node:child_process");
+const path = require("node:path");
+
+const STUB = path.join(__dirname, "..", "..", "scripts", "stub-nhs-server.js");
+const START_TIMEOUT_MS = 10000;
+
+function startStub(port) {
+  const child = spawn(process.execPath, [STUB, String(port)], {
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  const stop = () =>
+    new Promise((resolve) => {
+      if (child.exitCode !== null) return resolve();
+      child.once("exit", resolve);
+      child.kill();
+    });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error(`stub server did not start on :${port}`));
+    }, START_TIMEOUT_MS);
+
+    child.stdout.on("data", (chunk) => {
+      if (!String(chunk).includes("listening")) return;
+      clearTimeout(timer);
+      resolve({ origin: `http://localhost:${port}`, stop });
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`stub server exited (${code})`));
+    });
+  });
+}
+
+module.exports = { startStub };
@@ -0,0 +1,166 @@
+// Every practice source (lib/practice-source.js) against
+// scripts/stub-nhs-server.js: the nhs.uk scraper, the directory API and the
+// Welsh, Scottish and NI directories.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStub } = require("./helpers/stub-server");
+
+const PORT = 4061;
+const ORIGIN = `http://localhost:${PORT}`;
+
+// Origins are read when the source modules load
+process.env.NHS_WEB_BASE_URL = ORIGIN;
+process.env.NHS_API_BASE_URL = `${ORIGIN}/api`;
+process.env.NHS_WALES_BASE_URL = ORIGIN;
+process.env.NHS_SCOTLAND_BASE_URL = ORIGIN;
+process.env.NI_DIRECTORY_BASE_URL = ORIGIN;
+
+const { createLiveTransport } = require("../lib/transport");
+const {
+  transportFetcher,
+  createPracticeSource,
+  createPracticeSourceForPostcode,
+} = require("../lib/practice-source");
+
+let stub;
+const fetch = transportFetcher(createLiveTransport(), { timeoutMs: 5000 });
+
+before(async () => {
+  stub = await startStub(PORT);
+});
+
+after(async () => {
+  await stub?.stop();
+});
+
+const byCode = (practices) => new Map(practices.map((p) => [p.vcode, p]));
+
+/* ---------------- HTML ---------------- */
+
+test("html: search page lists the practices nearest first", async () => {
+  const source = createPracticeSource(fetch, { kind: "html" });
+  const page = await source.searchPage("RG41 4UW", 5);
+
+  assert.equal(page.parser, "dom");
+  assert.equal(page.hasNext, false);
+  assert.deepEqual(
+    page.practices.map((p) => [p.vcode, p.distanceMiles]),
+    [
+      ["V100001", 0.4],
+      ["V100002", 1.8],
+      ["V100003", 3.2],
+    ]
+  );
+  assert.equal(
+    page.practices[0].appointmentsUrl,
+    `${ORIGIN}/services/dentist/stub-smile-dental/V100001/appointments`
+  );
+});
+
+test("html: appointments page decides, with cohorts and last-updated date", async () => {
+  const source = createPracticeSource(fetch, { kind: "html" });
+  const practices = byCode((await source.searchPage("RG41 4UW", 5)).practices);
+
+  const open = await source.getAcceptance(practices.get("V100001"));
+  assert.equal(open.statusSource, "appointments");
+  assert.equal(open.verdict.status, "accepting");
+  assert.equal(open.verdict.cohorts.adults, true);
+  assert.equal(open.verdict.cohorts.children, true);
+  assert.equal(open.lastUpdated.toISOString().slice(0, 10), "2026-03-12");
+
+  const closed = await source.getAcceptance(practices.get("V100002"));
+  assert.equal(closed.verdict.status, "not_accepting");
+  assert.equal(closed.verdict.evidence, "This dentist is not accepting new NHS patients.");
+});
+
+test("html: overview page only on request, when appointments says nothing", async () => {
+  const source = createPracticeSource(fetch, { kind: "html" });
+  const silent = byCode((await source.searchPage("RG41 4UW", 5)).practices).get("V100003");
+
+  const apptOnly = await source.getAcceptance(silent);
+  assert.equal(apptOnly.verdict.status, "unknown");
+
+  const withMain = await source.getAcceptance(silent, { fallbackToMain: true });
+  assert.equal(withMain.statusSource, "main");
+  assert.equal(withMain.verdict.status, "accepting");
+  assert.equal(withMain.appointmentsUrl, silent.appointmentsUrl);
+});
+
+/* ---------------- API ---------------- */
+
+test("api: search and acceptance from the directory API", async () => {
+  const source = createPracticeSource(fetch, { kind: "api", apiKey: "stub-key" });
+  const page = await source.searchPage("RG41 4UW", 5);
+
+  assert.equal(page.parser, "api");
+  assert.equal(page.hasNext, false);
+  assert.deepEqual(
+    page.practices.map((p) => p.vcode),
+    ["V100001", "V100002", "V100003"]
+  );
+
+  const practices = byCode(page.practices);
+  const open = await source.getAcceptance(practices.get("V100001"));
+  assert.equal(open.statusSource, "api");
+  assert.equal(open.verdict.status, "accepting");
+  assert.equal(open.verdict.cohorts.freeTreatment, false);
+  assert.equal(open.sourceUrl, practices.get("V100001").appointmentsUrl);
+
+  const closed = await source.getAcceptance(practices.get("V100002"));
+  assert.equal(closed.verdict.status, "not_accepting");
+
+  const silent = await source.getAcceptance(practices.get("V100003"));
+  assert.equal(silent.verdict.status, "unknown");
+});
+
+test("api: a wrong subscription key fails loudly", async () => {
+  const source = createPracticeSource(fetch, { kind: "api", apiKey: "wrong-key" });
+  await assert.rejects(source.searchPage("RG41 4UW", 5), (err) => err.status === 401);
+});
+
+test("api: refuses to start without a key", () => {
+  assert.throws(() => createPracticeSource(fetch, { kind: "api", apiKey: "" }), /NHS_API_KEY/);
+});
+
+/* ---------------- REGIONAL ---------------- */
+
+const REGIONS = [
+  { postcode: "CF10 1AA", kind: "wales", practices: 3 },
+  { postcode: "EH1 1AA", kind: "scotland", practices: 2 },
+  { postcode: "BT1 1AA", kind: "ni", practices: 2 },
+];
+
+for (const { postcode, kind, practices } of REGIONS) {
+  test(`${kind}: every listed practice has a readable page`, async () => {
+    const source = createPracticeSourceForPostcode(fetch, postcode);
+    assert.equal(source.kind, kind);
+
+    const page = await source.searchPage(postcode, 5);
+    assert.equal(page.parser, kind);
+    assert.equal(page.practices.length, practices);
+    assert.ok(page.practices.every((p) => p.nhsUrl.startsWith(ORIGIN)));
+
+    for (const p of page.practices) {
+      const res = await source.getAcceptance(p);
+      assert.equal(res.statusSource, kind);
+      assert.equal(res.httpStatus, 200, `${p.name} (${p.nhsUrl})`);
+      assert.ok(["accepting", "not_accepting", "unknown"].includes(res.verdict.status));
+    }
+  });
+}
+
+test("wales: the directory's own statement is the evidence", async () => {
+  const source = createPracticeSourceForPostcode(fetch, "CF10 1AA");
+  const { practices } = await source.searchPage("CF10 1AA", 5);
+  const verdicts = await Promise.all(practices.map((p) => source.getAcceptance(p)));
+
+  assert.deepEqual(
+    verdicts.map((v) => [v.verdict.status, v.verdict.evidence]),
+    [
+      ["accepting", "Accepting new NHS patients – Adults: No, Children: Yes"],
+      ["not_accepting", "Accepting new NHS patients – Adults: No, Children: No"],
+      ["unknown", ""],
+    ]
+  );
+});
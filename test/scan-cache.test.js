@@ -0,0 +1,109 @@
+// streamScan() (scanCache.js) sharing and cancelling scans, over the
+// recorded RG41 4UW responses (see scanner.replay.test.js). No Mongo: cache
+// reads are bypassed and writes fail fast and are logged.
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import mongoose from "mongoose";
+
+process.env.NHS_WEB_BASE_URL = "http://localhost:4050";
+process.env.PRACTICE_SOURCE = "html";
+process.env.SCAN_PRACTICE_CACHE_MS = "1";
+process.env.SCAN_APPT_CONCURRENCY = "1";
+process.env.POSTCODE_COORDS_FILE = path.resolve("test/no-postcode-table.csv");
+
+mongoose.set("bufferCommands", false);
+
+const PAGE_DELAY_MS = 40;
+
+let scanCache;
+let transport;
+
+before(async () => {
+  scanCache = await import("../scanCache.js");
+  transport = await import("../lib/transport.js");
+});
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Replay with slow practice pages, counting what was fetched
+function useSlowReplay() {
+  const inner = transport.createReplayTransport("data/fixtures/http/scan-rg41-4uw");
+  const t = {
+    mode: "replay",
+    searches: 0,
+    practicePages: 0,
+    async get(url, opts) {
+      if (url.includes("/find-a-dentist/results/")) t.searches++;
+      else {
+        t.practicePages++;
+        await sleep(PAGE_DELAY_MS);
+      }
+      return inner.get(url, opts);
+    },
+  };
+  transport.setDefaultTransport(t);
+  return t;
+}
+
+async function firstEvent(stream) {
+  const { value } = await stream.next();
+  return value;
+}
+
+test("a client leaving mid-stream cancels a scan nobody else wants", async () => {
+  const t = useSlowReplay();
+  const stream = scanCache.streamScan("RG41 4UW", 5, { bypass: true });
+
+  assert.equal((await firstEvent(stream)).type, "search");
+  await stream.return();
+  await sleep(PAGE_DELAY_MS * 5);
+
+  assert.equal(t.searches, 1);
+  assert.ok(t.practicePages < 3, `fetched ${t.practicePages} practice pages`);
+});
+
+test("a client leaving mid-stream keeps the scan going for getScan callers", async () => {
+  const t = useSlowReplay();
+  const stream = scanCache.streamScan("RG41 4UW", 5, { bypass: true });
+  assert.equal((await firstEvent(stream)).type, "search");
+
+  const waiting = scanCache.getScan("RG41 4UW", 5, { bypass: true });
+  await stream.return();
+  const result = await waiting;
+
+  assert.equal(result.scanned, 3);
+  assert.equal(result.acceptingCount, 1);
+  assert.equal(t.searches, 1);
+  assert.equal(t.practicePages, 3);
+});
+
+test("a second stream for the same key waits for the first scan", async () => {
+  const t = useSlowReplay();
+  const first = scanCache.streamScan("RG41 4UW", 5, { bypass: true });
+  assert.equal((await firstEvent(first)).type, "search");
+
+  const second = scanCache.streamScan("RG41 4UW", 5, { bypass: true });
+  const [joined] = await Promise.all([
+    firstEvent(second),
+    (async () => {
+      for await (const e of first) if (e.type === "done") return e;
+    })(),
+  ]);
+
+  assert.equal(joined.type, "done");
+  assert.equal(joined.result.scanned, 3);
+  assert.equal(t.searches, 1);
+  assert.equal(t.practicePages, 3);
+});
+
+test("only radars with a streamScanner stream, keyed by radar", async () => {
+  assert.equal(scanCache.canStreamScan("dentist"), true);
+  assert.equal(scanCache.canStreamScan("gp"), false);
+  await assert.rejects(
+    firstEvent(scanCache.streamScan("RG41 4UW", 5, { bypass: true, serviceType: "gp" })),
+    /gp has no streamScanner/
+  );
+  assert.equal(scanCache.scanCacheKey("RG41 4UW", 5, "gp"), "gp:RG414UW::5");
+});
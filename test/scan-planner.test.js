@@ -0,0 +1,58 @@
+// lib/scan-planner.js without a postcode table: every group keeps its own
+// scan, so no watch loses practices to clustering.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+process.env.POSTCODE_COORDS_FILE = path.resolve(__dirname, "no-postcode-table.csv");
+
+const { clusterScanGroups, practicesForWatch, coversWatch } = require("../lib/scan-planner");
+
+const group = (postcode, radius, serviceType = "dentist") => ({
+  key: `${postcode}::${radius}`,
+  postcode,
+  radius,
+  serviceType,
+  watchIds: [`${postcode}-${radius}`],
+});
+
+test("groups without coordinates are scanned on their own", () => {
+  const groups = [group("RG41 4UW", 5), group("RG41 2AB", 5), group("RG41 4UW", 10)];
+  const { groups: planned, plan } = clusterScanGroups(groups, {
+    enabled: true,
+    maxMiles: 10,
+    defaultServiceType: "dentist",
+  });
+
+  assert.deepEqual(
+    planned.map((g) => [g.key, g.postcode, g.radius, g.clustered]),
+    groups.map((g) => [g.key, g.postcode, g.radius, false])
+  );
+  assert.equal(plan.scans, 3);
+  assert.equal(plan.scansSaved, 0);
+  assert.equal(plan.unclustered, 3);
+});
+
+test("a watch served from its own scan loses nothing", () => {
+  const practices = [
+    { vcode: "V1", distanceMiles: 1 },
+    { vcode: "V2", distanceMiles: 2.5 },
+    { vcode: "V3", distanceMiles: 4 },
+    { vcode: "V4", distanceMiles: 6 },
+    { vcode: "V5", distanceMiles: 8 },
+    { vcode: "V6" },
+  ];
+  const watch = { postcode: "RG41 2AB", radius: 5 };
+
+  assert.deepEqual(
+    practicesForWatch(practices, "RG41 2AB", watch).map((p) => [p.vcode, p.distanceMiles]),
+    [
+      ["V1", 1],
+      ["V2", 2.5],
+      ["V3", 4],
+      ["V6", undefined],
+    ]
+  );
+  assert.equal(coversWatch("RG41 2AB", 5, watch), true);
+});
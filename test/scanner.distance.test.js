@@ -0,0 +1,67 @@
+// Distances from a sector-level postcode table (the README default): the
+// computed distance replaces the NHS "Within X miles" text, and the radius
+// filter uses it. Same recordings as scanner.replay.test.js; the table puts
+// the three practices 0.9, 2.5 and 6 miles from RG41 4UW (the NHS says
+// 0.4, 1.8 and 3.2).
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+
+const FIXTURES = path.resolve("data/fixtures/http/scan-rg41-4uw");
+
+// Read at module load by the parser / scanner, so set before importing them
+process.env.NHS_WEB_BASE_URL = "http://localhost:4050";
+process.env.PRACTICE_SOURCE = "html";
+process.env.SCAN_PRACTICE_CACHE_MS = "1";
+process.env.SCAN_RETRIES = "0";
+process.env.POSTCODE_COORDS_FILE = path.resolve("test/postcode-coords-sector.csv");
+
+let scanner;
+let transport;
+
+before(async () => {
+  scanner = await import("../scanner.js");
+  transport = await import("../lib/transport.js");
+});
+
+test("sector coordinates replace the NHS distance", async () => {
+  const r = await scanner.scanPostcode("RG41 4UW", 5, {
+    transport: transport.createReplayTransport(FIXTURES),
+  });
+  const all = [...r.accepting, ...r.notAccepting, ...r.unknown].sort(scanner.byDistance);
+
+  assert.deepEqual(
+    all.map((p) => [p.vcode, p.distanceMiles, p.distanceText, p.distanceSource, p.distancePrecision]),
+    [
+      ["V100001", 0.9, "About 0.9 miles", "geo", "sector"],
+      ["V100002", 2.5, "About 2.5 miles", "geo", "sector"],
+    ]
+  );
+  assert.match(all[0].nhsDistanceText, /0\.4/);
+});
+
+test("the NHS distance is only used without a lookup", () => {
+  const origin = { lat: 51.41, lon: -0.85, precision: "sector" };
+
+  const located = scanner.applyDistance(
+    { distanceMiles: 0.4, distanceText: "0.4 miles away", address: "1 High St, Wokingham, RG41 1AA" },
+    origin
+  );
+  assert.equal(located.distanceSource, "geo");
+  assert.equal(located.distanceMiles, 0.9);
+
+  const unknown = scanner.applyDistance(
+    { distanceMiles: 0.4, distanceText: "0.4 miles away", address: "1 High St, Nowhere, ZZ9 9ZZ" },
+    origin
+  );
+  assert.equal(unknown.distanceSource, "nhs");
+  assert.equal(unknown.distanceMiles, 0.4);
+  assert.equal(unknown.distanceText, "0.4 miles away");
+});
+
+test("the radius allows half a mile for a sector centroid", () => {
+  const at = (miles) => ({ distanceMiles: miles, distanceSource: "geo", distancePrecision: "sector" });
+  assert.equal(scanner.withinRadius(at(5.5), 5), true);
+  assert.equal(scanner.withinRadius(at(5.6), 5), false);
+});
@@ -0,0 +1,131 @@
+// scanPostcodeStream against recorded nhs.uk responses (lib/transport.js
+// replay). The recordings in data/fixtures/http/scan-rg41-4uw came from the
+// stub server:
+//
+//   node scripts/stub-nhs-server.js 4050 &
+//   NHS_WEB_BASE_URL=http://localhost:4050 NHS_TRANSPORT=record \
+//     NHS_FIXTURES_DIR=data/fixtures/http/scan-rg41-4uw \
+//     node -e 'import("./scanner.js").then((s) => s.scanPostcode("RG41 4UW", 5))'
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+
+const FIXTURES = path.resolve("data/fixtures/http/scan-rg41-4uw");
+
+// Read at module load by the parser / scanner, so set before importing them
+process.env.NHS_WEB_BASE_URL = "http://localhost:4050";
+process.env.PRACTICE_SOURCE = "html";
+process.env.SCAN_PRACTICE_CACHE_MS = "1";
+process.env.SCAN_RETRIES = "0";
+process.env.POSTCODE_COORDS_FILE = path.resolve("test/no-postcode-table.csv");
+
+let scanner;
+let transport;
+
+before(async () => {
+  scanner = await import("../scanner.js");
+  transport = await import("../lib/transport.js");
+});
+
+// Replay that counts requests and can pretend some recordings are missing
+function replay({ missing = () => false } = {}) {
+  const inner = transport.createReplayTransport(FIXTURES);
+  const t = {
+    mode: "replay",
+    urls: [],
+    async get(url, opts) {
+      t.urls.push(url);
+      if (missing(url)) {
+        throw new transport.TransportError("replay_miss", `no recorded response for ${url}`, url);
+      }
+      return inner.get(url, opts);
+    },
+  };
+  return t;
+}
+
+async function collect(stream) {
+  const events = [];
+  for await (const e of stream) events.push(e);
+  return events;
+}
+
+test("streams the search, one event per practice, then the result", async () => {
+  const events = await collect(
+    scanner.scanPostcodeStream("RG41 4UW", 5, { transport: replay() })
+  );
+
+  assert.equal(events[0].type, "search");
+  assert.equal(events[0].parsed, 3);
+  assert.equal(events[0].inRadius, 3);
+  assert.equal(events[0].parser, "dom");
+
+  const practices = events.filter((e) => e.type === "practice");
+  assert.equal(practices.length, 3);
+  assert.deepEqual(practices.map((e) => e.done), [1, 2, 3]);
+  assert.ok(practices.every((e) => e.total === 3));
+
+  const done = events.at(-1);
+  assert.equal(done.type, "done");
+  assert.equal(events.length, 5);
+
+  const r = done.result;
+  assert.equal(r.degraded, false);
+  assert.equal(r.scanned, 3);
+  assert.deepEqual(r.accepting.map((p) => p.vcode), ["V100001"]);
+  assert.deepEqual(r.notAccepting.map((p) => p.vcode), ["V100002"]);
+  assert.deepEqual(r.unknown.map((p) => p.vcode), ["V100003"]);
+});
+
+test("accepting practices carry cohorts, evidence and the last-updated date", async () => {
+  const r = await scanner.scanPostcode("RG41 4UW", 5, { transport: replay() });
+  const [p] = r.accepting;
+
+  assert.equal(p.name, "Stub Smile Dental");
+  assert.equal(p.distanceMiles, 0.4);
+  assert.equal(p.acceptance.adults, true);
+  assert.equal(p.acceptance.children, true);
+  assert.equal(p.statusEvidence, "This dentist accepts new NHS patients if they are:");
+  assert.equal(
+    p.evidenceUrl,
+    "http://localhost:4050/services/dentist/stub-smile-dental/V100001/appointments"
+  );
+  assert.equal(new Date(p.lastUpdated).toISOString().slice(0, 10), "2026-03-12");
+});
+
+test("a cron run reads each practice page once", async () => {
+  scanner.beginPracticeCacheRun();
+  try {
+    const t = replay();
+    await scanner.scanPostcode("RG41 4UW", 5, { transport: t });
+    const second = await scanner.scanPostcode("RG41 4UW", 5, { transport: t });
+
+    assert.equal(second.practiceCacheHits, 3);
+    assert.equal(t.urls.filter((u) => u.endsWith("/appointments")).length, 3);
+  } finally {
+    scanner.endPracticeCacheRun();
+  }
+});
+
+test("unreadable practice pages make the scan degraded, not empty", async () => {
+  await new Promise((r) => setTimeout(r, 5)); // let earlier verdicts expire
+  const r = await scanner.scanPostcode("RG41 4UW", 5, {
+    transport: replay({ missing: (u) => u.endsWith("/appointments") }),
+  });
+
+  assert.equal(r.fetchErrors, 3);
+  assert.equal(r.degraded, true);
+  assert.equal(r.degradedReason, "appointments_failures");
+  assert.equal(r.acceptingCount, 0);
+});
+
+test("a missing search page is a degraded scan", async () => {
+  const r = await scanner.scanPostcode("RG41 4UW", 5, {
+    transport: replay({ missing: (u) => u.includes("/find-a-dentist/results/") }),
+  });
+
+  assert.equal(r.scanned, 0);
+  assert.equal(r.degraded, true);
+  assert.equal(r.degradedReason, "search_client");
+});